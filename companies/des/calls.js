@@ -0,0 +1,213 @@
+// companies/des/calls.js
+import { readJson, writeJson, appendJsonl, readJsonl } from "./store.js";
+
+/* =======================
+   CALL HISTORY
+   One record per callSid: opened by /twiml, completed by Twilio's status
+   callback (/twilio/status). When the server itself ends a call it notes why
+   first, so the final record tells a server hangup from the caller hanging up.
+   Tools tag what the call was about (intents), in the order it came up.
+   calls.json, rewritten on every change, holds the newest CALL_HISTORY_MAX_CALLS
+   calls; older finished ones move to the append-only calls-archive.jsonl.
+======================= */
+const CALLS_FILE = "calls.json";
+const ARCHIVE_FILE = "calls-archive.jsonl";
+
+// the four intents of rules.txt plus the fail-safe transfer
+export const INTENTS = ["general", "quote", "vacancy", "complaint", "failsafe"];
+
+const FINAL_STATUSES = new Set(["completed", "busy", "no-answer", "failed", "canceled"]);
+
+let calls = null; // callSid -> record
+
+function load() {
+  if (!calls) {
+    calls = new Map();
+    for (const c of readJson(CALLS_FILE, { calls: [] }).calls) calls.set(c.callSid, c);
+  }
+  return calls;
+}
+
+// read on use, not at import: server.js calls dotenv.config() after its imports
+const maxCalls = () => Math.max(1, Number(process.env.CALL_HISTORY_MAX_CALLS || 5000));
+
+// oldest finished calls past the cap go to the archive; calls still running stay
+function archiveOverflow() {
+  const all = load();
+  let over = all.size - maxCalls();
+  if (over <= 0) return;
+  const finished = [...all.values()]
+    .filter((c) => FINAL_STATUSES.has(c.status) && c.endedAt)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const c of finished) {
+    if (over-- <= 0) break;
+    appendJsonl(ARCHIVE_FILE, c);
+    all.delete(c.callSid);
+  }
+}
+
+function persist() {
+  archiveOverflow();
+  writeJson(CALLS_FILE, { calls: [...load().values()] });
+}
+
+function upsert(callSid) {
+  let rec = load().get(callSid);
+  if (!rec) {
+    rec = {
+      callSid,
+      direction: null,
+      from: null,
+      to: null,
+      company: null,
+      status: null,
+      createdAt: new Date().toISOString(),
+      answeredAt: null,
+      endedAt: null,
+      durationSec: null,
+      endReason: null,
+      serverHangupReason: null,
+      serverHangupAt: null,
+      intents: [],
+    };
+    load().set(callSid, rec);
+  }
+  return rec;
+}
+
+// Twilio's Timestamp is RFC 2822 ("Mon, 19 Oct 2026 14:03:00 +0000")
+function twilioTime(raw) {
+  const ms = Date.parse(raw || "");
+  return new Date(Number.isNaN(ms) ? Date.now() : ms).toISOString();
+}
+
+// completed calls ended by us carry the server's reason; everything else is Twilio's status
+function endReasonFor(rec) {
+  if (rec.status !== "completed") return rec.status;
+  return rec.serverHangupReason ? "server_hangup" : "remote_hangup";
+}
+
+export function recordCallStart({ callSid, direction, from, to, company }) {
+  if (!callSid) return null;
+  const rec = upsert(callSid);
+  rec.direction = direction || rec.direction || "inbound";
+  rec.from = from || rec.from;
+  rec.to = to || rec.to;
+  rec.company = company || rec.company;
+  if (!rec.status) rec.status = "in-progress";
+  persist();
+  return rec;
+}
+
+// first reason wins: the hangup itself, not whatever closes after it
+export function recordServerHangup(callSid, reason) {
+  if (!callSid) return;
+  const rec = upsert(callSid);
+  if (rec.serverHangupReason) return;
+  rec.serverHangupReason = reason;
+  rec.serverHangupAt = new Date().toISOString();
+  persist();
+}
+
+// -> the call's intents after tagging, or null for an unknown intent
+export function tagCallIntent(callSid, intent) {
+  if (!callSid || !INTENTS.includes(intent)) return null;
+  const rec = upsert(callSid);
+  rec.intents = rec.intents || []; // records from before intents existed
+  if (!rec.intents.includes(intent)) {
+    rec.intents.push(intent);
+    persist();
+  }
+  return rec.intents;
+}
+
+// form: the parameters Twilio posts to a statusCallback
+export function applyCallStatus(form) {
+  if (!form.CallSid || !form.CallStatus) return null;
+  const rec = upsert(form.CallSid);
+  // callbacks can arrive out of order; a final status is never overwritten
+  if (FINAL_STATUSES.has(rec.status) && rec.endedAt) return rec;
+
+  rec.direction = rec.direction || form.Direction || null;
+  rec.from = rec.from || form.From || null;
+  rec.to = rec.to || form.To || null;
+  rec.status = form.CallStatus;
+  if (form.CallStatus === "in-progress" && !rec.answeredAt) rec.answeredAt = twilioTime(form.Timestamp);
+
+  if (FINAL_STATUSES.has(form.CallStatus)) {
+    rec.endedAt = twilioTime(form.Timestamp);
+    rec.durationSec = Number(form.CallDuration) || 0;
+    if (!rec.answeredAt && rec.durationSec > 0) {
+      rec.answeredAt = new Date(Date.parse(rec.endedAt) - rec.durationSec * 1000).toISOString();
+    }
+    if (form.SipResponseCode) rec.sipResponseCode = Number(form.SipResponseCode);
+    rec.endReason = endReasonFor(rec);
+  }
+  persist();
+  return rec;
+}
+
+// every call: the archive, overridden by the live records
+function allCalls() {
+  const merged = new Map(readJsonl(ARCHIVE_FILE).map((c) => [c.callSid, c]));
+  for (const [sid, c] of load()) merged.set(sid, c);
+  return [...merged.values()];
+}
+
+export function getCall(callSid) {
+  return load().get(callSid) || readJsonl(ARCHIVE_FILE).find((c) => c.callSid === callSid) || null;
+}
+
+// newest first; number matches either side of the call
+export function listCalls({ company, direction, status, endReason, intent, number, since, until, limit = 100 } = {}) {
+  const sinceMs = since ? Date.parse(since) : NaN;
+  const untilMs = until ? Date.parse(until) : NaN;
+  return allCalls()
+    .filter(
+      (c) =>
+        (!company || c.company === company) &&
+        (!direction || String(c.direction || "").startsWith(direction)) &&
+        (!status || c.status === status) &&
+        (!endReason || c.endReason === endReason) &&
+        (!intent || (c.intents || []).includes(intent)) &&
+        (!number || c.from === number || c.to === number) &&
+        (Number.isNaN(sinceMs) || Date.parse(c.createdAt) >= sinceMs) &&
+        (Number.isNaN(untilMs) || Date.parse(c.createdAt) < untilMs)
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+// calendar day of an ISO timestamp in a time zone ("en-CA" formats as YYYY-MM-DD)
+function localDay(iso, timezone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: timezone }).format(new Date(iso));
+}
+
+// Calls per local day and company, split by intent. A call with two intents counts
+// for both; "untagged" are calls no tool tagged. since/until bound createdAt.
+export function intentStats({ company, since, until, timezoneFor = () => "Europe/Amsterdam" } = {}) {
+  const rows = new Map(); // "day|company" -> row
+  const emptyCounts = () => Object.fromEntries([...INTENTS, "untagged"].map((i) => [i, 0]));
+  const totals = { calls: 0, intents: emptyCounts() };
+
+  for (const c of listCalls({ company, since, until, limit: Infinity })) {
+    if (!c.company) continue;
+    const day = localDay(c.createdAt, timezoneFor(c.company) || "Europe/Amsterdam");
+    const key = `${day}|${c.company}`;
+    let row = rows.get(key);
+    if (!row) {
+      row = { day, company: c.company, calls: 0, intents: emptyCounts() };
+      rows.set(key, row);
+    }
+    const intents = c.intents?.length ? c.intents : ["untagged"];
+    row.calls++;
+    totals.calls++;
+    for (const i of intents) {
+      row.intents[i]++;
+      totals.intents[i]++;
+    }
+  }
+
+  const days = [...rows.values()].sort((a, b) => b.day.localeCompare(a.day) || a.company.localeCompare(b.company));
+  return { days, totals };
+}
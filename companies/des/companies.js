@@ -0,0 +1,181 @@
+// companies/des/companies.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { defaultRetentionDays } from "./recordings.js";
+import { parseSchedule } from "./schedule.js";
+import { parseGuardrail } from "./guardrail.js";
+
+/* =======================
+   COMPANY REGISTRY
+   Every folder under companies/ with a company.json is one tenant.
+   rules.txt in that folder is the Realtime prompt.
+======================= */
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+// read when loadCompanies() runs, not at import: server.js calls dotenv.config() after its imports
+export function companiesDir() {
+  return path.resolve(process.env.COMPANIES_DIR || path.join(HERE, ".."));
+}
+
+// process-wide defaults; company.json "tuning" overrides per key
+function defaultTuning() {
+  return {
+    hangupDelayMs: Number(process.env.HANGUP_DELAY_MS || 2500),
+    // no mark ack from Twilio within this window -> hang up anyway
+    hangupMarkTimeoutMs: Number(process.env.HANGUP_MARK_TIMEOUT_MS || 8000),
+    bargeInIgnoreMs: Number(process.env.BARGE_IN_IGNORE_MS || 600),
+    muteSttWhileSpeaking: String(process.env.MUTE_STT_WHILE_SPEAKING || "1") !== "0",
+    vadThreshold: 0.5,
+    vadPrefixPaddingMs: 300,
+    vadSilenceDurationMs: 500,
+    temperature: 0.6,
+    maxResponseOutputTokens: 250,
+  };
+}
+
+function fallbackInstructions() {
+  return (
+    process.env.INSTRUCTIONS_INBOUND ||
+    "Je bent Tessa, inbound receptionist. Antwoord kort, vriendelijk, 1 vraag tegelijk. Nederlands."
+  );
+}
+
+export function normalizeNumber(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return "";
+  const digits = s.replace(/\D/g, "");
+  if (!digits) return "";
+  if (s.startsWith("+")) return `+${digits}`;
+  if (digits.startsWith("00")) return `+${digits.slice(2)}`;
+  return `+${digits}`;
+}
+
+// defaults: { tuning, instructions } from the environment, see loadCompanies()
+function loadCompany(dir, defaults) {
+  const cfgPath = path.join(dir, "company.json");
+  const cfg = JSON.parse(fs.readFileSync(cfgPath, "utf8"));
+  const id = cfg.id || path.basename(dir);
+
+  const rulesPath = path.join(dir, cfg.rulesFile || "rules.txt");
+  const instructions = fs.existsSync(rulesPath)
+    ? fs.readFileSync(rulesPath, "utf8").trim()
+    : defaults.instructions;
+
+  const voice = cfg.voice || {};
+  const transfer = cfg.transfer || {};
+
+  // TTS_PROVIDER forces one engine for every company (e.g. espeak for offline development)
+  const provider = process.env.TTS_PROVIDER || voice.provider || "elevenlabs";
+  const fallback = process.env.TTS_PROVIDER ? "" : voice.fallback || "";
+  const eleven = voice.elevenlabs || {};
+  const voiceId = eleven.voiceId || process.env.ELEVENLABS_VOICE_ID;
+  if ([provider, fallback].includes("elevenlabs") && !voiceId) {
+    throw new Error(`COMPANY_VOICE_MISSING ${id}`);
+  }
+
+  return {
+    id,
+    name: cfg.name || id,
+    dir,
+    numbers: (cfg.numbers || []).map(normalizeNumber).filter(Boolean),
+    greeting: cfg.greeting || process.env.INBOUND_GREETING || `Hoi, met Tessa van ${cfg.name || id}.`,
+    instructions,
+    voice: {
+      provider,
+      fallback,
+      elevenlabs: {
+        voiceId,
+        model: eleven.model || process.env.ELEVENLABS_MODEL || "eleven_multilingual_v2",
+      },
+      espeak: {
+        voice: voice.espeak?.voice || "nl",
+        speed: Number(voice.espeak?.speed || 165),
+      },
+    },
+    tools: cfg.tools || [],
+    // lines Tessa says all day; synthesized into the phrase cache at startup
+    cachePhrases: cfg.cachePhrases || [],
+    ownerEmail: cfg.ownerEmail || process.env.OWNER_EMAIL || "",
+    transfer: {
+      // all numbers ring at once; first to answer gets the caller
+      numbers: (transfer.numbers || []).map(normalizeNumber).filter(Boolean),
+      timeoutSeconds: Number(transfer.timeoutSeconds || 20),
+      callerId: transfer.callerId ? normalizeNumber(transfer.callerId) : "",
+      handoverLine: transfer.handoverLine || "Ik verbind u door met een medewerker. Een moment alstublieft.",
+      // nobody answered: after the fallback message, record a voicemail instead of hanging up
+      voicemail: transfer.voicemail === true,
+      voicemailMaxSeconds: Number(transfer.voicemailMaxSeconds || 120),
+      fallbackMessage:
+        transfer.fallbackMessage ||
+        "Er is op dit moment helaas geen medewerker beschikbaar. " +
+          (transfer.voicemail === true
+            ? "Spreek na de piep uw bericht in, dan bellen wij u terug."
+            : "Probeert u het later nog eens. Tot ziens."),
+    },
+    // opt-in: stereo WAV of both legs per call, deleted after retentionDays
+    recording: {
+      enabled: cfg.recording?.enabled === true,
+      retentionDays: Number(cfg.recording?.retentionDays || defaultRetentionDays()),
+    },
+    // opening hours and the after-hours behaviour of /twiml (see schedule.js)
+    schedule: parseSchedule(cfg.schedule || {}, { id, name: cfg.name || id }),
+    // what the model may not say, checked before TTS (see guardrail.js)
+    guardrail: parseGuardrail(cfg.guardrail || {}, { id }),
+    // caller goes quiet: reprompt every timeoutSeconds, after maxReprompts say goodbye and hang up
+    silence: {
+      enabled: cfg.silence?.enabled !== false,
+      timeoutSeconds: Number(cfg.silence?.timeoutSeconds || 10),
+      maxReprompts: Number(cfg.silence?.maxReprompts ?? 2),
+      repromptLines: cfg.silence?.repromptLines || ["Bent u er nog?"],
+      goodbyeLine:
+        cfg.silence?.goodbyeLine || "Ik hoor helaas niets meer. Belt u gerust opnieuw. Tot ziens.",
+    },
+    // hard cap on a call (0 = none); warningLine plays warningSeconds before the cut-off
+    maxDuration: {
+      seconds: Number(cfg.maxDuration?.seconds ?? 900),
+      warningSeconds: Number(cfg.maxDuration?.warningSeconds ?? 60),
+      warningLine:
+        cfg.maxDuration?.warningLine || "Ons gesprek duurt al even. Over een minuut moet ik het helaas afronden.",
+      goodbyeLine:
+        cfg.maxDuration?.goodbyeLine ||
+        "Ik moet het gesprek nu helaas afronden. Belt u gerust opnieuw als u nog vragen heeft. Tot ziens.",
+    },
+    tuning: { ...defaults.tuning, ...(cfg.tuning || {}) },
+  };
+}
+
+export function loadCompanies(root = companiesDir()) {
+  const byId = new Map();
+  const byNumber = new Map();
+  const defaults = { tuning: defaultTuning(), instructions: fallbackInstructions() };
+
+  for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const dir = path.join(root, entry.name);
+    if (!fs.existsSync(path.join(dir, "company.json"))) continue;
+
+    const company = loadCompany(dir, defaults);
+    if (byId.has(company.id)) throw new Error(`COMPANY_DUPLICATE_ID ${company.id}`);
+    byId.set(company.id, company);
+
+    for (const n of company.numbers) {
+      if (byNumber.has(n)) {
+        throw new Error(`COMPANY_DUPLICATE_NUMBER ${n} (${byNumber.get(n).id}, ${company.id})`);
+      }
+      byNumber.set(n, company);
+    }
+  }
+
+  if (!byId.size) throw new Error(`NO_COMPANIES_FOUND in ${root}`);
+
+  const defaultId = process.env.DEFAULT_COMPANY || (byId.size === 1 ? [...byId.keys()][0] : "");
+  if (defaultId && !byId.has(defaultId)) throw new Error(`DEFAULT_COMPANY_UNKNOWN ${defaultId}`);
+
+  return {
+    all: () => [...byId.values()],
+    get: (id) => byId.get(id) || null,
+    // dialed number -> company; unknown numbers go to DEFAULT_COMPANY (if any)
+    forNumber: (to) => byNumber.get(normalizeNumber(to)) || byId.get(defaultId) || null,
+  };
+}
@@ -0,0 +1,134 @@
+// companies/des/complaints.js
+import { readJson, writeJson, newId } from "./store.js";
+import { sendMail } from "./mailer.js";
+import { log } from "./logger.js";
+
+/* =======================
+   COMPLAINT TICKETS (INTENT 4)
+   Every ticket is persisted before the first send attempt; failed sends stay
+   "pending" and are retried with backoff, also after a restart.
+======================= */
+const COMPLAINTS_FILE = "complaints.json";
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// COMPLAINT_RETRY_* are read on use, after server.js ran dotenv.config()
+const retryBaseMs = () => Number(process.env.COMPLAINT_RETRY_BASE_MS || 60000);
+
+let tickets = null;
+let retryTimer = null;
+let resolveOwnerEmail = () => "";
+const inFlight = new Set();
+
+function load() {
+  if (!tickets) tickets = readJson(COMPLAINTS_FILE, { tickets: [] }).tickets;
+  return tickets;
+}
+
+function persist() {
+  writeJson(COMPLAINTS_FILE, { tickets: load() });
+}
+
+function formatMail(t) {
+  const lines = [
+    `Nieuwe klacht via Tessa (${t.companyName})`,
+    "",
+    `Ticket:   ${t.id}`,
+    `Datum:    ${t.createdAt}`,
+    `Beller:   ${t.callerNumber || "onbekend"}`,
+    `CallSid:  ${t.callSid || "-"}`,
+    "",
+    "Samenvatting:",
+    t.summary,
+  ];
+  if (t.transcriptExcerpt.length) {
+    lines.push("", "Fragment gesprek:");
+    for (const turn of t.transcriptExcerpt) {
+      lines.push(`${turn.role === "user" ? "Beller" : "Tessa"}: ${turn.text}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+async function attemptSend(t) {
+  if (inFlight.has(t.id)) return;
+  inFlight.add(t.id);
+  t.attempts++;
+  try {
+    // a ticket without owner address is kept (and retried) so a config fix still delivers it
+    if (!t.ownerEmail) t.ownerEmail = resolveOwnerEmail(t.company) || "";
+    if (!t.ownerEmail) throw new Error("OWNER_EMAIL_MISSING");
+    const messageId = await sendMail({
+      to: t.ownerEmail,
+      subject: `Klacht ${t.companyName}: ${t.summary.slice(0, 60)}`,
+      text: formatMail(t),
+    });
+    t.status = "sent";
+    t.sentAt = new Date().toISOString();
+    t.messageId = messageId;
+    t.lastError = null;
+    log.info("COMPLAINT_SENT", {
+      id: t.id,
+      callSid: t.callSid || undefined,
+      company: t.company,
+      to: t.ownerEmail,
+    });
+  } catch (e) {
+    const backoff = Math.min(RETRY_MAX_MS, retryBaseMs() * 2 ** (t.attempts - 1));
+    t.lastError = e.message;
+    t.nextAttemptAt = Date.now() + backoff;
+    log.error("COMPLAINT_SEND_FAILED", {
+      id: t.id,
+      callSid: t.callSid || undefined,
+      company: t.company,
+      attempt: t.attempts,
+      retryInMs: backoff,
+      error: e,
+    });
+  } finally {
+    inFlight.delete(t.id);
+    persist();
+  }
+}
+
+export function createComplaint({ summary }, ctx) {
+  const text = String(summary || "").replace(/\s+/g, " ").trim().slice(0, 2000);
+  if (!text) return { ok: false, errors: ["summary ontbreekt"] };
+
+  const t = {
+    id: newId("cmp"),
+    createdAt: new Date().toISOString(),
+    company: ctx.companyId,
+    companyName: ctx.companyName,
+    ownerEmail: ctx.ownerEmail,
+    callSid: ctx.callSid || null,
+    callerNumber: ctx.callerNumber || null,
+    summary: text,
+    transcriptExcerpt: ctx.transcriptExcerpt || [],
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    lastError: null,
+  };
+  load().push(t);
+  persist();
+
+  attemptSend(t).catch(() => {});
+  return { ok: true, ticket: t };
+}
+
+export function listComplaints({ company, status } = {}) {
+  return load().filter(
+    (t) => (!company || t.company === company) && (!status || t.status === status)
+  );
+}
+
+export function startComplaintRetries(ownerEmailFor) {
+  if (ownerEmailFor) resolveOwnerEmail = ownerEmailFor;
+  if (retryTimer) return;
+  retryTimer = setInterval(() => {
+    const now = Date.now();
+    for (const t of load()) {
+      if (t.status === "pending" && t.nextAttemptAt <= now) attemptSend(t).catch(() => {});
+    }
+  }, Number(process.env.COMPLAINT_RETRY_TICK_MS || 30000));
+  retryTimer.unref();
+}
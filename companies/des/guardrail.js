@@ -0,0 +1,77 @@
+// companies/des/guardrail.js
+
+/* =======================
+   OUTPUT GUARDRAIL
+   rules.txt tells the model what it may not say; this checks that it did not.
+   Every reply is matched against the company's policy before it reaches TTS.
+   A reply that breaks a rule is not spoken: the caller hears the fallback line.
+
+   "guardrail": {
+     "enabled": true,
+     "rules": ["currency_amount", "rate", "promised_date", "callback_planning"],   // default: all built-ins
+     "patterns": [{ "name": "legal", "regex": "\\bu bent (?:wettelijk )?verplicht\\b" }],
+     "fallbackLine": "..."
+   }
+   The built-ins only look for things Tessa never has to say; refusals such as
+   "ik noem geen prijzen" pass. Subject matter (security or legal advice) needs
+   company-specific patterns.
+======================= */
+const NUMBER_WORD =
+  "(?:\\d[\\d.,]*|(?:een|twee|drie|vier|vijf|zes|zeven|acht|negen|tien|elf|twaalf|dertien|veertien|\\w+tig|honderd|duizend)\\w*)";
+const MONTHS = "januari|februari|maart|april|mei|juni|juli|augustus|september|oktober|november|december";
+const WEEKDAYS = "maandag|dinsdag|woensdag|donderdag|vrijdag|zaterdag|zondag";
+
+const BUILT_IN_RULES = {
+  // "€ 45", "45 euro", "vijfenveertig euro", "EUR 1.200"
+  currency_amount: new RegExp(`(?:€|\\beur\\b)\\s*\\d|\\b${NUMBER_WORD}\\s*(?:€|euro(?:'s)?\\b|eur\\b)`, "i"),
+  // "per uur", "uurtarief"; not "24 uur per dag"
+  rate: /\bper\s+(?:uur|dienst|beveiliger|persoon)\b|\b(?:uur|dag|nacht)tarief\b|\btarief\s+van\b|\/\s*uur\b/i,
+  // deadlines and availability: "morgen", "volgende week", "binnen twee werkdagen", "op 3 maart"; not "24/7"
+  promised_date: new RegExp(
+    `(?<!goede\\s)\\b(?:morgen|overmorgen|vandaag nog|deze week|volgende week|komende week)\\b` +
+      `|\\b(?:aanstaande|komende|volgende)\\s+(?:${WEEKDAYS})\\b` +
+      `|\\bbinnen\\s+${NUMBER_WORD}\\s+(?:uur|dagen|dag|werkdagen|werkdag|weken|week)\\b` +
+      `|\\b\\d{1,2}\\s+(?:${MONTHS})\\b|\\b\\d{1,2}[-/]\\d{1,2}[-/]\\d{2,4}\\b`,
+    "i"
+  ),
+  // a call-back slot; "DES neemt contact met u op" and "ik kan geen terugbelafspraak plannen" are fine
+  callback_planning:
+    /\b(?:ik|we|wij)\s+(?:\S+\s+){0,2}?(?:plan|plannen|zet|zetten)\s+(?:\S+\s+){0,3}?terugbel\w*|\bbel(?:t|len)?\s+(?:ik|we|wij)?\s*(?:u|je|jou)\s+(?:\S+\s+){0,3}?terug\s+(?:om|op|rond|tussen)\b/i,
+};
+
+const DEFAULT_FALLBACK_LINE =
+  "Daar kan ik helaas geen uitspraak over doen. Wel kan ik uw aanvraag noteren, dan neemt een collega contact met u op.";
+
+// cfg missing: every built-in rule with the default fallback line
+export function parseGuardrail(cfg = {}, { id }) {
+  try {
+    const names = cfg.rules || Object.keys(BUILT_IN_RULES);
+    const rules = names.map((name) => {
+      if (!BUILT_IN_RULES[name]) throw new Error(`unknown rule "${name}"`);
+      return { name, re: BUILT_IN_RULES[name] };
+    });
+    for (const p of cfg.patterns || []) {
+      if (!p?.name || !p?.regex) throw new Error(`pattern needs name and regex: ${JSON.stringify(p)}`);
+      // g and y make exec() resume at lastIndex, so every other reply would slip through
+      const flags = (p.flags ?? "i").replace(/[gy]/g, "");
+      rules.push({ name: p.name, re: new RegExp(p.regex, flags) });
+    }
+    return {
+      enabled: cfg.enabled !== false,
+      rules,
+      fallbackLine: cfg.fallbackLine || DEFAULT_FALLBACK_LINE,
+    };
+  } catch (e) {
+    throw new Error(`COMPANY_GUARDRAIL_INVALID ${id}: ${e.message}`);
+  }
+}
+
+// -> null when the text may be spoken, else { rule, match }
+export function checkReply(guardrail, text) {
+  if (!guardrail.enabled) return null;
+  for (const { name, re } of guardrail.rules) {
+    const m = re.exec(text);
+    if (m) return { rule: name, match: m[0].trim() };
+  }
+  return null;
+}
@@ -0,0 +1,75 @@
+// companies/des/leads.js
+import { appendJsonl, readJsonl, newId } from "./store.js";
+import { parsePhone } from "./phone.js";
+
+/* =======================
+   QUOTE REQUESTS (INTENT 2)
+======================= */
+const LEADS_FILE = "leads.jsonl";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+
+// Callers spell addresses out loud; Whisper renders that as "jan at bedrijf punt nl".
+export function normalizeEmail(raw) {
+  const s = String(raw || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+(at|apenstaartje)\s+/g, "@")
+    .replace(/\s+(punt|dot)\s+/g, ".")
+    .replace(/\s+/g, "");
+  return EMAIL_RE.test(s) ? s : null;
+}
+
+function cleanText(v, max) {
+  return String(v || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, max);
+}
+
+export function validateQuoteRequest(args) {
+  const errors = [];
+
+  const contactName = cleanText(args.contact_name, 120);
+  const companyName = cleanText(args.company_name, 160);
+  const description = cleanText(args.description, 2000);
+  const email = normalizeEmail(args.email);
+  const phone = parsePhone(args.phone);
+
+  if (!contactName) errors.push("contact_name ontbreekt");
+  if (!companyName) errors.push("company_name ontbreekt");
+  if (!email) errors.push(`email ongeldig: "${cleanText(args.email, 120)}"`);
+  // the model reads these back, so say why a number was refused
+  if (!phone.ok) {
+    const hint = phone.reason === "unsupported_country" ? " (alleen nummers uit NL, BE, DE, FR of het VK)" : "";
+    errors.push(`phone ongeldig: "${cleanText(args.phone, 40)}"${hint}`);
+  } else if (phone.blocked) {
+    errors.push(`phone is een ${phone.type === "premium" ? "betaalnummer" : "alarmnummer"}, vraag een ander nummer`);
+  }
+  if (!description) errors.push("description ontbreekt");
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, fields: { contactName, companyName, email, phone: phone.e164, phoneType: phone.type, description } };
+}
+
+export function saveLead(fields, ctx) {
+  const lead = {
+    id: newId("lead"),
+    createdAt: new Date().toISOString(),
+    company: ctx.companyId,
+    callSid: ctx.callSid || null,
+    callerNumber: ctx.callerNumber || null,
+    ...fields,
+  };
+  appendJsonl(LEADS_FILE, lead);
+  return lead;
+}
+
+export function listLeads({ company, since } = {}) {
+  const sinceMs = since ? Date.parse(since) : NaN;
+  return readJsonl(LEADS_FILE).filter(
+    (l) =>
+      (!company || l.company === company) &&
+      (Number.isNaN(sinceMs) || Date.parse(l.createdAt) >= sinceMs)
+  );
+}
@@ -0,0 +1,54 @@
+// companies/des/logger.js
+
+/* =======================
+   STRUCTURED LOGGING
+   One JSON object per line on stdout (errors on stderr):
+   { ts, level, event, callSid, streamSid, company, ...fields }
+   event is an UPPER_SNAKE name to grep and alert on; fields carry the details.
+   LOG_LEVEL = debug | info | warn | error (default info).
+======================= */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// read on first use: modules import the logger before server.js runs dotenv.config()
+let minLevel = null;
+function threshold() {
+  if (minLevel === null) {
+    minLevel = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+  }
+  return minLevel;
+}
+
+function normalize(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields || {})) {
+    if (v === undefined) continue;
+    out[k] = v instanceof Error ? v.message : v;
+  }
+  return out;
+}
+
+function write(level, context, event, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const line = JSON.stringify({
+    ts: new Date().toISOString(),
+    level,
+    event,
+    ...normalize(typeof context === "function" ? context() : context),
+    ...normalize(fields),
+  });
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line + "\n");
+  else process.stdout.write(line + "\n");
+}
+
+// context: fields on every line, or a function returning them (evaluated per line,
+// so a call logger picks up callSid/streamSid once "start" has set them)
+export function createLogger(context = {}) {
+  return {
+    debug: (event, fields) => write("debug", context, event, fields),
+    info: (event, fields) => write("info", context, event, fields),
+    warn: (event, fields) => write("warn", context, event, fields),
+    error: (event, fields) => write("error", context, event, fields),
+  };
+}
+
+export const log = createLogger();
@@ -0,0 +1,29 @@
+// companies/des/mailer.js
+import nodemailer from "nodemailer";
+
+/* =======================
+   SMTP
+   Any SMTP server works; for local runs point SMTP_HOST at a sink (e.g. smtp4dev, MailHog).
+======================= */
+let transport = null;
+let mailFrom = "";
+
+// settings are read when the first mail goes out: server.js runs dotenv.config() after its imports
+export async function sendMail({ to, subject, text }) {
+  if (!transport) {
+    const host = process.env.SMTP_HOST || "";
+    if (!host) throw new Error("SMTP_NOT_CONFIGURED");
+    const user = process.env.SMTP_USER || "";
+    transport = nodemailer.createTransport({
+      host,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: String(process.env.SMTP_SECURE || "0") === "1",
+      auth: user ? { user, pass: process.env.SMTP_PASS || "" } : undefined,
+      // local sinks usually have no valid certificate
+      tls: { rejectUnauthorized: String(process.env.SMTP_TLS_STRICT || "1") !== "0" },
+    });
+    mailFrom = process.env.MAIL_FROM || "tessa@localhost";
+  }
+  const info = await transport.sendMail({ from: mailFrom, to, subject, text });
+  return info.messageId;
+}
@@ -0,0 +1,174 @@
+// companies/des/metrics.js
+
+/* =======================
+   METRICS (Prometheus text format 0.0.4)
+   Counters, gauges and histograms with labels, kept in process memory and
+   rendered on GET /metrics. All metric names are declared at the bottom.
+======================= */
+const registry = [];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels, extra) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  return Number.isInteger(v) ? String(v) : String(Number(v.toFixed(6)));
+}
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+export function counter(name, help) {
+  const series = new Map(); // labelKey -> { labels, value }
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, v = 1) {
+      const k = labelKey(labels);
+      const s = series.get(k) || { labels, value: 0 };
+      s.value += v;
+      series.set(k, s);
+    },
+    lines() {
+      return [...series.values()].map((s) => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    },
+  });
+}
+
+export function gauge(name, help, collect = null) {
+  const series = new Map();
+  const set = (labels, fn) => {
+    const k = labelKey(labels);
+    const s = series.get(k) || { labels, value: 0 };
+    s.value = fn(s.value);
+    series.set(k, s);
+  };
+  return register({
+    name,
+    help,
+    type: "gauge",
+    inc(labels = {}, v = 1) {
+      set(labels, (x) => x + v);
+    },
+    dec(labels = {}, v = 1) {
+      set(labels, (x) => x - v);
+    },
+    set(labels = {}, v) {
+      set(labels, () => v);
+    },
+    lines() {
+      // computed at scrape time (memory, uptime)
+      if (collect) return [`${name} ${formatValue(collect())}`];
+      return [...series.values()].map((s) => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    },
+  });
+}
+
+export function histogram(name, help, buckets) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map(); // labelKey -> { labels, counts[], sum, count }
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels = {}, value) {
+      if (!Number.isFinite(value)) return;
+      const k = labelKey(labels);
+      let s = series.get(k);
+      if (!s) {
+        s = { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(k, s);
+      }
+      bounds.forEach((b, i) => {
+        if (value <= b) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    },
+    lines() {
+      const out = [];
+      for (const s of series.values()) {
+        bounds.forEach((b, i) => {
+          out.push(`${name}_bucket${formatLabels(s.labels, { le: formatValue(b) })} ${s.counts[i]}`);
+        });
+        out.push(`${name}_bucket${formatLabels(s.labels, { le: "+Inf" })} ${s.count}`);
+        out.push(`${name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+        out.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+      return out;
+    },
+  });
+}
+
+export function renderMetrics() {
+  const out = [];
+  for (const m of registry) {
+    out.push(`# HELP ${m.name} ${m.help}`);
+    out.push(`# TYPE ${m.name} ${m.type}`);
+    out.push(...m.lines());
+  }
+  return out.join("\n") + "\n";
+}
+
+/* ---------- DES metrics ---------- */
+const LATENCY_BUCKETS = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 8];
+const TTFB_BUCKETS = [0.1, 0.2, 0.3, 0.5, 0.75, 1, 1.5, 2, 3, 5];
+
+export const activeCalls = gauge("des_active_calls", "Media streams currently connected, per company");
+export const callsTotal = counter("des_calls_total", "Media streams started, per company");
+export const bargeIns = counter(
+  "des_barge_ins_total",
+  "Caller speech while Tessa was speaking; result=accepted|debounced"
+);
+export const hangups = counter("des_hangups_total", "Calls ended by Tessa, by reason");
+export const guardrailBlocks = counter("des_guardrail_blocks_total", "Replies replaced by the fallback line, per company and rule");
+export const ttsFailures = counter(
+  "des_tts_failures_total",
+  "TTS provider calls that failed (aborts excluded); op=stream|mp3"
+);
+export const ttsFallbacks = counter("des_tts_fallbacks_total", "Times the fallback TTS engine took over");
+export const sttFailures = counter("des_stt_failures_total", "Voicemail transcriptions that failed, per provider");
+export const ffmpegFailures = counter(
+  "des_ffmpeg_failures_total",
+  "ffmpeg transcodes that could not start or exited non-zero; op=ulaw|mp3|wav16k"
+);
+export const responseLatency = histogram(
+  "des_response_latency_seconds",
+  "Caller stops speaking (VAD speech_stopped) -> first audio frame of the answer sent to Twilio",
+  LATENCY_BUCKETS
+);
+export const ttsTtfb = histogram(
+  "des_tts_ttfb_seconds",
+  "Streaming TTS request -> first μ-law chunk (phrase cache hits excluded)",
+  TTFB_BUCKETS
+);
+export const audioFramesSent = counter("des_audio_frames_sent_total", "20 ms μ-law frames sent to Twilio");
+export const audioFramesDropped = counter(
+  "des_audio_frames_dropped_total",
+  "Frames not sent; reason=no_stream_sid|ws_not_open"
+);
+export const audioSendErrors = counter("des_audio_send_errors_total", "Twilio WebSocket send failures");
+export const audioSendLag = histogram(
+  "des_audio_send_lag_max_seconds",
+  "Slowest WebSocket send callback per spoken sentence",
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+);
+export const phraseCache = counter("des_phrase_cache_lookups_total", "Phrase cache lookups; result=hit|miss");
+
+const startedAt = Date.now();
+gauge("des_process_uptime_seconds", "Seconds since the server started", () => (Date.now() - startedAt) / 1000);
+gauge("des_process_resident_memory_bytes", "Resident set size", () => process.memoryUsage().rss);
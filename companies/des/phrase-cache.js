@@ -0,0 +1,227 @@
+// companies/des/phrase-cache.js
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { dataDir } from "./store.js";
+import { log } from "./logger.js";
+
+/* =======================
+   PHRASE CACHE
+   8 kHz μ-law audio per (text, voice, model), on disk under data/phrase-cache/.
+   <key>.ulaw holds the audio, <key>.json what it says; file mtime is the LRU clock
+   so recency survives a restart.
+======================= */
+// PHRASE_CACHE_* are read by load(), after server.js ran dotenv.config()
+let maxBytes = 0;
+// long one-off answers would only churn the cache
+let maxTextChars = 0;
+
+// playback from cache: a head start for Twilio's jitter buffer, then real time
+const LEAD_BYTES = 8000; // 1 s
+const TICK_MS = 100;
+const BYTES_PER_TICK = 800;
+
+const entries = new Map(); // key -> { key, bytes, lastUsedAt, text, voiceKey, createdAt }
+let totalBytes = 0;
+let cacheDir = null; // set by load()
+const stats = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+
+export function voiceKey(voice) {
+  if (voice.provider === "elevenlabs") {
+    return `elevenlabs|${voice.elevenlabs.voiceId}|${voice.elevenlabs.model}`;
+  }
+  return `espeak|${voice.espeak.voice}|${voice.espeak.speed}`;
+}
+
+function phraseKey(text, vKey) {
+  return crypto.createHash("sha1").update(`${text}\n${vKey}`).digest("hex");
+}
+
+function files(key) {
+  return {
+    audio: path.join(cacheDir, `${key}.ulaw`),
+    meta: path.join(cacheDir, `${key}.json`),
+  };
+}
+
+function load() {
+  if (cacheDir) return;
+  maxBytes = Number(process.env.PHRASE_CACHE_MAX_BYTES || 200 * 1024 * 1024);
+  maxTextChars = Number(process.env.PHRASE_CACHE_MAX_TEXT_CHARS || 400);
+  cacheDir = dataDir("phrase-cache");
+  for (const name of fs.readdirSync(cacheDir)) {
+    if (!name.endsWith(".ulaw")) continue;
+    const key = name.slice(0, -5);
+    const f = files(key);
+    try {
+      const st = fs.statSync(f.audio);
+      const meta = JSON.parse(fs.readFileSync(f.meta, "utf8"));
+      entries.set(key, { key, bytes: st.size, lastUsedAt: st.mtimeMs, ...meta });
+      totalBytes += st.size;
+    } catch {
+      // half-written entry (no meta): drop it
+      remove(key);
+    }
+  }
+  evict();
+}
+
+function remove(key) {
+  const f = files(key);
+  const e = entries.get(key);
+  if (e) {
+    totalBytes -= e.bytes;
+    entries.delete(key);
+  }
+  try {
+    fs.unlinkSync(f.audio);
+  } catch {}
+  try {
+    fs.unlinkSync(f.meta);
+  } catch {}
+}
+
+function evict() {
+  if (totalBytes <= maxBytes) return;
+  const byAge = [...entries.values()].sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+  for (const e of byAge) {
+    if (totalBytes <= maxBytes) break;
+    remove(e.key);
+    stats.evictions++;
+  }
+}
+
+function get(key) {
+  load();
+  const e = entries.get(key);
+  if (!e) return null;
+  try {
+    const buf = fs.readFileSync(files(key).audio);
+    const now = new Date();
+    e.lastUsedAt = now.getTime();
+    fs.utimesSync(files(key).audio, now, now);
+    return buf;
+  } catch {
+    remove(key);
+    return null;
+  }
+}
+
+function put(key, buf, meta) {
+  load();
+  if (!buf.length || buf.length > maxBytes) return;
+  if (entries.has(key)) remove(key);
+
+  const f = files(key);
+  const entryMeta = { ...meta, createdAt: new Date().toISOString() };
+  fs.writeFileSync(f.meta, JSON.stringify(entryMeta));
+  fs.writeFileSync(f.audio, buf);
+
+  entries.set(key, { key, bytes: buf.length, lastUsedAt: Date.now(), ...entryMeta });
+  totalBytes += buf.length;
+  stats.stores++;
+  evict();
+}
+
+async function playBuffer(buf, onUlawChunk, abortSignal) {
+  let off = Math.min(LEAD_BYTES, buf.length);
+  onUlawChunk(buf.subarray(0, off));
+  while (off < buf.length) {
+    await new Promise((r) => setTimeout(r, TICK_MS));
+    if (abortSignal?.aborted) return;
+    const next = Math.min(buf.length, off + BYTES_PER_TICK);
+    onUlawChunk(buf.subarray(off, next));
+    off = next;
+  }
+}
+
+// Same contract as provider.streamUlaw, plus { cacheHit }.
+// Only audio from the company's primary engine is stored, never fallback audio,
+// and only once streamUlaw resolved: a stream that failed halfway throws.
+export async function streamUlawCached(tts, voice, text, onUlawChunk, abortSignal) {
+  const vKey = voiceKey(voice);
+  const key = phraseKey(text, vKey);
+  load();
+  const cacheable = text.length <= maxTextChars;
+
+  const hit = cacheable ? get(key) : null;
+  if (hit) {
+    stats.hits++;
+    await playBuffer(hit, onUlawChunk, abortSignal);
+    return { cacheHit: true, provider: voice.provider };
+  }
+  stats.misses++;
+
+  const chunks = [];
+  const r = await tts.streamUlaw(
+    text,
+    (chunk) => {
+      if (cacheable) chunks.push(chunk);
+      onUlawChunk(chunk);
+    },
+    abortSignal
+  );
+
+  if (cacheable && !abortSignal?.aborted && r?.provider === voice.provider) {
+    try {
+      put(key, Buffer.concat(chunks), { text, voiceKey: vKey });
+    } catch (e) {
+      log.error("PHRASE_CACHE_STORE_FAILED", { error: e });
+    }
+  }
+  return { cacheHit: false, provider: r?.provider };
+}
+
+// Synthesize phrases that are not cached yet (sequentially: one TTS stream at a time).
+export async function warmPhrases(tts, voice, phrases) {
+  load();
+  const vKey = voiceKey(voice);
+  const results = [];
+  for (const raw of phrases) {
+    const text = String(raw || "").trim();
+    if (!text) continue;
+    if (text.length > maxTextChars) {
+      results.push({ text, status: "too_long" });
+      continue;
+    }
+    const key = phraseKey(text, vKey);
+    if (entries.has(key)) {
+      results.push({ text, status: "cached" });
+      continue;
+    }
+    try {
+      const chunks = [];
+      const r = await tts.streamUlaw(text, (c) => chunks.push(c));
+      if (r?.provider !== voice.provider) {
+        results.push({ text, status: "skipped_fallback_voice" });
+        continue;
+      }
+      put(key, Buffer.concat(chunks), { text, voiceKey: vKey });
+      results.push({ text, status: "warmed" });
+    } catch (e) {
+      results.push({ text, status: "failed", error: e.message });
+    }
+  }
+  return results;
+}
+
+export function phraseCacheInfo() {
+  load();
+  return {
+    maxBytes,
+    totalBytes,
+    count: entries.size,
+    ...stats,
+    entries: [...entries.values()]
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map((e) => ({
+        key: e.key,
+        bytes: e.bytes,
+        seconds: Math.round((e.bytes / 8000) * 10) / 10,
+        voiceKey: e.voiceKey,
+        text: e.text,
+        createdAt: e.createdAt,
+        lastUsedAt: new Date(e.lastUsedAt).toISOString(),
+      })),
+  };
+}
@@ -0,0 +1,215 @@
+// companies/des/recordings.js
+import fs from "fs";
+import path from "path";
+import { dataDir } from "./store.js";
+import { isSafeCallSid } from "./transcripts.js";
+import { log } from "./logger.js";
+
+/* =======================
+   CALL RECORDINGS
+   Stereo 16-bit WAV per callSid: left = caller (Twilio inbound media),
+   right = Tessa (the μ-law frames speak() sends). Both legs are laid out on
+   the stream clock: inbound by Twilio's media timestamp, outbound by a model
+   of Twilio's playout buffer (frames queue behind each other, a "clear" drops
+   whatever had not played yet). Kept in memory during the call, written at the end.
+======================= */
+const SAMPLE_RATE = 8000;
+const ULAW_SILENCE = 0xff;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// RECORDING_* are read on use: this module is imported before server.js runs dotenv.config()
+export function defaultRetentionDays() {
+  return Number(process.env.RECORDING_RETENTION_DAYS || 30);
+}
+
+// G.711 μ-law -> 16-bit linear
+const ULAW_TO_PCM = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const sample = ((((u & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+  ULAW_TO_PCM[i] = u & 0x80 ? -sample : sample;
+}
+
+function recordingsDir() {
+  return dataDir("recordings");
+}
+
+function files(callSid) {
+  const dir = recordingsDir();
+  return { wav: path.join(dir, `${callSid}.wav`), meta: path.join(dir, `${callSid}.json`) };
+}
+
+// μ-law bytes at absolute sample offsets; gaps are silence
+function createTrack() {
+  const maxBytes = Number(process.env.RECORDING_MAX_SECONDS || 3600) * SAMPLE_RATE;
+  let buf = Buffer.alloc(SAMPLE_RATE * 10, ULAW_SILENCE);
+  let length = 0;
+
+  return {
+    get length() {
+      return length;
+    },
+    writeAt(offset, bytes) {
+      const end = Math.min(offset + bytes.length, maxBytes);
+      if (offset >= end) return;
+      if (end > buf.length) {
+        const grown = Buffer.alloc(Math.min(maxBytes, Math.max(end, buf.length * 2)), ULAW_SILENCE);
+        buf.copy(grown, 0, 0, length);
+        buf = grown;
+      }
+      bytes.copy(buf, offset, 0, end - offset);
+      length = Math.max(length, end);
+    },
+    truncate(offset) {
+      if (offset >= length) return;
+      buf.fill(ULAW_SILENCE, offset, length);
+      length = offset;
+    },
+    byteAt(i) {
+      return i < length ? buf[i] : ULAW_SILENCE;
+    },
+  };
+}
+
+function wavHeader(dataBytes) {
+  const h = Buffer.alloc(44);
+  h.write("RIFF", 0);
+  h.writeUInt32LE(36 + dataBytes, 4);
+  h.write("WAVE", 8);
+  h.write("fmt ", 12);
+  h.writeUInt32LE(16, 16); // PCM fmt chunk
+  h.writeUInt16LE(1, 20); // PCM
+  h.writeUInt16LE(2, 22); // stereo
+  h.writeUInt32LE(SAMPLE_RATE, 24);
+  h.writeUInt32LE(SAMPLE_RATE * 4, 28); // byte rate
+  h.writeUInt16LE(4, 32); // block align
+  h.writeUInt16LE(16, 34); // bits per sample
+  h.write("data", 36);
+  h.writeUInt32LE(dataBytes, 40);
+  return h;
+}
+
+function toStereoWav(caller, tessa) {
+  const frames = Math.max(caller.length, tessa.length);
+  const out = Buffer.alloc(44 + frames * 4);
+  wavHeader(frames * 4).copy(out, 0);
+  for (let i = 0, o = 44; i < frames; i++, o += 4) {
+    out.writeInt16LE(ULAW_TO_PCM[caller.byteAt(i)], o);
+    out.writeInt16LE(ULAW_TO_PCM[tessa.byteAt(i)], o + 2);
+  }
+  return { wav: out, seconds: Math.round((frames / SAMPLE_RATE) * 10) / 10 };
+}
+
+export function startRecording({ callSid, company, retentionDays }) {
+  if (!isSafeCallSid(callSid)) return null;
+
+  const startedAt = Date.now();
+  const caller = createTrack();
+  const tessa = createTrack();
+  let playhead = 0; // where Twilio will play the next outbound byte
+  let finished = false;
+
+  const streamNow = () => Math.round(((Date.now() - startedAt) * SAMPLE_RATE) / 1000);
+
+  return {
+    // Twilio "media" event: payload is μ-law, timestamp ms since the stream started
+    inbound(payload, timestampMs) {
+      const ts = Number(timestampMs);
+      const offset = Number.isFinite(ts) ? Math.round((ts * SAMPLE_RATE) / 1000) : caller.length;
+      caller.writeAt(offset, payload);
+    },
+    // a μ-law frame handed to Twilio; it plays after whatever is still queued
+    outbound(frame) {
+      const offset = Math.max(playhead, streamNow());
+      tessa.writeAt(offset, frame);
+      playhead = offset + frame.length;
+    },
+    // Twilio "clear": the unplayed tail never reached the caller
+    clear() {
+      const now = streamNow();
+      tessa.truncate(now);
+      playhead = Math.min(playhead, now);
+    },
+    async finish() {
+      if (finished) return null;
+      finished = true;
+
+      const { wav, seconds } = toStereoWav(caller, tessa);
+      const f = files(callSid);
+      const meta = {
+        callSid,
+        company,
+        startedAt: new Date(startedAt).toISOString(),
+        endedAt: new Date().toISOString(),
+        seconds,
+        bytes: wav.length,
+        expiresAt: new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000).toISOString(),
+      };
+      const tmp = `${f.wav}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, wav);
+      await fs.promises.rename(tmp, f.wav);
+      await fs.promises.writeFile(f.meta, JSON.stringify(meta, null, 2));
+      return meta;
+    },
+  };
+}
+
+// -> { file, meta } | null
+export function findRecording(callSid) {
+  if (!isSafeCallSid(callSid)) return null;
+  const f = files(callSid);
+  if (!fs.existsSync(f.wav)) return null;
+  let meta = null;
+  try {
+    meta = JSON.parse(fs.readFileSync(f.meta, "utf8"));
+  } catch {}
+  return { file: f.wav, meta };
+}
+
+// deletes recordings past their expiresAt (orphans without meta: by file age)
+export function pruneRecordings() {
+  const dir = recordingsDir();
+  const now = Date.now();
+  let removed = 0;
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith(".wav")) continue;
+    const callSid = name.slice(0, -4);
+    const f = files(callSid);
+    let expiresAt;
+    try {
+      expiresAt = Date.parse(JSON.parse(fs.readFileSync(f.meta, "utf8")).expiresAt);
+    } catch {
+      try {
+        expiresAt = fs.statSync(f.wav).mtimeMs + defaultRetentionDays() * 24 * 60 * 60 * 1000;
+      } catch {
+        continue;
+      }
+    }
+    if (!(expiresAt <= now)) continue;
+    for (const p of [f.wav, f.meta]) {
+      try {
+        fs.unlinkSync(p);
+      } catch {}
+    }
+    removed++;
+  }
+  return removed;
+}
+
+let pruneTimer = null;
+
+export function startRecordingRetention() {
+  if (pruneTimer) return;
+  const run = () => {
+    try {
+      const removed = pruneRecordings();
+      if (removed) log.info("RECORDINGS_PRUNED", { count: removed });
+    } catch (e) {
+      log.error("RECORDINGS_PRUNE_FAILED", { error: e });
+    }
+  };
+  run();
+  pruneTimer = setInterval(run, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+}
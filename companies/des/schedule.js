@@ -0,0 +1,225 @@
+// companies/des/schedule.js
+import { readJson, writeJson } from "./store.js";
+
+/* =======================
+   OPENING HOURS
+   company.json "schedule" decides whether /twiml connects Tessa: weekly hours,
+   Dutch public holidays and fixed closures, in the company's time zone. A
+   temporary override set through the API (DATA_DIR/schedule-overrides.json)
+   wins over all of those until it expires. No hours = open around the clock.
+
+   "schedule": {
+     "timezone": "Europe/Amsterdam",
+     "hours": { "mon": "08:00-17:30", "tue": "08:00-12:00,13:00-17:30", "sat": "" },
+     "holidays": "nl",                       // false = open on public holidays
+     "closures": [{ "from": "2026-12-28", "until": "2026-12-31", "reason": "Kerstsluiting" }],
+     "afterHours": { "action": "hangup" | "voicemail" | "connect", "message": "...", "instruction": "..." }
+   }
+   Days left out of "hours" are closed.
+======================= */
+const OVERRIDES_FILE = "schedule-overrides.json";
+const DAY_KEYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"]; // ISO weekday 1..7
+const AFTER_HOURS_ACTIONS = ["hangup", "voicemail", "connect"];
+
+const DEFAULT_AFTER_HOURS_INSTRUCTION =
+  "Het is nu buiten kantooruren. Er is geen medewerker beschikbaar en doorverbinden kan niet. " +
+  "Zeg dat als de beller om een medewerker vraagt, en help verder waar je kunt.";
+
+/* ---------- config ---------- */
+function toMinutes(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm).trim());
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+// "08:00-12:00, 13:00-17:30" -> [[480, 720], [780, 1050]]; "" / null = closed that day
+function parseRanges(raw) {
+  if (!raw) return [];
+  return String(raw)
+    .split(",")
+    .map((part) => {
+      const [from, to] = part.split("-").map(toMinutes);
+      if (from === null || to == null || to <= from) {
+        throw new Error(`bad hours "${part.trim()}"`);
+      }
+      return [from, to];
+    });
+}
+
+function isDate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(s || ""));
+}
+
+// cfg missing: always open, but afterHours still applies to a "closed" override
+export function parseSchedule(cfg = {}, { id, name }) {
+  try {
+    let hours = null;
+    if (cfg.hours) {
+      hours = {};
+      DAY_KEYS.forEach((key, i) => {
+        hours[i + 1] = parseRanges(cfg.hours[key]);
+      });
+    }
+
+    const closures = (cfg.closures || []).map((c) => {
+      const until = c.until || c.from;
+      if (!isDate(c.from) || !isDate(until)) throw new Error(`bad closure ${JSON.stringify(c)}`);
+      return { from: c.from, until, reason: c.reason || "" };
+    });
+
+    const timezone = cfg.timezone || "Europe/Amsterdam";
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone }); // throws on an unknown zone
+
+    const ah = cfg.afterHours || {};
+    const action = ah.action || "hangup";
+    if (!AFTER_HOURS_ACTIONS.includes(action)) throw new Error(`bad afterHours.action "${action}"`);
+
+    return {
+      timezone,
+      hours,
+      // without hours the line is open around the clock, holidays only when asked for
+      holidays: cfg.holidays === false ? null : cfg.holidays || (hours ? "nl" : null),
+      closures,
+      afterHours: {
+        action,
+        message:
+          ah.message ||
+          `U belt ${name} buiten onze openingstijden.` +
+            (action === "voicemail" ? " Spreek na de piep uw bericht in, dan bellen wij u terug." : ""),
+        instruction: ah.instruction || DEFAULT_AFTER_HOURS_INSTRUCTION,
+        voicemailMaxSeconds: Number(ah.voicemailMaxSeconds || 120),
+      },
+    };
+  } catch (e) {
+    throw new Error(`COMPANY_SCHEDULE_INVALID ${id}: ${e.message}`);
+  }
+}
+
+/* ---------- calendar ---------- */
+// Easter Sunday (anonymous Gregorian algorithm) as a UTC date
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function ymd(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function plusDays(date, n) {
+  return new Date(date.getTime() + n * 86400000);
+}
+
+// The days Dutch businesses close. Bevrijdingsdag (5 May) only in lustrum years, as in most CAOs.
+export function dutchHolidays(year) {
+  const e = easter(year);
+  const kingsDay = new Date(Date.UTC(year, 3, 27));
+  const out = new Map([
+    [`${year}-01-01`, "Nieuwjaarsdag"],
+    [ymd(e), "Eerste Paasdag"],
+    [ymd(plusDays(e, 1)), "Tweede Paasdag"],
+    // on a Sunday it moves to Saturday the 26th
+    [ymd(kingsDay.getUTCDay() === 0 ? plusDays(kingsDay, -1) : kingsDay), "Koningsdag"],
+    [ymd(plusDays(e, 39)), "Hemelvaartsdag"],
+    [ymd(plusDays(e, 49)), "Eerste Pinksterdag"],
+    [ymd(plusDays(e, 50)), "Tweede Pinksterdag"],
+    [`${year}-12-25`, "Eerste Kerstdag"],
+    [`${year}-12-26`, "Tweede Kerstdag"],
+  ]);
+  if (year % 5 === 0) out.set(`${year}-05-05`, "Bevrijdingsdag");
+  return out;
+}
+
+// wall clock in the company's time zone
+function localClock(timezone, now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      weekday: "short",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    year: Number(parts.year),
+    weekday: DAY_KEYS.indexOf(parts.weekday.toLowerCase().slice(0, 3)) + 1,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/* ---------- overrides ---------- */
+let overrides = null; // companyId -> { open, until, reason, setAt }
+
+function loadOverrides() {
+  if (!overrides) overrides = readJson(OVERRIDES_FILE, { overrides: {} }).overrides;
+  return overrides;
+}
+
+export function getOverride(companyId, now = new Date()) {
+  const o = loadOverrides()[companyId];
+  if (!o) return null;
+  if (Date.parse(o.until) <= now.getTime()) return null;
+  return o;
+}
+
+// { open: true|false, until: ISO date-time, reason }
+export function setOverride(companyId, { open, until, reason } = {}) {
+  const untilMs = Date.parse(until || "");
+  if (typeof open !== "boolean") return { ok: false, error: "open must be true or false" };
+  if (Number.isNaN(untilMs) || untilMs <= Date.now()) return { ok: false, error: "until must be a future date-time" };
+  const o = {
+    open,
+    until: new Date(untilMs).toISOString(),
+    reason: String(reason || "").slice(0, 200),
+    setAt: new Date().toISOString(),
+  };
+  loadOverrides()[companyId] = o;
+  writeJson(OVERRIDES_FILE, { overrides: loadOverrides() });
+  return { ok: true, override: o };
+}
+
+export function clearOverride(companyId) {
+  if (!loadOverrides()[companyId]) return false;
+  delete loadOverrides()[companyId];
+  writeJson(OVERRIDES_FILE, { overrides: loadOverrides() });
+  return true;
+}
+
+/* ---------- status ---------- */
+// -> { open, reason: "override" | "closure" | "holiday" | "hours" | "always_open", detail? }
+export function scheduleStatus(company, now = new Date()) {
+  const override = getOverride(company.id, now);
+  if (override) return { open: override.open, reason: "override", detail: override.reason, until: override.until };
+
+  const s = company.schedule;
+  const clock = localClock(s.timezone, now);
+  const closure = s.closures.find((c) => c.from <= clock.date && clock.date <= c.until);
+  if (closure) return { open: false, reason: "closure", detail: closure.reason };
+
+  const holiday = s.holidays === "nl" ? dutchHolidays(clock.year).get(clock.date) : null;
+  if (holiday) return { open: false, reason: "holiday", detail: holiday };
+
+  if (!s.hours) return { open: true, reason: "always_open" };
+  const open = s.hours[clock.weekday].some(([from, to]) => clock.minutes >= from && clock.minutes < to);
+  return { open, reason: "hours" };
+}
@@ -0,0 +1,66 @@
+// companies/des/sentences.js
+
+/* =======================
+   SENTENCE SPLITTING for streamed assistant text
+   A sentence ends at . ! ? … (plus closing quotes/brackets) followed by
+   whitespace, or at a newline. Fragments shorter than minChars are glued to
+   the next sentence so TTS does not get "Ja." on its own.
+======================= */
+const SENTENCE_END_RE = /[.!?…]+["'”’)]*(?=\s)|\n+/g;
+
+// "bijv. de beveiliging" is one sentence
+const ABBREVIATIONS = new Set([
+  "bijv",
+  "bv",
+  "o.a",
+  "ca",
+  "d.w.z",
+  "evt",
+  "incl",
+  "excl",
+  "nr",
+  "mr",
+  "dhr",
+  "mevr",
+  "mw",
+  "ir",
+  "ing",
+  "drs",
+  "dr",
+  "e.d",
+  "enz",
+  "etc",
+  "t.a.v",
+]);
+
+// read per call, not at import: server.js calls dotenv.config() after its imports
+const defaultMinChars = () => Number(process.env.SENTENCE_MIN_CHARS || 12);
+
+function endsWithAbbreviation(text) {
+  const m = /(\S+)\.$/.exec(text);
+  return !!m && ABBREVIATIONS.has(m[1].toLowerCase());
+}
+
+// -> { sentences: complete sentences (trimmed), rest: unfinished tail (untrimmed) }
+export function splitSentences(buf, minChars = defaultMinChars()) {
+  const sentences = [];
+  let start = 0;
+
+  SENTENCE_END_RE.lastIndex = 0;
+  let m;
+  while ((m = SENTENCE_END_RE.exec(buf))) {
+    const end = m.index + m[0].length;
+    const candidate = buf.slice(start, end).trim();
+    if (!candidate) {
+      start = end;
+      continue;
+    }
+    if (candidate.length < minChars) continue;
+    if (m[0][0] === "." && endsWithAbbreviation(buf.slice(start, end))) continue;
+
+    sentences.push(candidate);
+    start = end;
+  }
+
+  return { sentences, rest: buf.slice(start) };
+}
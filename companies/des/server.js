@@ -1,10 +1,60 @@
 // companies/des/server.js
 import dotenv from "dotenv";
+import fs from "fs";
 import http from "http";
 import WebSocket, { WebSocketServer } from "ws";
-import { spawn } from "child_process";
-import { Readable } from "stream";
 import crypto from "crypto";
+import twilio from "twilio";
+import { loadCompanies } from "./companies.js";
+import { createTts } from "./tts/index.js";
+import { createStt } from "./stt/index.js";
+import { streamUlawCached, warmPhrases, phraseCacheInfo } from "./phrase-cache.js";
+import { splitSentences } from "./sentences.js";
+import { checkReply } from "./guardrail.js";
+import { toolDefinitions, runTool } from "./tools.js";
+import { listLeads } from "./leads.js";
+import {
+  recordCallStart,
+  recordServerHangup,
+  applyCallStatus,
+  tagCallIntent,
+  getCall,
+  listCalls,
+  intentStats,
+} from "./calls.js";
+import { scheduleStatus, setOverride, clearOverride } from "./schedule.js";
+import { listComplaints, startComplaintRetries } from "./complaints.js";
+import {
+  captureVoicemail,
+  listVoicemails,
+  getVoicemail,
+  markVoicemailHandled,
+  voicemailFile,
+  startVoicemails,
+} from "./voicemails.js";
+import { openTranscript, readTranscript, transcriptToText } from "./transcripts.js";
+import { startRecording, findRecording, startRecordingRetention } from "./recordings.js";
+import { log, createLogger } from "./logger.js";
+import {
+  activeCalls,
+  callsTotal,
+  bargeIns,
+  hangups,
+  guardrailBlocks,
+  responseLatency,
+  audioFramesSent,
+  audioFramesDropped,
+  audioSendErrors,
+  audioSendLag,
+  phraseCache,
+  renderMetrics,
+} from "./metrics.js";
+import {
+  checkTwilioSignature,
+  issueStreamToken,
+  verifyStreamToken,
+  signatureValidationEnabled,
+} from "./twilio-auth.js";
 
 dotenv.config();
 
@@ -13,33 +63,55 @@ dotenv.config();
 ======================= */
 const PORT = process.env.PORT || 10000;
 
-const INBOUND_GREETING = process.env.INBOUND_GREETING || "Hoi, met Tessa van DES.";
-const INSTRUCTIONS_INBOUND =
-  process.env.INSTRUCTIONS_INBOUND ||
-  "Je bent Tessa, inbound receptionist. Antwoord kort, vriendelijk, 1 vraag tegelijk. Nederlands.";
-
-const ELEVEN_API_KEY = process.env.ELEVENLABS_API_KEY;
-const ELEVEN_VOICE_ID = process.env.ELEVENLABS_VOICE_ID;
-const ELEVEN_MODEL = process.env.ELEVENLABS_MODEL || "eleven_multilingual_v2";
-
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_REALTIME_URL =
+  process.env.OPENAI_REALTIME_URL ||
+  "wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview";
 
+// Calls end through the end_call tool. Prompts written for the old spoken token
+// still work: the token is never spoken and counts as end_call("token").
 const HANGUP_TOKEN = process.env.HANGUP_TOKEN || "AFRONDEN_OK";
-const HANGUP_DELAY_MS = Number(process.env.HANGUP_DELAY_MS || 2500);
 
-// barge-in debounce window (echo/noise)
-const BARGE_IN_IGNORE_MS = Number(process.env.BARGE_IN_IGNORE_MS || 600);
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+// Twilio's REST API: live-call control and voicemail downloads (tests point this at a local fake)
+const TWILIO_API_BASE_URL = (process.env.TWILIO_API_BASE_URL || "https://api.twilio.com").replace(/\/$/, "");
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "");
+
+class RebasedRequestClient extends twilio.RequestClient {
+  request(opts) {
+    return super.request({ ...opts, uri: opts.uri.replace(/^https:\/\/api\.twilio\.com/, TWILIO_API_BASE_URL) });
+  }
+}
+
+// REST client for live-call control (transfer, hangup); media still flows over /ws
+const twilioClient =
+  TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN
+    ? twilio(
+        TWILIO_ACCOUNT_SID,
+        TWILIO_AUTH_TOKEN,
+        TWILIO_API_BASE_URL === "https://api.twilio.com" ? {} : { httpClient: new RebasedRequestClient() }
+      )
+    : null;
 
-// NEW: while Tessa speaks, do not forward caller audio to OpenAI (prevents echo/false barge-in)
-const MUTE_STT_WHILE_SPEAKING =
-  String(process.env.MUTE_STT_WHILE_SPEAKING || "1") !== "0";
+// bearer token for the back-office endpoints (/leads, /complaints, /voicemails, /calls, /stats, /schedule, /phrase-cache, /metrics); unset = those endpoints stay closed
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || "";
 
 if (!OPENAI_API_KEY) {
-  console.error("❌ OPENAI_API_KEY missing");
+  log.error("CONFIG_INVALID", { error: "OPENAI_API_KEY missing" });
   process.exit(1);
 }
-if (!ELEVEN_API_KEY || !ELEVEN_VOICE_ID) {
-  console.error("❌ ELEVENLABS_API_KEY or ELEVENLABS_VOICE_ID missing");
+
+// greeting, rules, voice and tuning (barge-in debounce, STT mute, hangup delay, VAD) per company
+let companies;
+const ttsByCompany = new Map(); // companyId -> TTS provider (see tts/index.js)
+let stt; // voicemail transcription (see stt/index.js)
+try {
+  companies = loadCompanies();
+  for (const c of companies.all()) ttsByCompany.set(c.id, createTts(c.voice));
+  stt = createStt();
+} catch (e) {
+  log.error("CONFIG_INVALID", { error: e });
   process.exit(1);
 }
 
@@ -54,6 +126,25 @@ function sendJson(res, code, obj) {
   res.writeHead(code, { "Content-Type": "application/json; charset=utf-8" });
   res.end(JSON.stringify(obj));
 }
+// streams a WAV from disk; false (nothing sent) when the file is gone, e.g. pruned or deleted by hand
+function sendWavFile(res, file, disposition) {
+  let size;
+  try {
+    ({ size } = fs.statSync(file));
+  } catch {
+    return false;
+  }
+  res.writeHead(200, {
+    "Content-Type": "audio/wav",
+    "Content-Length": size,
+    "Content-Disposition": disposition,
+    "Cache-Control": "no-store",
+  });
+  fs.createReadStream(file)
+    .on("error", () => res.destroy())
+    .pipe(res);
+  return true;
+}
 function escapeXml(s) {
   return String(s)
     .replaceAll("&", "&amp;")
@@ -68,176 +159,187 @@ function sha1(s) {
 function nowIso() {
   return new Date().toISOString();
 }
+// control words such as AFRONDEN_OK or END_CALL: the model may write them, the caller never hears them.
+// HANGUP_TOKEN is listed on its own: a configured token need not look like one.
+const CONTROL_TOKEN_RE = new RegExp(
+  `\\b(?:[A-Z]{2,}(?:_[A-Z]+)+|${HANGUP_TOKEN.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})\\b`,
+  "g"
+);
+function stripControlTokens(text) {
+  const s = String(text || "");
+  return {
+    text: s.replace(CONTROL_TOKEN_RE, "").replace(/\s{2,}/g, " ").trim(),
+    tokens: s.match(CONTROL_TOKEN_RE) || [],
+  };
+}
+function readBody(req, limit = 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > limit) {
+        reject(new Error("BODY_TOO_LARGE"));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+async function readForm(req) {
+  return Object.fromEntries(new URLSearchParams(await readBody(req)));
+}
+async function readJsonBody(req) {
+  const raw = await readBody(req);
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return null;
+  }
+}
+function publicBaseUrl(req) {
+  return PUBLIC_BASE_URL || `https://${req.headers.host}`;
+}
+function clientIp(req) {
+  return String(req.headers["x-forwarded-for"] || req.socket.remoteAddress || "-").split(",")[0].trim();
+}
+// Twilio webhooks: refuse anything not signed with our auth token
+function twilioRequestAllowed(req, res, params) {
+  const check = checkTwilioSignature(req, `${publicBaseUrl(req)}${req.url}`, params);
+  if (check.ok) return true;
+  log.warn("TWILIO_WEBHOOK_REJECTED", { path: req.url, reason: check.reason, ip: clientIp(req) });
+  res.writeHead(403, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end("Forbidden");
+  return false;
+}
+function isAdmin(req) {
+  if (!ADMIN_API_TOKEN) return false;
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (!m) return false;
+  const a = Buffer.from(m[1].trim());
+  const b = Buffer.from(ADMIN_API_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
 
 /* =========================
-   ElevenLabs greeting cache (mp3 for <Play>)
+   Clip cache (mp3 for <Play>), per company
 ========================= */
-let cachedMp3 = null;
-let cachedText = null;
-let cachedAt = 0;
-let warming = false;
-
-async function synthesizeElevenMp3(text) {
-  const resp = await fetch(
-    `https://api.elevenlabs.io/v1/text-to-speech/${ELEVEN_VOICE_ID}`,
-    {
-      method: "POST",
-      headers: {
-        "xi-api-key": ELEVEN_API_KEY,
-        "Content-Type": "application/json",
-        Accept: "audio/mpeg",
-      },
-      body: JSON.stringify({
-        model_id: ELEVEN_MODEL,
-        text,
-        voice_settings: { stability: 0.5, similarity_boost: 0.8 },
-      }),
-    }
-  );
+const CLIP_TTL_MS = 60 * 60 * 1000;
+const clipCache = new Map(); // "companyId:clip" -> { mp3, text, at, warming }
+
+// Fixed lines a company plays through <Play>: greeting, transfer fallback, after-hours message
+function clipText(company, clip) {
+  if (clip === "greeting") return company.greeting;
+  if (clip === "transfer_fallback") return company.transfer.fallbackMessage;
+  if (clip === "after_hours") return company.schedule.afterHours.message;
+  return "";
+}
 
-  if (!resp.ok) {
-    const err = await resp.text().catch(() => "");
-    throw new Error(`ELEVEN_TTS_FAILED ${resp.status}: ${err}`);
+function clipEntry(company, clip) {
+  const key = `${company.id}:${clip}`;
+  let entry = clipCache.get(key);
+  if (!entry) {
+    entry = { mp3: null, text: null, at: 0, warming: false };
+    clipCache.set(key, entry);
   }
+  return entry;
+}
 
-  const buf = Buffer.from(await resp.arrayBuffer());
-  if (!buf.length) throw new Error("ELEVEN_EMPTY_AUDIO");
-  return buf;
+function clipCacheValid(company, clip) {
+  const entry = clipEntry(company, clip);
+  return (
+    !!entry.mp3 &&
+    entry.text === clipText(company, clip) &&
+    Date.now() - entry.at < CLIP_TTL_MS
+  );
 }
 
-async function warmGreetingCache() {
-  if (warming) return;
-  warming = true;
+async function warmClip(company, clip) {
+  const entry = clipEntry(company, clip);
+  const text = clipText(company, clip);
+  if (entry.warming || !text) return;
+  entry.warming = true;
   try {
     const t0 = Date.now();
-    const mp3 = await synthesizeElevenMp3(INBOUND_GREETING);
-    cachedMp3 = mp3;
-    cachedText = INBOUND_GREETING;
-    cachedAt = Date.now();
-    console.log(
-      `[${nowIso()}] 🔥 Warmed greeting cache bytes=${mp3.length} ms=${Date.now() - t0}`
-    );
+    const mp3 = await ttsByCompany.get(company.id).synthesizeMp3(text);
+    entry.mp3 = mp3;
+    entry.text = text;
+    entry.at = Date.now();
+    log.info("CLIP_WARMED", { company: company.id, clip, bytes: mp3.length, ms: Date.now() - t0 });
   } catch (e) {
-    console.error(`[${nowIso()}] ❌ Warm greeting failed:`, e.message);
+    log.error("CLIP_WARM_FAILED", { company: company.id, clip, error: e });
   } finally {
-    warming = false;
+    entry.warming = false;
   }
 }
 
+function clipAudioUrl(baseUrl, company, clip) {
+  return `${baseUrl}/audio.mp3?company=${encodeURIComponent(company.id)}&clip=${clip}&ts=${Date.now()}`;
+}
+
 /* =========================
-   ElevenLabs streaming -> ffmpeg -> ulaw bytes callback
+   Transfer TwiML (FAIL-SAFE -> employee)
 ========================= */
-async function elevenStreamToUlaw(text, onUlawChunk, abortSignal) {
-  const ff = spawn("ffmpeg", [
-    "-hide_banner",
-    "-loglevel",
-    "error",
-    "-i",
-    "pipe:0",
-    "-ar",
-    "8000",
-    "-ac",
-    "1",
-    "-f",
-    "mulaw",
-    "pipe:1",
-  ]);
-
-  ff.stdout.on("data", (chunk) => onUlawChunk(chunk));
-  ff.stderr.on("data", () => {});
-
-  const cleanup = () => {
-    try {
-      ff.stdin.end();
-    } catch {}
-    try {
-      ff.kill("SIGKILL");
-    } catch {}
-  };
-
-  if (abortSignal) {
-    if (abortSignal.aborted) {
-      cleanup();
-      return;
-    }
-    abortSignal.addEventListener(
-      "abort",
-      () => {
-        cleanup();
-      },
-      { once: true }
-    );
-  }
-
-  const res = await fetch(
-    `https://api.elevenlabs.io/v1/text-to-speech/${ELEVEN_VOICE_ID}/stream`,
-    {
-      method: "POST",
-      headers: {
-        "xi-api-key": ELEVEN_API_KEY,
-        "Content-Type": "application/json",
-        Accept: "audio/mpeg",
-      },
-      body: JSON.stringify({ model_id: ELEVEN_MODEL, text }),
-      signal: abortSignal,
-    }
-  ).catch((e) => {
-    if (abortSignal?.aborted) return null;
-    throw e;
-  });
-
-  if (!res) {
-    cleanup();
-    return;
-  }
-
-  if (!res.ok) {
-    const err = await res.text().catch(() => "");
-    cleanup();
-    throw new Error(`ELEVEN_STREAM_FAILED ${res.status}: ${err}`);
-  }
-
-  const nodeStream = Readable.fromWeb(res.body);
-
-  const stopNodeStream = () => {
-    try {
-      nodeStream.destroy();
-    } catch {}
-    try {
-      ff.stdin.end();
-    } catch {}
-  };
+function transferTwiml(company, baseUrl) {
+  const t = company.transfer;
+  const action = `${baseUrl}/twiml/transfer-result?company=${encodeURIComponent(company.id)}`;
+  const callerId = t.callerId ? ` callerId="${escapeXml(t.callerId)}"` : "";
+  const numbers = t.numbers.map((n) => `    <Number>${escapeXml(n)}</Number>`).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Dial timeout="${t.timeoutSeconds}" action="${escapeXml(action)}"${callerId}>
+${numbers}
+  </Dial>
+</Response>`;
+}
 
-  if (abortSignal) {
-    abortSignal.addEventListener(
-      "abort",
-      () => {
-        stopNodeStream();
-        cleanup();
-      },
-      { once: true }
-    );
-  }
+function transferFallbackTwiml(company, baseUrl) {
+  const t = company.transfer;
+  const message = clipCacheValid(company, "transfer_fallback")
+    ? `<Play>${escapeXml(clipAudioUrl(baseUrl, company, "transfer_fallback"))}</Play>`
+    : `<Say language="nl-NL">${escapeXml(t.fallbackMessage)}</Say>`;
+  const next = t.voicemail ? voicemailRecordTwiml(company, baseUrl, t.voicemailMaxSeconds, "transfer") : "<Hangup />";
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${message}
+  ${next}
+</Response>`;
+}
 
-  nodeStream.on("data", (d) => {
-    if (abortSignal?.aborted) return;
-    ff.stdin.write(d);
-  });
-  nodeStream.on("end", () => {
-    try {
-      ff.stdin.end();
-    } catch {}
-  });
-  nodeStream.on("error", () => {
-    try {
-      ff.stdin.end();
-    } catch {}
-  });
+/* =========================
+   Voicemail <Record>, after hours or when a transfer found nobody
+========================= */
+function voicemailRecordTwiml(company, baseUrl, maxSeconds, source) {
+  // after the recording (or silence) Twilio fetches action, which ends the call;
+  // the finished recording itself is reported to /twilio/voicemail
+  const action = `${baseUrl}/twiml/hangup`;
+  const done = `${baseUrl}/twilio/voicemail?company=${encodeURIComponent(company.id)}&source=${source}`;
+  return (
+    `<Record maxLength="${maxSeconds}" playBeep="true" trim="trim-silence" action="${escapeXml(action)}"` +
+    ` recordingStatusCallback="${escapeXml(done)}" recordingStatusCallbackEvent="completed" />`
+  );
+}
 
-  await new Promise((resolve) => {
-    ff.on("close", resolve);
-    ff.on("error", resolve);
-  });
+/* =========================
+   After-hours TwiML: the message, then hang up, record a voicemail or connect Tessa
+========================= */
+function afterHoursTwiml(company, baseUrl, stream) {
+  const ah = company.schedule.afterHours;
+  const message = clipCacheValid(company, "after_hours")
+    ? `<Play>${escapeXml(clipAudioUrl(baseUrl, company, "after_hours"))}</Play>`
+    : `<Say language="nl-NL">${escapeXml(ah.message)}</Say>`;
+
+  let next = "<Hangup />";
+  if (ah.action === "connect") next = stream;
+  if (ah.action === "voicemail") next = voicemailRecordTwiml(company, baseUrl, ah.voicemailMaxSeconds, "after_hours");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${message}
+  ${next}
+</Response>`;
 }
 
 /* =========================
@@ -251,6 +353,7 @@ const httpServer = http.createServer(async (req, res) => {
     if (path === "/health") {
       return sendJson(res, 200, {
         ok: true,
+        activeCalls: wss.clients.size,
         service:
           "des-inbound-eleven-greeting-openai-reply-barge-in-debounce-dedupe-commit-on-success-mute-stt-while-speaking",
         ts: nowIso(),
@@ -258,59 +361,395 @@ const httpServer = http.createServer(async (req, res) => {
     }
 
     if (path === "/twiml" && req.method === "POST") {
-      console.log(`[${nowIso()}] TwiML hit method=POST url=/twiml`);
+      const form = await readForm(req);
+      if (!twilioRequestAllowed(req, res, form)) return;
+      const company = companies.forNumber(form.To);
+      log.info("TWIML_HIT", { callSid: form.CallSid, to: form.To, company: company?.id });
+      recordCallStart({
+        callSid: form.CallSid,
+        direction: form.Direction,
+        from: form.From,
+        to: form.To,
+        company: company?.id,
+      });
+
+      if (!company) {
+        log.warn("TWIML_NO_COMPANY", { callSid: form.CallSid, to: form.To });
+        return sendXml(
+          res,
+          `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Reject />
+</Response>`
+        );
+      }
 
-      const now = Date.now();
-      const cacheValid =
-        cachedMp3 &&
-        cachedText === INBOUND_GREETING &&
-        now - cachedAt < 60 * 60 * 1000;
+      const baseUrl = publicBaseUrl(req);
+      // Twilio drops query strings on <Stream url>; the signed token (call + company) is a path segment
+      const streamXml = (claims = {}) => {
+        const streamToken = issueStreamToken({ callSid: form.CallSid || "", company: company.id, ...claims });
+        const wsUrl = `wss://${req.headers.host}/ws/${streamToken}`;
+        return `<Connect>
+    <Stream url="${escapeXml(wsUrl)}">
+      <Parameter name="from" value="${escapeXml(form.From || "")}" />
+    </Stream>
+  </Connect>`;
+      };
+
+      const hours = scheduleStatus(company);
+      if (!hours.open) {
+        if (!clipCacheValid(company, "after_hours")) {
+          warmClip(company, "after_hours").catch(() => {});
+        }
+        const action = company.schedule.afterHours.action;
+        log.info("TWIML_AFTER_HOURS", {
+          callSid: form.CallSid,
+          company: company.id,
+          reason: hours.reason,
+          detail: hours.detail || undefined,
+          action,
+        });
+        const stream = action === "connect" ? streamXml({ afterHours: true }) : "";
+        return sendXml(res, afterHoursTwiml(company, baseUrl, stream));
+      }
 
+      const cacheValid = clipCacheValid(company, "greeting");
       if (!cacheValid) {
-        warmGreetingCache().catch(() => {});
+        warmClip(company, "greeting").catch(() => {});
       }
-
-      const baseUrl = `https://${req.headers.host}`;
-      const wsUrl = `wss://${req.headers.host}/ws`;
+      const stream = streamXml();
 
       let twiml = "";
       if (cacheValid) {
-        const audioUrl = `${baseUrl}/audio.mp3?ts=${Date.now()}`;
+        const audioUrl = clipAudioUrl(baseUrl, company, "greeting");
         twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <Play>${escapeXml(audioUrl)}</Play>
-  <Connect>
-    <Stream url="${escapeXml(wsUrl)}" />
-  </Connect>
+  ${stream}
 </Response>`;
-        console.log(`[${nowIso()}] TwiML served <Play> + <Stream> ws=${wsUrl}`);
+        log.info("TWIML_SERVED", { callSid: form.CallSid, company: company.id, greeting: "play" });
       } else {
         twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-  <Connect>
-    <Stream url="${escapeXml(wsUrl)}" />
-  </Connect>
+  ${stream}
 </Response>`;
-        console.log(
-          `[${nowIso()}] TwiML served <Stream-only> (cache warming) ws=${wsUrl}`
-        );
+        log.info("TWIML_SERVED", { callSid: form.CallSid, company: company.id, greeting: "stream" });
       }
 
       return sendXml(res, twiml);
     }
 
+    // <Dial action> of a transfer: anything but an answered call gets the fallback message,
+    // then a voicemail <Record> when transfer.voicemail is on
+    if (path === "/twiml/transfer-result" && req.method === "POST") {
+      const form = await readForm(req);
+      if (!twilioRequestAllowed(req, res, form)) return;
+      const company = companies.get(url.searchParams.get("company") || "");
+      const status = form.DialCallStatus || "";
+      log.info("TRANSFER_RESULT", { callSid: form.CallSid, company: company?.id, status });
+
+      if (status === "completed" || !company) {
+        return sendXml(
+          res,
+          `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Hangup />
+</Response>`
+        );
+      }
+      if (!clipCacheValid(company, "transfer_fallback")) {
+        warmClip(company, "transfer_fallback").catch(() => {});
+      }
+      return sendXml(res, transferFallbackTwiml(company, publicBaseUrl(req)));
+    }
+
+    // statusCallback of the inbound numbers ("Call status changes" in the Twilio console)
+    if (path === "/twilio/status" && req.method === "POST") {
+      const form = await readForm(req);
+      if (!twilioRequestAllowed(req, res, form)) return;
+      const rec = applyCallStatus(form);
+      log.info("CALL_STATUS", {
+        callSid: form.CallSid,
+        company: rec?.company || undefined,
+        status: form.CallStatus,
+        durationSec: rec?.durationSec ?? undefined,
+        endReason: rec?.endReason || undefined,
+      });
+      res.writeHead(204);
+      return res.end();
+    }
+
+    // <Record action> of a voicemail
+    if (path === "/twiml/hangup" && req.method === "POST") {
+      const form = await readForm(req);
+      if (!twilioRequestAllowed(req, res, form)) return;
+      return sendXml(
+        res,
+        `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Hangup />
+</Response>`
+      );
+    }
+
+    // recordingStatusCallback of a voicemail <Record>; the download and transcription run after the 204
+    if (path === "/twilio/voicemail" && req.method === "POST") {
+      const form = await readForm(req);
+      if (!twilioRequestAllowed(req, res, form)) return;
+      const company = companies.get(url.searchParams.get("company") || "");
+      const source = url.searchParams.get("source") === "transfer" ? "transfer" : "after_hours";
+      const vm = captureVoicemail(form, {
+        company: company?.id || null,
+        callerNumber: getCall(form.CallSid)?.from,
+        source,
+      });
+      log.info(vm ? "VOICEMAIL_RECEIVED" : "VOICEMAIL_SKIPPED", {
+        callSid: form.CallSid,
+        company: company?.id,
+        source,
+        id: vm?.id,
+        recordingSid: form.RecordingSid,
+        status: form.RecordingStatus,
+        durationSec: Number(form.RecordingDuration) || 0,
+      });
+      res.writeHead(204);
+      return res.end();
+    }
+
     if (path === "/audio.mp3" && req.method === "GET") {
-      if (!cachedMp3) return sendJson(res, 404, { error: "No audio cached" });
+      const company = companies.get(url.searchParams.get("company") || "");
+      const clip = url.searchParams.get("clip") || "greeting";
+      const mp3 = company ? clipCache.get(`${company.id}:${clip}`)?.mp3 : null;
+      if (!mp3) return sendJson(res, 404, { error: "No audio cached" });
       res.writeHead(200, {
         "Content-Type": "audio/mpeg",
         "Cache-Control": "no-store",
       });
-      return res.end(cachedMp3);
+      return res.end(mp3);
+    }
+
+    if (path === "/leads" && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const leads = listLeads({
+        company: url.searchParams.get("company") || undefined,
+        since: url.searchParams.get("since") || undefined,
+      });
+      return sendJson(res, 200, { count: leads.length, leads });
+    }
+
+    if (path === "/complaints" && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const complaints = listComplaints({
+        company: url.searchParams.get("company") || undefined,
+        status: url.searchParams.get("status") || undefined,
+      });
+      return sendJson(res, 200, { count: complaints.length, complaints });
+    }
+
+    // ?company=&status=new|handled
+    if (path === "/voicemails" && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const voicemails = listVoicemails({
+        company: url.searchParams.get("company") || undefined,
+        status: url.searchParams.get("status") || undefined,
+      }).map((v) => ({ ...v, audioUrl: v.audio === "stored" ? `/voicemails/${v.id}/audio.wav` : null }));
+      return sendJson(res, 200, { count: voicemails.length, voicemails });
+    }
+
+    const voicemailAudioMatch = /^\/voicemails\/([^/]+)\/audio\.wav$/.exec(path);
+    if (voicemailAudioMatch && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const vm = getVoicemail(decodeURIComponent(voicemailAudioMatch[1]));
+      if (!vm || vm.audio !== "stored") return sendJson(res, 404, { error: "No voicemail audio" });
+
+      if (!sendWavFile(res, voicemailFile(vm), `inline; filename="${vm.id}.wav"`)) {
+        return sendJson(res, 404, { error: "No voicemail audio" });
+      }
+      return;
+    }
+
+    // body (optional): { "handled": false } puts it back in the inbox
+    const voicemailHandledMatch = /^\/voicemails\/([^/]+)\/handled$/.exec(path);
+    if (voicemailHandledMatch && req.method === "POST") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const body = await readJsonBody(req);
+      const vm = markVoicemailHandled(decodeURIComponent(voicemailHandledMatch[1]), body?.handled !== false);
+      if (!vm) return sendJson(res, 404, { error: "No such voicemail" });
+      log.info("VOICEMAIL_STATUS", { id: vm.id, company: vm.company, status: vm.status });
+      return sendJson(res, 200, vm);
+    }
+
+    if (path === "/phrase-cache" && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      return sendJson(res, 200, phraseCacheInfo());
+    }
+
+    // body: { "company": "des", "phrases": ["...", "..."] }
+    if (path === "/phrase-cache/warm" && req.method === "POST") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const body = await readJsonBody(req);
+      const company = companies.get(body?.company || "");
+      if (!company || !Array.isArray(body.phrases)) {
+        return sendJson(res, 400, { error: "Expected { company, phrases: [] }" });
+      }
+      const results = await warmPhrases(ttsByCompany.get(company.id), company.voice, body.phrases);
+      log.info("PHRASE_CACHE_WARM", { company: company.id, phrases: results.length });
+      return sendJson(res, 200, { company: company.id, results });
+    }
+
+    if (path === "/metrics" && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+      return res.end(renderMetrics());
+    }
+
+    // open or closed right now, and why, per company
+    if (path === "/schedule" && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const only = url.searchParams.get("company");
+      const list = companies
+        .all()
+        .filter((c) => !only || c.id === only)
+        .map((c) => ({ company: c.id, afterHoursAction: c.schedule.afterHours.action, ...scheduleStatus(c) }));
+      return sendJson(res, 200, { companies: list });
+    }
+
+    // PUT body: { "company": "des", "open": false, "until": "2026-10-20T08:00:00+02:00", "reason": "Storing" }
+    // DELETE ?company=des
+    if (path === "/schedule/override" && (req.method === "PUT" || req.method === "DELETE")) {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      if (req.method === "DELETE") {
+        const company = companies.get(url.searchParams.get("company") || "");
+        if (!company) return sendJson(res, 404, { error: "Unknown company" });
+        const cleared = clearOverride(company.id);
+        if (cleared) log.info("SCHEDULE_OVERRIDE_CLEARED", { company: company.id });
+        return sendJson(res, 200, { company: company.id, cleared, ...scheduleStatus(company) });
+      }
+      const body = await readJsonBody(req);
+      const company = companies.get(body?.company || "");
+      if (!company) return sendJson(res, 400, { error: "Expected { company, open, until, reason }" });
+      const result = setOverride(company.id, body);
+      if (!result.ok) return sendJson(res, 400, { error: result.error });
+      log.info("SCHEDULE_OVERRIDE_SET", { company: company.id, ...result.override });
+      return sendJson(res, 200, { company: company.id, ...scheduleStatus(company) });
+    }
+
+    // calls per day and company by intent; ?company=&since=&until= (default: the last 30 days)
+    if (path === "/stats/intents" && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const since = url.searchParams.get("since") || new Date(Date.now() - 30 * 86400000).toISOString();
+      const stats = intentStats({
+        company: url.searchParams.get("company") || undefined,
+        since,
+        until: url.searchParams.get("until") || undefined,
+        timezoneFor: (id) => companies.get(id)?.schedule.timezone,
+      });
+      return sendJson(res, 200, { since, ...stats });
+    }
+
+    // ?company=&direction=&status=&endReason=&intent=&number=&since=&until=&limit=
+    if (path === "/calls" && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const q = (k) => url.searchParams.get(k) || undefined;
+      const calls = listCalls({
+        company: q("company"),
+        direction: q("direction"),
+        status: q("status"),
+        endReason: q("endReason"),
+        intent: q("intent"),
+        number: q("number"),
+        since: q("since"),
+        until: q("until"),
+        limit: Math.min(Number(q("limit")) || 100, 1000),
+      });
+      return sendJson(res, 200, { count: calls.length, calls });
+    }
+
+    const callMatch = /^\/calls\/([^/]+)$/.exec(path);
+    if (callMatch && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const call = getCall(decodeURIComponent(callMatch[1]));
+      if (!call) return sendJson(res, 404, { error: "No such call" });
+      return sendJson(res, 200, call);
+    }
+
+    const transcriptMatch = /^\/calls\/([^/]+)\/transcript$/.exec(path);
+    if (transcriptMatch && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const tr = readTranscript(decodeURIComponent(transcriptMatch[1]));
+      if (!tr) return sendJson(res, 404, { error: "No transcript" });
+
+      const wantsText =
+        url.searchParams.get("format") === "text" ||
+        /text\/plain/.test(req.headers.accept || "");
+      if (wantsText) {
+        res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+        return res.end(transcriptToText(tr));
+      }
+      return sendJson(res, 200, tr);
+    }
+
+    const recordingMatch = /^\/calls\/([^/]+)\/recording\.wav$/.exec(path);
+    if (recordingMatch && req.method === "GET") {
+      if (!isAdmin(req)) {
+        log.warn("ADMIN_UNAUTHORIZED", { path, ip: clientIp(req) });
+        return sendJson(res, 401, { error: "Unauthorized" });
+      }
+      const recSid = decodeURIComponent(recordingMatch[1]);
+      const rec = findRecording(recSid);
+      if (!rec) return sendJson(res, 404, { error: "No recording" });
+
+      if (!sendWavFile(res, rec.file, `attachment; filename="${recSid}.wav"`)) {
+        return sendJson(res, 404, { error: "No recording" });
+      }
+      return;
     }
 
     return sendJson(res, 404, { error: "Not Found" });
   } catch (e) {
-    console.error("HTTP error:", e);
+    log.error("HTTP_ERROR", { path: req.url, error: e, stack: e?.stack });
     return sendJson(res, 500, { error: "Internal Server Error" });
   }
 });
@@ -318,39 +757,81 @@ const httpServer = http.createServer(async (req, res) => {
 /* =========================
    WebSockets: Twilio -> OpenAI -> Eleven -> Twilio
 ========================= */
-const wss = new WebSocketServer({ server: httpServer });
-
-wss.on("connection", (twilioWs, req) => {
-  if (req.url !== "/ws") {
-    twilioWs.close();
+const wss = new WebSocketServer({ noServer: true });
+
+// only /ws/<token> with a token minted by /twiml gets upgraded; nothing reaches OpenAI otherwise
+httpServer.on("upgrade", (req, socket, head) => {
+  const m = /^\/ws\/([^/?]+)$/.exec(req.url.split("?")[0]);
+  const check = m ? verifyStreamToken(m[1]) : { ok: false, reason: "token_missing" };
+  if (!check.ok) {
+    log.warn("WS_UPGRADE_REJECTED", {
+      path: req.url.split("/").slice(0, 2).join("/"),
+      reason: check.reason,
+      ip: clientIp(req),
+    });
+    socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\nContent-Length: 0\r\n\r\n");
     return;
   }
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req, check.claims));
+});
 
+wss.on("connection", (twilioWs, req, streamClaims) => {
   let streamSid = null;
-  console.log(`[${nowIso()}] WS connected url=${req.url}`);
+  let callSid = null;
+  let callerNumber = null;
+  let company = null; // from the stream token, once "start" confirms the call
+  let transcript = null;
+  let recorder = null; // only when company.recording.enabled
+  let callCounted = false; // in des_active_calls
+  const baseUrl = publicBaseUrl(req);
+  // every line of this call carries its callSid/streamSid/company, as far as known yet
+  const callLog = createLogger(() => ({
+    callSid: callSid || streamClaims.callSid || undefined,
+    streamSid: streamSid || undefined,
+    company: company?.id || streamClaims.company,
+  }));
+  callLog.info("WS_CONNECTED");
 
   // ----- BARGE-IN STATE -----
   let speechToken = 0;
   let currentSpeech = null; // { token, abortController, dedupeHash, startedAt }
   let greetingSpokenViaWs = false;
 
-  // timestamp of last speak start (for debounce)
+  // timestamp of last speak start from silence (for debounce); sentences that
+  // follow each other in one run do not restart the debounce window
   let lastSpeakStartAt = 0;
+  let speechRunActive = false;
+  // caller finished a turn while Tessa was quiet; cleared by the first frame of the answer
+  let replyAwaitedSince = 0;
+
+  // Sentences wait here and are spoken one at a time
+  const speechQueue = []; // { text, token, dedupeHash, mark }
+  // end_call: arm the hangup once the queue has drained
+  let hangupRequested = false;
+  let endCallPending = null; // reason end_call gave, until its response is done
+  let endCallReason = null; // reason of the hangup that is armed
+  // silence or max_duration: Tessa is saying goodbye and no longer listens
+  let closingReason = null;
+
+  function isSpeaking() {
+    return !!currentSpeech || speechQueue.length > 0;
+  }
 
   function cancelSpeech(reason) {
+    for (const item of speechQueue.splice(0)) releaseMark(item);
     if (!currentSpeech) return;
+    currentSpeech.cancelReason = reason;
     try {
       currentSpeech.abortController.abort();
     } catch {}
-    console.log(
-      `[${nowIso()}] Speech cancelled reason=${reason} token=${currentSpeech.token}`
-    );
+    callLog.info("SPEECH_CANCELLED", { reason, token: currentSpeech.token });
     currentSpeech = null;
   }
 
   function twilioClear() {
     if (twilioWs.readyState !== WebSocket.OPEN || !streamSid) return;
     twilioWs.send(JSON.stringify({ event: "clear", streamSid }));
+    recorder?.clear();
   }
 
   // Hangup state
@@ -366,20 +847,41 @@ wss.on("connection", (twilioWs, req) => {
       hangupFailSafeTimer = null;
     }
     if (reason) {
-      console.log(`[${nowIso()}] Hangup mark cleared reason=${reason}`);
+      callLog.info("HANGUP_MARK_CLEARED", { reason });
+    }
+  }
+
+  // Ends the PSTN leg through the REST API. Closing the media stream alone only
+  // stops <Connect>; Twilio would carry on with whatever TwiML comes after it.
+  async function hangUpCall() {
+    if (twilioClient && callSid) {
+      try {
+        await twilioClient.calls(callSid).update({ status: "completed" });
+        callLog.info("HANGUP_REST_DONE");
+      } catch (e) {
+        callLog.error("HANGUP_REST_FAILED", { error: e });
+      }
+    } else {
+      callLog.warn("HANGUP_STREAM_ONLY", { reason: twilioClient ? "no_call_sid" : "twilio_not_configured" });
     }
+    try {
+      twilioWs.close();
+    } catch {}
   }
 
   function startHangupCountdown(reason) {
     if (hangupTimer) clearTimeout(hangupTimer);
     hangupTimer = setTimeout(() => {
-      console.log(`[${nowIso()}] Hanging up reason=${reason}`);
-      try {
-        twilioWs.close();
-      } catch {}
-    }, HANGUP_DELAY_MS);
-
-    console.log(`[${nowIso()}] Hangup armed in ${HANGUP_DELAY_MS}ms reason=${reason}`);
+      hangupTimer = null;
+      const endReason = endCallReason || "end_call";
+      callLog.info("HANGUP", { reason, endReason });
+      transcript?.mark("hangup", { reason, endReason });
+      hangups.inc({ company: company.id, reason: endReason });
+      recordServerHangup(callSid, `end_call:${endReason}`);
+      hangUpCall().catch(() => {});
+    }, company.tuning.hangupDelayMs);
+
+    callLog.info("HANGUP_COUNTDOWN", { reason, delayMs: company.tuning.hangupDelayMs });
   }
 
   function sendMark(name) {
@@ -410,45 +912,116 @@ wss.on("connection", (twilioWs, req) => {
 
     if (ok) {
       pendingHangupMarkName = name;
-      console.log(`[${nowIso()}] Hangup armed via MARK name=${name} reason=${reason}`);
+      callLog.info("HANGUP_ARMED", { mark: name, reason });
 
-      const FAILSAFE_MS = Math.max(8000, HANGUP_DELAY_MS + 3000);
+      const FAILSAFE_MS = Math.max(
+        company.tuning.hangupMarkTimeoutMs,
+        company.tuning.hangupDelayMs + 3000
+      );
       hangupFailSafeTimer = setTimeout(() => {
-        console.log(
-          `[${nowIso()}] Hangup MARK timeout -> fallback name=${name} reason=${reason}`
-        );
+        callLog.warn("HANGUP_MARK_TIMEOUT", { mark: name, reason });
         cleanupHangupMark("mark_timeout");
-        startHangupCountdown("token_seen_fallback");
+        startHangupCountdown("mark_timeout");
       }, FAILSAFE_MS);
     } else {
-      console.log(`[${nowIso()}] Hangup mark send failed -> fallback reason=${reason}`);
+      callLog.warn("HANGUP_MARK_SEND_FAILED", { reason });
       cleanupHangupMark("mark_send_failed");
-      startHangupCountdown("token_seen_fallback_send_failed");
+      startHangupCountdown("mark_send_failed");
     }
   }
 
+  // one-shot waits on a mark ack (transfer handover)
+  const markWaiters = new Map(); // name -> resolve
+
+  function waitForMark(name, timeoutMs) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        markWaiters.delete(name);
+        resolve(false);
+      }, timeoutMs);
+      markWaiters.set(name, (acked = true) => {
+        clearTimeout(timer);
+        resolve(acked);
+      });
+    });
+  }
+
   function disarmHangup(reason) {
     if (hangupTimer) {
       clearTimeout(hangupTimer);
       hangupTimer = null;
     }
     cleanupHangupMark(reason);
-    console.log(`[${nowIso()}] Hangup disarmed reason=${reason}`);
+    callLog.info("HANGUP_DISARMED", { reason });
   }
 
   // Audio send stats per speak
   let speakSeq = 0;
   let speakStats = null;
 
-  // Dedupe
-  let lastSpokenHash = "";
-  let lastSpokenAt = 0;
+  // Dedupe (per sentence): hash -> time it finished playing
+  const recentSpoken = new Map();
   const DEDUPE_WINDOW_MS = 5000;
 
-  async function speak(text, opts = {}) {
+  function recentlySpoken(hash) {
+    const at = recentSpoken.get(hash);
+    return at !== undefined && Date.now() - at < DEDUPE_WINDOW_MS;
+  }
+
+  // opts.mark: sent to Twilio right after this line, so a waitForMark() resolves once it was heard
+  function enqueueSpeech(text, opts = {}) {
     const t = (text || "").trim();
     if (!t) return;
-    if (!streamSid) return;
+    speechQueue.push({ text: t, token: speechToken, dedupeHash: opts.dedupeHash || "", mark: opts.mark || "" });
+    pumpSpeechQueue();
+  }
+
+  // a line with a mark that will not be played: whoever waits on the mark need not wait any longer
+  function releaseMark(item) {
+    if (!item.mark) return;
+    const waiter = markWaiters.get(item.mark);
+    if (!waiter) return;
+    markWaiters.delete(item.mark);
+    waiter(false);
+  }
+
+  function pumpSpeechQueue() {
+    if (currentSpeech) return;
+
+    while (speechQueue.length) {
+      const next = speechQueue.shift();
+      if (next.token !== speechToken) {
+        releaseMark(next); // queued before a barge-in
+        continue;
+      }
+
+      // a goodbye was followed by more text: hang up after that instead
+      if (pendingHangupMarkName || hangupTimer) {
+        disarmHangup("more_speech");
+        hangupRequested = true;
+      }
+      speak(next.text, { dedupeHash: next.dedupeHash })
+        .catch(() => {})
+        .finally(() => {
+          if (next.mark && !sendMark(next.mark)) releaseMark(next);
+          pumpSpeechQueue();
+        });
+      return;
+    }
+
+    speechRunActive = false;
+    if (hangupRequested) {
+      hangupRequested = false;
+      armHangup("end_call");
+      return;
+    }
+    armSilenceTimer();
+  }
+
+  async function speak(text, opts = {}) {
+    const t = stripControlTokens(text).text;
+    if (!t) return;
+    if (!streamSid || !company) return;
     if (currentSpeech) return;
 
     const myToken = speechToken;
@@ -457,14 +1030,19 @@ wss.on("connection", (twilioWs, req) => {
     // store dedupe hash but only commit it on successful completion
     const dedupeHash = typeof opts.dedupeHash === "string" ? opts.dedupeHash : "";
 
-    currentSpeech = {
+    const mySpeech = {
       token: myToken,
       abortController,
       dedupeHash,
       startedAt: Date.now(),
+      cancelReason: null,
     };
+    currentSpeech = mySpeech;
 
-    lastSpeakStartAt = currentSpeech.startedAt;
+    if (!speechRunActive) {
+      speechRunActive = true;
+      lastSpeakStartAt = currentSpeech.startedAt;
+    }
 
     const id = `${Date.now()}_${++speakSeq}`;
     speakStats = {
@@ -479,14 +1057,17 @@ wss.on("connection", (twilioWs, req) => {
       startedAt: Date.now(),
       chars: t.length,
       sha1: sha1(t),
-      hasToken: t.includes(HANGUP_TOKEN),
       tail: t.slice(Math.max(0, t.length - 90)),
     };
 
     const t0 = Date.now();
-    console.log(
-      `[${nowIso()}] SPEAK_START chars=${speakStats.chars} sha1=${speakStats.sha1} hasToken=${speakStats.hasToken} tail="${speakStats.tail}"`
-    );
+    callLog.info("SPEAK_START", {
+      speak: id,
+      chars: speakStats.chars,
+      sha1: speakStats.sha1,
+      tail: speakStats.tail,
+    });
+    transcript?.turn("assistant", t, { speak: id });
 
     let ulawLocalBuf = Buffer.alloc(0);
     const frameSize = 160;
@@ -499,10 +1080,12 @@ wss.on("connection", (twilioWs, req) => {
 
         if (!streamSid) {
           speakStats.dropNoSid++;
+          audioFramesDropped.inc({ reason: "no_stream_sid" });
           continue;
         }
         if (twilioWs.readyState !== WebSocket.OPEN) {
           speakStats.dropNotOpen++;
+          audioFramesDropped.inc({ reason: "ws_not_open" });
           continue;
         }
 
@@ -513,19 +1096,32 @@ wss.on("connection", (twilioWs, req) => {
         });
 
         const before = Date.now();
-        speakStats.pendingSendCb++;
+        // the send callback can fire after this speak is over and speakStats moved on
+        const stats = speakStats;
+        stats.pendingSendCb++;
         try {
           twilioWs.send(payload, (err) => {
             const lag = Date.now() - before;
-            if (lag > speakStats.maxSendCbLagMs) speakStats.maxSendCbLagMs = lag;
-            speakStats.pendingSendCb--;
-            if (err) speakStats.sendErrors++;
+            if (lag > stats.maxSendCbLagMs) stats.maxSendCbLagMs = lag;
+            stats.pendingSendCb--;
+            if (err) {
+              stats.sendErrors++;
+              audioSendErrors.inc();
+            }
           });
-          speakStats.sentFrames++;
-          speakStats.sentBytes += frame.length;
+          stats.sentFrames++;
+          stats.sentBytes += frame.length;
+          audioFramesSent.inc();
+          recorder?.outbound(frame);
+          // first frame of the answer to what the caller just said
+          if (replyAwaitedSince && mySpeech.startedAt >= replyAwaitedSince) {
+            responseLatency.observe({ company: company.id }, (Date.now() - replyAwaitedSince) / 1000);
+            replyAwaitedSince = 0;
+          }
         } catch {
-          speakStats.pendingSendCb--;
-          speakStats.sendErrors++;
+          stats.pendingSendCb--;
+          stats.sendErrors++;
+          audioSendErrors.inc();
         }
       }
     };
@@ -533,7 +1129,9 @@ wss.on("connection", (twilioWs, req) => {
     let completed = false;
 
     try {
-      await elevenStreamToUlaw(
+      const r = await streamUlawCached(
+        ttsByCompany.get(company.id),
+        company.voice,
         t,
         (chunk) => {
           if (speechToken !== myToken) return;
@@ -542,35 +1140,48 @@ wss.on("connection", (twilioWs, req) => {
         },
         abortController.signal
       );
+      phraseCache.inc({ company: company.id, result: r?.cacheHit ? "hit" : "miss" });
 
       if (speechToken !== myToken) return;
       if (abortController.signal.aborted) return;
 
       completed = true;
-
-      console.log(
-        `[${nowIso()}] SPEAK_DONE ms=${Date.now() - t0} chars=${t.length} sha1=${sha1(
-          t
-        )} hasToken=${t.includes(HANGUP_TOKEN)}`
-      );
+      transcript?.mark("speech_done", { speak: id });
+
+      callLog.info("SPEAK_DONE", {
+        speak: id,
+        ms: Date.now() - t0,
+        chars: t.length,
+        sha1: sha1(t),
+        cache: r?.cacheHit ? "hit" : "miss",
+        tts: r?.provider,
+      });
 
       // commit dedupe only if completed (no abort)
       if (dedupeHash) {
-        lastSpokenHash = dedupeHash;
-        lastSpokenAt = Date.now();
-      }
-
-      if (t.includes(HANGUP_TOKEN)) {
-        armHangup("token_seen");
+        const now = Date.now();
+        recentSpoken.set(dedupeHash, now);
+        for (const [h, at] of recentSpoken) {
+          if (now - at >= DEDUPE_WINDOW_MS) recentSpoken.delete(h);
+        }
       }
     } catch (e) {
       if (abortController.signal.aborted) return;
-      console.error("❌ SPEAK_ERROR:", e.message);
+      callLog.error("SPEAK_ERROR", { speak: id, error: e });
+      mySpeech.cancelReason = "tts_error";
     } finally {
       if (speakStats) {
-        console.log(
-          `[${nowIso()}] AUDIO_SPEAK_SUMMARY speak=${speakStats.id} sentFrames=${speakStats.sentFrames} sentBytes=${speakStats.sentBytes} dropNoSid=${speakStats.dropNoSid} dropNotOpen=${speakStats.dropNotOpen} sendErrors=${speakStats.sendErrors} maxSendCbLagMs=${speakStats.maxSendCbLagMs} pendingSendCb=${speakStats.pendingSendCb}`
-        );
+        audioSendLag.observe({}, speakStats.maxSendCbLagMs / 1000);
+        callLog.info("AUDIO_SPEAK_SUMMARY", {
+          speak: speakStats.id,
+          sentFrames: speakStats.sentFrames,
+          sentBytes: speakStats.sentBytes,
+          dropNoSid: speakStats.dropNoSid,
+          dropNotOpen: speakStats.dropNotOpen,
+          sendErrors: speakStats.sendErrors,
+          maxSendCbLagMs: speakStats.maxSendCbLagMs,
+          pendingSendCb: speakStats.pendingSendCb,
+        });
       }
       speakStats = null;
 
@@ -579,13 +1190,179 @@ wss.on("connection", (twilioWs, req) => {
       }
 
       if (!completed) {
-        console.log(`[${nowIso()}] SPEAK_NOT_COMPLETED (aborted/invalidated)`);
+        callLog.info("SPEAK_NOT_COMPLETED", { speak: id, reason: mySpeech.cancelReason || "invalidated" });
+        transcript?.mark("speech_cancelled", {
+          speak: id,
+          reason: mySpeech.cancelReason || "invalidated",
+        });
       }
     }
   }
 
+  // ----- END OF CALL -----
+  // end_call (or the legacy token) only takes effect when its response is done; see finishResponse
+  function requestEndCall(reason) {
+    if (transferState === "pending" || transferState === "redirected") {
+      return { ok: false, error: "transfer in progress" };
+    }
+    endCallPending = reason;
+    callLog.info("END_CALL_REQUESTED", { reason });
+    transcript?.mark("end_call_requested", { reason });
+    return { ok: true };
+  }
+
+  // ----- CALLER SILENCE / MAX DURATION -----
+  // The silence clock runs while both sides are quiet: Tessa has finished
+  // talking and no response is being generated. Caller speech stops it.
+  let silenceTimer = null;
+  let silenceReprompts = 0;
+  let durationWarningTimer = null;
+  let durationLimitTimer = null;
+
+  function clearSilenceTimer() {
+    if (!silenceTimer) return;
+    clearTimeout(silenceTimer);
+    silenceTimer = null;
+  }
+
+  function armSilenceTimer() {
+    clearSilenceTimer();
+    if (!company?.silence.enabled || closingReason || isSpeaking() || openaiResponseActive) return;
+    if (hangupRequested || endCallPending || pendingHangupMarkName || hangupTimer) return;
+    if (transferState === "pending" || transferState === "redirected") return;
+    silenceTimer = setTimeout(onCallerSilent, company.silence.timeoutSeconds * 1000);
+  }
+
+  function onCallerSilent() {
+    silenceTimer = null;
+    const { maxReprompts, repromptLines, goodbyeLine, timeoutSeconds } = company.silence;
+    if (silenceReprompts >= maxReprompts) {
+      callLog.info("SILENCE_HANGUP", { reprompts: silenceReprompts, timeoutSeconds });
+      closeCall("silence", goodbyeLine);
+      return;
+    }
+    const line = repromptLines[silenceReprompts % repromptLines.length];
+    silenceReprompts++;
+    callLog.info("SILENCE_REPROMPT", { reprompt: silenceReprompts, timeoutSeconds });
+    transcript?.mark("silence_reprompt", { reprompt: silenceReprompts });
+    rememberTurn("assistant", line);
+    enqueueSpeech(line);
+  }
+
+  function startDurationLimit() {
+    const { seconds, warningSeconds, warningLine } = company.maxDuration;
+    if (!(seconds > 0)) return;
+    if (warningSeconds > 0 && warningSeconds < seconds) {
+      durationWarningTimer = setTimeout(() => {
+        durationWarningTimer = null;
+        if (closingReason || transferState === "pending" || transferState === "redirected") return;
+        callLog.info("MAX_DURATION_WARNING", { seconds, warningSeconds });
+        transcript?.mark("max_duration_warning");
+        rememberTurn("assistant", warningLine);
+        enqueueSpeech(warningLine);
+      }, (seconds - warningSeconds) * 1000);
+    }
+    durationLimitTimer = setTimeout(() => {
+      durationLimitTimer = null;
+      if (closingReason || transferState === "pending" || transferState === "redirected") return;
+      // already saying goodbye through end_call
+      if (hangupRequested || pendingHangupMarkName || hangupTimer) return;
+      callLog.info("MAX_DURATION_REACHED", { seconds });
+      closeCall("max_duration", company.maxDuration.goodbyeLine);
+    }, seconds * 1000);
+  }
+
+  function stopCallTimers() {
+    clearSilenceTimer();
+    clearTimeout(durationWarningTimer);
+    clearTimeout(durationLimitTimer);
+    durationWarningTimer = null;
+    durationLimitTimer = null;
+  }
+
+  // Tessa ends the call on her own: whatever the model was saying is cut off,
+  // the goodbye plays and the hangup follows. The caller can no longer barge in.
+  function closeCall(reason, goodbyeLine) {
+    closingReason = reason;
+    stopCallTimers();
+    transcript?.mark("closing", { reason });
+    if (openaiResponseActive) safeOpenAI({ type: "response.cancel" });
+    if (responseId) cancelledResponses.add(responseId);
+    endCallPending = null;
+    disarmHangup(reason);
+    speechToken++;
+    cancelSpeech(reason);
+    twilioClear();
+    resetAssistantBuffers(reason);
+
+    endCallReason = reason;
+    hangupRequested = true;
+    enqueueSpeech(goodbyeLine);
+  }
+
+  // ----- TRANSFER (FAIL-SAFE) -----
+  let transferState = null; // null | "pending" | "redirected" | "failed"
+  // what is still queued plus the handover line; no ack by then -> redirect anyway
+  const TRANSFER_MARK_TIMEOUT_MS = 25000;
+
+  function requestTransfer(reason) {
+    if (transferState === "pending" || transferState === "redirected") {
+      return { ok: false, error: "transfer already in progress" };
+    }
+    if (closingReason) return { ok: false, error: "call is ending" };
+    if (!company.transfer.numbers.length) {
+      return { ok: false, error: "no transfer numbers configured" };
+    }
+    if (!twilioClient) return { ok: false, error: "twilio not configured" };
+    if (!callSid) return { ok: false, error: "no callSid" };
+
+    transferState = "pending";
+    callLog.info("TRANSFER_REQUESTED", { reason });
+    transcript?.mark("transfer_requested", { reason });
+
+    runTransfer().catch((e) => {
+      transferState = "failed";
+      callLog.error("TRANSFER_FAILED", { error: e });
+      transcript?.mark("transfer_failed", { error: e.message });
+
+      // call is still ours: let Tessa apologise and carry on
+      safeOpenAI({
+        type: "conversation.item.create",
+        item: {
+          type: "message",
+          role: "system",
+          content: [
+            {
+              type: "input_text",
+              text: "Doorverbinden is mislukt. Zeg kort dat doorverbinden nu niet lukt en vraag of je de beller op een andere manier kunt helpen.",
+            },
+          ],
+        },
+      });
+      safeOpenAI({ type: "response.create" });
+    });
+
+    return { ok: true, status: "transferring" };
+  }
+
+  async function runTransfer() {
+    disarmHangup("transfer");
+    stopCallTimers();
+
+    // the handover line goes after whatever is still queued; redirect once Twilio played it
+    const name = `transfer_${Date.now()}_${++markSeq}`;
+    const played = waitForMark(name, TRANSFER_MARK_TIMEOUT_MS);
+    enqueueSpeech(company.transfer.handoverLine, { mark: name });
+    if (!(await played)) callLog.warn("TRANSFER_MARK_TIMEOUT", { mark: name });
+
+    await twilioClient.calls(callSid).update({ twiml: transferTwiml(company, baseUrl) });
+    transferState = "redirected";
+    callLog.info("TRANSFER_REDIRECTED", { numbers: company.transfer.numbers });
+    transcript?.mark("transfer_redirected", { numbers: company.transfer.numbers });
+  }
+
   const openaiWs = new WebSocket(
-    "wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview",
+    OPENAI_REALTIME_URL,
     {
       headers: {
         Authorization: `Bearer ${OPENAI_API_KEY}`,
@@ -601,26 +1378,42 @@ wss.on("connection", (twilioWs, req) => {
   // track whether there is an active response before sending response.cancel
   let openaiResponseActive = false;
 
-  openaiWs.on("open", () => {
+  // session.update needs the company prompt, so wait for both OpenAI open and Twilio start
+  let sessionConfigured = false;
+
+  function maybeConfigureSession() {
+    if (sessionConfigured || !company) return;
+    if (openaiWs.readyState !== WebSocket.OPEN) return;
+    sessionConfigured = true;
+
+    const tuning = company.tuning;
     safeOpenAI({
       type: "session.update",
       session: {
         modalities: ["audio", "text"],
-        instructions: INSTRUCTIONS_INBOUND,
+        instructions: streamClaims.afterHours
+          ? `${company.instructions}\n\n${company.schedule.afterHours.instruction}`
+          : company.instructions,
         input_audio_format: "g711_ulaw",
         input_audio_transcription: { model: "whisper-1" },
         turn_detection: {
           type: "server_vad",
-          threshold: 0.5,
-          prefix_padding_ms: 300,
-          silence_duration_ms: 500,
+          threshold: tuning.vadThreshold,
+          prefix_padding_ms: tuning.vadPrefixPaddingMs,
+          silence_duration_ms: tuning.vadSilenceDurationMs,
           create_response: true,
         },
-        temperature: 0.6,
-        max_response_output_tokens: 250,
+        temperature: tuning.temperature,
+        max_response_output_tokens: tuning.maxResponseOutputTokens,
+        tools: toolDefinitions(company.tools),
+        tool_choice: "auto",
       },
     });
-    console.log(`[${nowIso()}] OpenAI session.update sent (reply enabled)`);
+    callLog.info("OPENAI_SESSION_CONFIGURED");
+  }
+
+  openaiWs.on("open", () => {
+    maybeConfigureSession();
   });
 
   // Twilio -> OpenAI audio + MARK acks
@@ -634,27 +1427,68 @@ wss.on("connection", (twilioWs, req) => {
 
     if (msg.event === "start") {
       streamSid = msg.start?.streamSid || null;
-      console.log(
-        `[${nowIso()}] Twilio start streamSid=${streamSid} callSid=${msg.start?.callSid}`
-      );
+      callSid = msg.start?.callSid || null;
+      callerNumber = msg.start?.customParameters?.from || null;
+
+      // the token was minted for one call; a stream for another call does not get to use it
+      if (streamClaims.callSid && streamClaims.callSid !== callSid) {
+        callLog.warn("STREAM_TOKEN_CALLSID_MISMATCH", {
+          tokenCallSid: streamClaims.callSid,
+          startCallSid: callSid,
+        });
+        try {
+          twilioWs.close();
+        } catch {}
+        return;
+      }
+
+      const companyId = streamClaims.company;
+      company = companies.get(companyId);
+      callLog.info("TWILIO_START");
 
-      const now = Date.now();
-      const cacheValid =
-        cachedMp3 &&
-        cachedText === INBOUND_GREETING &&
-        now - cachedAt < 60 * 60 * 1000;
+      if (!company) {
+        callLog.error("UNKNOWN_COMPANY", { companyId });
+        recordServerHangup(callSid, "unknown_company");
+        try {
+          twilioWs.close();
+        } catch {}
+        return;
+      }
+
+      transcript = openTranscript({ callSid, streamSid, company: company.id, callerNumber });
+      activeCalls.inc({ company: company.id });
+      callsTotal.inc({ company: company.id });
+      callCounted = true;
+      if (company.recording.enabled) {
+        recorder = startRecording({
+          callSid,
+          company: company.id,
+          retentionDays: company.recording.retentionDays,
+        });
+        if (recorder) transcript?.mark("recording_started");
+      }
+      maybeConfigureSession();
+      startDurationLimit();
 
-      if (!cacheValid && !greetingSpokenViaWs) {
+      // after hours the message was already played by /twiml
+      if (!streamClaims.afterHours && !clipCacheValid(company, "greeting") && !greetingSpokenViaWs) {
         greetingSpokenViaWs = true;
-        speak(INBOUND_GREETING, { dedupeHash: sha1(INBOUND_GREETING) }).catch(() => {});
+        enqueueSpeech(company.greeting, { dedupeHash: sha1(company.greeting) });
       }
+      armSilenceTimer();
 
       return;
     }
 
     if (msg.event === "media") {
+      // the recording keeps the caller even while STT is muted
+      recorder?.inbound(Buffer.from(msg.media.payload, "base64"), msg.media.timestamp);
       // ✅ CHANGE: while speaking, do not forward audio to OpenAI (prevents echo-triggered barge-in)
-      if (MUTE_STT_WHILE_SPEAKING && currentSpeech) return;
+      if (company?.tuning.muteSttWhileSpeaking && isSpeaking()) return;
+      // handing over: the caller is no longer talking to Tessa
+      if (transferState === "pending" || transferState === "redirected") return;
+      // saying goodbye on her own: nothing the caller says changes that
+      if (closingReason) return;
 
       safeOpenAI({ type: "input_audio_buffer.append", audio: msg.media.payload });
       return;
@@ -662,58 +1496,180 @@ wss.on("connection", (twilioWs, req) => {
 
     if (msg.event === "mark") {
       const name = msg.mark?.name || "";
-      console.log(`[${nowIso()}] Twilio MARK received name=${name}`);
+      callLog.info("TWILIO_MARK", { mark: name });
+
+      const waiter = markWaiters.get(name);
+      if (waiter) {
+        markWaiters.delete(name);
+        waiter();
+      }
 
       if (pendingHangupMarkName && name === pendingHangupMarkName) {
-        console.log(`[${nowIso()}] Hangup MARK matched -> starting hangup countdown`);
+        callLog.info("HANGUP_MARK_MATCHED", { mark: name });
         cleanupHangupMark("mark_ack");
-        startHangupCountdown("token_seen_mark_ack");
+        startHangupCountdown("mark_ack");
       }
       return;
     }
 
     if (msg.event === "stop") {
-      console.log(`[${nowIso()}] Twilio stop streamSid=${streamSid}`);
+      callLog.info("TWILIO_STOP");
       disarmHangup("twilio_stop");
+      stopCallTimers();
       cancelSpeech("twilio_stop");
       if (openaiWs.readyState === WebSocket.OPEN) openaiWs.close();
       return;
     }
   });
 
-  // OpenAI -> speak assistant text
-  let assistantBuf = "";
-  let assistantSeen = false;
+  // OpenAI -> speak assistant text, sentence by sentence as the deltas stream in.
+  // The same words arrive as audio_transcript and (text-only replies) text deltas;
+  // the first source seen in a response is the one that is spoken.
+  let responseId = null;
+  let responseSource = null; // "audio" | "text"
+  let pendingText = ""; // tail that is not a complete sentence yet
+  let responseText = ""; // sentences queued for this response
+  let responseBlocked = false; // the guardrail replaced the rest of this response
+  const cancelledResponses = new Set(); // barged-in responses whose deltas may still trickle in
+
+  function queueSentence(raw, trigger) {
+    const { text: sentence, tokens } = stripControlTokens(raw);
+    if (tokens.includes(HANGUP_TOKEN) && !endCallPending) requestEndCall("token");
+    if (!sentence || responseBlocked) return;
+    // checked on everything this response said so far, so a rule can span sentences
+    const violation = checkReply(company.guardrail, `${responseText} ${sentence}`);
+    if (violation) {
+      responseBlocked = true;
+      callLog.warn("GUARDRAIL_BLOCKED", {
+        responseId: responseId || undefined,
+        rule: violation.rule,
+        match: violation.match,
+        text: sentence,
+      });
+      guardrailBlocks.inc({ company: company.id, rule: violation.rule });
+      transcript?.mark("guardrail_blocked", { rule: violation.rule });
+      responseText += (responseText ? " " : "") + company.guardrail.fallbackLine;
+      enqueueSpeech(company.guardrail.fallbackLine);
+      return;
+    }
+
+    const h = sha1(sentence);
+    if (recentlySpoken(h)) {
+      callLog.info("SPEAK_DEDUPED", { via: trigger, sha1: h });
+      return;
+    }
+    responseText += (responseText ? " " : "") + sentence;
+    enqueueSpeech(sentence, { dedupeHash: h });
+    callLog.info("SPEAK_TRIGGERED", { via: trigger, chars: sentence.length });
+  }
+
+  function onAssistantDelta(evt, source) {
+    if (evt.response_id && cancelledResponses.has(evt.response_id)) return;
+    if (transferState === "pending" || transferState === "redirected") return;
+    if (closingReason) return;
+    if (!responseSource) responseSource = source;
+    if (responseSource !== source) return;
+
+    pendingText += evt.delta;
+    const { sentences, rest } = splitSentences(pendingText);
+    pendingText = rest;
+    for (const sentence of sentences) queueSentence(sentence, `${source}.delta`);
+  }
+
+  function finishResponse(evt) {
+    const id = evt.response?.id || responseId;
+    const cancelled =
+      evt.response?.status === "cancelled" || (!!id && cancelledResponses.has(id));
+    const handingOver = transferState === "pending" || transferState === "redirected";
+
+    if (!cancelled && !handingOver && pendingText.trim()) {
+      queueSentence(pendingText.trim(), "response.done");
+    }
+    // everything the response says is queued now, so the goodbye goes out before the hangup mark
+    if (endCallPending && !cancelled && !handingOver) {
+      endCallReason = endCallPending;
+      hangupRequested = true;
+      if (!isSpeaking()) pumpSpeechQueue();
+    }
+    endCallPending = null;
+    if (responseText) rememberTurn("assistant", responseText);
+    if (id) cancelledResponses.delete(id);
 
-  let textBuf = "";
-  let textSeen = false;
+    resetAssistantBuffers(responseSource ? "response_done" : "response_done_empty");
+  }
 
-  let spokenForThisResponse = false;
+  // last turns of the conversation, handed to tools that need context (complaint tickets)
+  const RECENT_TURNS_MAX = 12;
+  const recentTurns = [];
 
-  function maybeSpeakFromBuffers(trigger) {
-    if (spokenForThisResponse) return;
+  function rememberTurn(role, text) {
+    const t = String(text || "").trim();
+    if (!t) return;
+    recentTurns.push({ role, text: t, at: nowIso() });
+    if (recentTurns.length > RECENT_TURNS_MAX) recentTurns.shift();
+  }
 
-    const combined = (textBuf.trim() || assistantBuf.trim()).trim();
-    if (!combined) return;
+  // Tool calls finish inside a response; their outputs go back (plus a new
+  // response.create) only after response.done, or OpenAI rejects the create.
+  let pendingToolCalls = [];
 
-    const now = Date.now();
-    const h = sha1(combined);
-    const isDup = h === lastSpokenHash && now - lastSpokenAt < DEDUPE_WINDOW_MS;
-    if (isDup) return;
+  function startToolCall(evt) {
+    const t0 = Date.now();
+    callLog.info("TOOL_CALL", { name: evt.name, callId: evt.call_id });
+    // quiet: only ask for a new response when this one said nothing (set_intent)
+    const call = { callId: evt.call_id, output: null, reply: true, quiet: false };
+    call.output = runTool(evt.name, evt.arguments, {
+      allowed: company?.tools || [],
+      companyId: company?.id,
+      companyName: company?.name,
+      ownerEmail: company?.ownerEmail,
+      transcriptExcerpt: recentTurns.slice(),
+      callSid,
+      callerNumber,
+      requestTransfer,
+      requestEndCall,
+      skipReply: () => {
+        call.reply = false;
+      },
+      quietReply: () => {
+        call.quiet = true;
+      },
+      tagIntent: (intent) => {
+        const intents = tagCallIntent(callSid, intent);
+        if (intents) callLog.info("INTENT_TAGGED", { intent, intents });
+        return intents;
+      },
+    }).then((out) => {
+      callLog.info("TOOL_RESULT", { name: evt.name, ok: out?.ok !== false, ms: Date.now() - t0 });
+      transcript?.mark("tool_call", { name: evt.name, ok: out?.ok !== false });
+      return out;
+    });
+    pendingToolCalls.push(call);
+  }
 
-    spokenForThisResponse = true;
+  async function flushToolOutputs(spoke) {
+    if (!pendingToolCalls.length) return;
+    const calls = pendingToolCalls;
+    pendingToolCalls = [];
 
-    speak(combined, { dedupeHash: h }).catch(() => {});
-    console.log(`[${nowIso()}] SPEAK_TRIGGERED via=${trigger}`);
+    for (const c of calls) {
+      const out = await c.output;
+      safeOpenAI({
+        type: "conversation.item.create",
+        item: { type: "function_call_output", call_id: c.callId, output: JSON.stringify(out) },
+      });
+    }
+    // a transfer takes over the call; the model must not start talking again
+    if (calls.some((c) => c.reply && !(c.quiet && spoke))) safeOpenAI({ type: "response.create" });
   }
 
   function resetAssistantBuffers(reason) {
-    assistantBuf = "";
-    assistantSeen = false;
-    textBuf = "";
-    textSeen = false;
-    spokenForThisResponse = false;
-    if (reason) console.log(`[${nowIso()}] ASSISTANT_RESET reason=${reason}`);
+    responseId = null;
+    responseSource = null;
+    pendingText = "";
+    responseText = "";
+    responseBlocked = false;
+    if (reason) callLog.debug("ASSISTANT_RESET", { reason });
   }
 
   openaiWs.on("message", async (raw) => {
@@ -724,51 +1680,64 @@ wss.on("connection", (twilioWs, req) => {
       return;
     }
 
-    if (evt?.type) {
-      console.log(`[${nowIso()}] OPENAI_EVT type=${evt.type}`);
-    }
+    // every delta of every response: only with LOG_LEVEL=debug
+    if (evt?.type) callLog.debug("OPENAI_EVT", { type: evt.type, responseId: evt.response_id });
 
     if (evt.type === "response.created") {
       openaiResponseActive = true;
+      responseId = evt.response?.id || null;
+      clearSilenceTimer();
       return;
     }
 
     if (evt.type === "response.done") {
       openaiResponseActive = false;
+      const spoke = !!(responseText || pendingText.trim());
+      flushToolOutputs(spoke).catch((e) => callLog.error("TOOL_OUTPUT_FLUSH_FAILED", { error: e }));
 
-      if (!assistantSeen && !textSeen) {
-        resetAssistantBuffers("response_done_empty");
-        return;
-      }
-      maybeSpeakFromBuffers("response.done");
-      resetAssistantBuffers("response_done");
+      finishResponse(evt);
+      // a reply that said nothing (tool calls only) leaves the line quiet
+      armSilenceTimer();
       return;
     }
 
     if (evt.type === "input_audio_buffer.speech_started") {
-      console.log(`[${nowIso()}] 🎙️ speech_started (barge-in)`);
+      callLog.info("SPEECH_STARTED");
+      clearSilenceTimer();
+      silenceReprompts = 0;
+      if (closingReason) {
+        callLog.info("BARGE_IN_IGNORED", { reason: "closing" });
+        return;
+      }
 
       // only treat as barge-in when we are actually speaking
-      if (!currentSpeech) {
-        console.log(`[${nowIso()}] BARGE_IN_IGNORED (not speaking)`);
+      if (!isSpeaking()) {
+        callLog.info("BARGE_IN_IGNORED", { reason: "not_speaking" });
         return;
       }
 
       // debounce early VAD triggers (echo/noise)
       const sinceSpeakStart = Date.now() - lastSpeakStartAt;
-      if (sinceSpeakStart >= 0 && sinceSpeakStart < BARGE_IN_IGNORE_MS) {
-        console.log(
-          `[${nowIso()}] BARGE_IN_IGNORED (debounce) sinceSpeakStartMs=${sinceSpeakStart}`
-        );
+      if (sinceSpeakStart >= 0 && sinceSpeakStart < company.tuning.bargeInIgnoreMs) {
+        callLog.info("BARGE_IN_IGNORED", { reason: "debounce", sinceSpeakStartMs: sinceSpeakStart });
+        bargeIns.inc({ company: company.id, result: "debounced" });
+        transcript?.mark("barge_in_ignored", { sinceSpeakStartMs: sinceSpeakStart });
         return;
       }
 
       if (openaiResponseActive) {
         safeOpenAI({ type: "response.cancel" });
       } else {
-        console.log(`[${nowIso()}] response.cancel skipped (no active response)`);
+        callLog.debug("RESPONSE_CANCEL_SKIPPED", { reason: "no_active_response" });
       }
 
+      callLog.info("BARGE_IN", { sinceSpeakStartMs: sinceSpeakStart });
+      transcript?.mark("barge_in", { sinceSpeakStartMs: sinceSpeakStart });
+      bargeIns.inc({ company: company.id, result: "accepted" });
+      if (responseId) cancelledResponses.add(responseId);
+      hangupRequested = false;
+      endCallPending = null;
+      endCallReason = null;
       disarmHangup("barge_in");
       speechToken++;
       cancelSpeech("barge_in");
@@ -779,24 +1748,33 @@ wss.on("connection", (twilioWs, req) => {
     }
 
     if (evt.type === "input_audio_buffer.speech_stopped") {
-      console.log(`[${nowIso()}] 🎙️ speech_stopped`);
+      callLog.info("SPEECH_STOPPED");
+      // echo/noise over our own speech is not a turn that waits for an answer
+      if (!isSpeaking()) replyAwaitedSince = Date.now();
+      // the model normally answers; if it does not, the caller is waiting in silence
+      armSilenceTimer();
       return;
     }
 
     if (evt.type === "conversation.item.input_audio_transcription.completed") {
-      console.log(`[${nowIso()}] 📝 USER SAID: "${evt.transcript}"`);
+      callLog.info("USER_SAID", { text: evt.transcript });
+      rememberTurn("user", evt.transcript);
+      transcript?.turn("user", evt.transcript);
       return;
     }
 
     if (evt.type === "response.audio_transcript.delta" && typeof evt.delta === "string") {
-      assistantSeen = true;
-      assistantBuf += evt.delta;
+      onAssistantDelta(evt, "audio");
+      return;
+    }
+
+    if (evt.type === "response.function_call_arguments.done") {
+      startToolCall(evt);
       return;
     }
 
     if (evt.type === "response.text.delta" && typeof evt.delta === "string") {
-      textSeen = true;
-      textBuf += evt.delta;
+      onAssistantDelta(evt, "text");
       return;
     }
 
@@ -804,31 +1782,46 @@ wss.on("connection", (twilioWs, req) => {
       if (evt?.error?.code === "response_cancel_not_active") {
         openaiResponseActive = false;
       }
-      console.error(`[${nowIso()}] ❌ OpenAI error:`, JSON.stringify(evt.error));
+      callLog.error("OPENAI_ERROR", { code: evt.error?.code, error: evt.error?.message });
     }
   });
 
   openaiWs.on("close", (code) => {
-    console.log(`[${nowIso()}] OpenAI WS closed code=${code}`);
+    callLog.info("OPENAI_WS_CLOSED", { code });
     openaiResponseActive = false;
     disarmHangup("openai_ws_close");
+    stopCallTimers();
     cancelSpeech("openai_ws_close");
-    if (twilioWs.readyState === WebSocket.OPEN) twilioWs.close();
+    if (twilioWs.readyState === WebSocket.OPEN) {
+      recordServerHangup(callSid, "openai_ws_closed");
+      twilioWs.close();
+    }
   });
 
   openaiWs.on("error", (e) => {
-    console.error(`[${nowIso()}] OpenAI WS error:`, e.message);
+    callLog.error("OPENAI_WS_ERROR", { error: e });
   });
 
   twilioWs.on("close", () => {
-    console.log(`[${nowIso()}] Twilio WS closed streamSid=${streamSid}`);
+    callLog.info("TWILIO_WS_CLOSED");
+    transcript?.mark("call_end");
+    if (callCounted) activeCalls.dec({ company: company.id });
+    if (recorder) {
+      recorder
+        .finish()
+        .then((meta) => {
+          if (meta) callLog.info("RECORDING_SAVED", { seconds: meta.seconds, bytes: meta.bytes });
+        })
+        .catch((e) => callLog.error("RECORDING_SAVE_FAILED", { error: e }));
+    }
     disarmHangup("twilio_ws_close");
+    stopCallTimers();
     cancelSpeech("twilio_ws_close");
     if (openaiWs.readyState === WebSocket.OPEN) openaiWs.close();
   });
 
   twilioWs.on("error", (e) => {
-    console.error(`[${nowIso()}] Twilio WS error:`, e.message);
+    callLog.error("TWILIO_WS_ERROR", { error: e });
     disarmHangup("twilio_ws_error");
     cancelSpeech("twilio_ws_error");
     if (openaiWs.readyState === WebSocket.OPEN) openaiWs.close();
@@ -839,8 +1832,42 @@ wss.on("connection", (twilioWs, req) => {
    START
 ======================= */
 httpServer.listen(PORT, () => {
-  console.log(
-    `✅ DES inbound live on ${PORT} (barge-in debounce=${BARGE_IN_IGNORE_MS}ms, mute_stt_while_speaking=${MUTE_STT_WHILE_SPEAKING ? "on" : "off"})`
-  );
-  warmGreetingCache().catch(() => {});
+  log.info("SERVER_LISTENING", {
+    port: Number(PORT),
+    companies: companies.all().map((c) => ({
+      id: c.id,
+      numbers: c.numbers,
+      tts: ttsByCompany.get(c.id).name,
+      bargeInIgnoreMs: c.tuning.bargeInIgnoreMs,
+      muteSttWhileSpeaking: c.tuning.muteSttWhileSpeaking,
+    })),
+    stt: stt.name,
+  });
+  if (!signatureValidationEnabled()) {
+    log.warn("TWILIO_SIGNATURE_VALIDATION_OFF", { note: "Twilio webhooks are not authenticated" });
+  } else if (!TWILIO_AUTH_TOKEN) {
+    log.error("CONFIG_INVALID", { error: "TWILIO_AUTH_TOKEN missing: every Twilio webhook will be rejected" });
+  }
+  for (const c of companies.all()) {
+    warmClip(c, "greeting").catch(() => {});
+    warmClip(c, "transfer_fallback").catch(() => {});
+    if (c.schedule.hours) warmClip(c, "after_hours").catch(() => {});
+  }
+  // one company at a time; each warm is sequential anyway
+  (async () => {
+    for (const c of companies.all()) {
+      if (!c.cachePhrases.length) continue;
+      const results = await warmPhrases(ttsByCompany.get(c.id), c.voice, c.cachePhrases);
+      const warmed = results.filter((x) => x.status === "warmed" || x.status === "cached").length;
+      log.info("PHRASE_CACHE_STARTUP_WARM", { company: c.id, ok: warmed, phrases: results.length });
+    }
+  })().catch((e) => log.error("PHRASE_CACHE_WARM_FAILED", { error: e }));
+  startComplaintRetries((id) => companies.get(id)?.ownerEmail);
+  startRecordingRetention();
+  startVoicemails({
+    stt,
+    accountSid: TWILIO_ACCOUNT_SID,
+    authToken: TWILIO_AUTH_TOKEN,
+    apiBaseUrl: TWILIO_API_BASE_URL,
+  });
 });
@@ -0,0 +1,69 @@
+// companies/des/store.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/* =======================
+   LOCAL DISK STORE
+   Append-only JSON lines for records, atomic JSON files for state.
+======================= */
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+// read on first use: modules import the store before server.js runs dotenv.config()
+let root = null;
+function dataRoot() {
+  if (root === null) root = path.resolve(process.env.DATA_DIR || path.join(HERE, "data"));
+  return root;
+}
+
+export function dataPath(...parts) {
+  const p = path.join(dataRoot(), ...parts);
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  return p;
+}
+
+export function dataDir(...parts) {
+  const p = path.join(dataRoot(), ...parts);
+  fs.mkdirSync(p, { recursive: true });
+  return p;
+}
+
+export function appendJsonl(file, obj) {
+  fs.appendFileSync(dataPath(file), JSON.stringify(obj) + "\n");
+}
+
+export function readJsonl(file) {
+  const p = dataPath(file);
+  if (!fs.existsSync(p)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(p, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // a torn last line after a crash is skipped, not fatal
+    }
+  }
+  return out;
+}
+
+export function readJson(file, fallback) {
+  const p = dataPath(file);
+  if (!fs.existsSync(p)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeJson(file, obj) {
+  const p = dataPath(file);
+  const tmp = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
+  fs.renameSync(tmp, p);
+}
+
+export function newId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
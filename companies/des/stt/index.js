@@ -0,0 +1,45 @@
+// companies/des/stt/index.js
+import { createOpenAiStt } from "./openai.js";
+import { createWhisperCppStt } from "./whisper-cpp.js";
+import { sttFailures } from "../metrics.js";
+
+/* =======================
+   STT PROVIDERS (voicemail transcription)
+   A provider is { name, transcribe(audioBuffer) } and resolves to plain text.
+   STT_PROVIDER picks one: "openai" (default) or "whisper-cpp" for a local
+   whisper.cpp binary (WHISPER_BIN, WHISPER_MODEL).
+======================= */
+const PROVIDERS = {
+  openai: () =>
+    createOpenAiStt({
+      apiKey: process.env.OPENAI_API_KEY,
+      url: process.env.OPENAI_STT_URL,
+      model: process.env.OPENAI_STT_MODEL,
+      language: process.env.STT_LANGUAGE,
+    }),
+  "whisper-cpp": () =>
+    createWhisperCppStt({
+      bin: process.env.WHISPER_BIN,
+      model: process.env.WHISPER_MODEL,
+      language: process.env.STT_LANGUAGE,
+      timeoutMs: Number(process.env.WHISPER_TIMEOUT_MS || 120000),
+    }),
+};
+
+// read when called, not on import: server.js loads .env first
+export function createStt(name = process.env.STT_PROVIDER || "openai") {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`STT_PROVIDER_UNKNOWN ${name}`);
+  const provider = factory();
+  return {
+    name: provider.name,
+    async transcribe(audio) {
+      try {
+        return await provider.transcribe(audio);
+      } catch (e) {
+        sttFailures.inc({ provider: provider.name });
+        throw e;
+      }
+    },
+  };
+}
@@ -0,0 +1,26 @@
+// companies/des/stt/openai.js
+
+/* =========================
+   OpenAI transcription API (whisper-1). Takes the recording as Twilio sends it.
+========================= */
+export function createOpenAiStt({ apiKey, url, model = "whisper-1", language = "nl" } = {}) {
+  async function transcribe(audio) {
+    if (!apiKey) throw new Error("OPENAI_STT_FAILED no API key");
+    const form = new FormData();
+    form.append("file", new Blob([audio], { type: "audio/wav" }), "voicemail.wav");
+    form.append("model", model);
+    form.append("language", language);
+    form.append("response_format", "text");
+
+    const res = await fetch(url || "https://api.openai.com/v1/audio/transcriptions", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${apiKey}` },
+      body: form,
+    });
+    const body = await res.text();
+    if (!res.ok) throw new Error(`OPENAI_STT_FAILED ${res.status} ${body.slice(0, 200)}`);
+    return body.replace(/\s+/g, " ").trim();
+  }
+
+  return { name: "openai", transcribe };
+}
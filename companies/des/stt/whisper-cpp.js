@@ -0,0 +1,49 @@
+// companies/des/stt/whisper-cpp.js
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { toWav16k } from "../tts/ffmpeg.js";
+
+/* =========================
+   whisper.cpp: local, offline, no API key. Its CLI wants a 16 kHz mono WAV
+   on disk and prints the text on stdout (-nt: no timestamps, -np: nothing else).
+========================= */
+export function createWhisperCppStt({ bin, model, language = "nl", timeoutMs = 120000 } = {}) {
+  function run(file) {
+    const args = [...(model ? ["-m", model] : []), "-l", language, "-nt", "-np", "-f", file];
+    return new Promise((resolve, reject) => {
+      const p = spawn(bin || "whisper-cli", args);
+      const chunks = [];
+      p.stdout.on("data", (c) => chunks.push(c));
+      p.stderr.on("data", () => {});
+      const timer = setTimeout(() => {
+        try {
+          p.kill("SIGKILL");
+        } catch {}
+      }, timeoutMs);
+      p.on("error", (e) => {
+        clearTimeout(timer);
+        reject(new Error(`WHISPER_FAILED ${e.message}`));
+      });
+      p.on("close", (code, signal) => {
+        clearTimeout(timer);
+        if (code !== 0) return reject(new Error(`WHISPER_FAILED ${signal ? `killed=${signal}` : `exit=${code}`}`));
+        resolve(Buffer.concat(chunks).toString("utf8").replace(/\s+/g, " ").trim());
+      });
+    });
+  }
+
+  async function transcribe(audio) {
+    const wav = await toWav16k(audio);
+    const file = path.join(os.tmpdir(), `des-stt-${process.pid}-${Date.now().toString(36)}.wav`);
+    fs.writeFileSync(file, wav);
+    try {
+      return await run(file);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  return { name: "whisper-cpp", transcribe };
+}
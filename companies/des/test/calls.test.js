@@ -0,0 +1,40 @@
+// companies/des/test/calls.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { recordCallStart, applyCallStatus, getCall, listCalls, intentStats } from "../calls.js";
+
+// store.js and calls.js read DATA_DIR and the cap on use
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "des-calls-"));
+process.env.DATA_DIR = DATA_DIR;
+process.env.CALL_HISTORY_MAX_CALLS = "3";
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+test("calls.json keeps the newest calls; older finished ones move to the archive", () => {
+  // the oldest call is still running and must stay where status callbacks can reach it
+  recordCallStart({ callSid: "CAcap00", company: "testco", from: "+31612345678" });
+  for (let i = 1; i <= 5; i++) {
+    recordCallStart({ callSid: `CAcap0${i}`, company: "testco", from: "+31612345678" });
+    applyCallStatus({ CallSid: `CAcap0${i}`, CallStatus: "completed", CallDuration: "10" });
+  }
+
+  const live = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "calls.json"), "utf8")).calls.map((c) => c.callSid);
+  assert.deepEqual(live, ["CAcap00", "CAcap04", "CAcap05"]);
+  const archived = fs
+    .readFileSync(path.join(DATA_DIR, "calls-archive.jsonl"), "utf8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l).callSid);
+  assert.deepEqual(archived, ["CAcap01", "CAcap02", "CAcap03"]);
+
+  // reads still see every call
+  assert.equal(listCalls({ limit: Infinity }).length, 6);
+  assert.equal(getCall("CAcap01").status, "completed");
+  assert.equal(intentStats({ company: "testco" }).totals.calls, 6);
+
+  applyCallStatus({ CallSid: "CAcap00", CallStatus: "completed", CallDuration: "90" });
+  assert.equal(getCall("CAcap00").durationSec, 90);
+});
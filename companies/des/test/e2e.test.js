@@ -0,0 +1,1135 @@
+// companies/des/test/e2e.test.js
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { startHarness, TEST_COMPANY, TWILIO_AUTH_TOKEN } from "./harness.js";
+import { FIXED_MP3 } from "./fakes/elevenlabs.js";
+import { FakeTwilioCall } from "./fakes/twilio.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// server logs and WebSocket messages race each other; poll for the latter
+async function until(cond, timeoutMs = 2000) {
+  const end = Date.now() + timeoutMs;
+  while (!cond()) {
+    if (Date.now() > end) throw new Error(`condition not met: ${cond}`);
+    await sleep(20);
+  }
+}
+
+describe("greeting", () => {
+  describe("clip cached", () => {
+    let h;
+    before(async () => {
+      h = await startHarness();
+      await h.waitForEvent("CLIP_WARMED", { clip: "greeting", company: "testco" });
+    });
+    after(() => h.stop());
+
+    test("TwiML plays the cached greeting before the stream", async () => {
+      const { status, body } = await h.twiml();
+      assert.equal(status, 200);
+      assert.match(body, /<Play>.*clip=greeting.*<\/Play>/);
+      assert.match(body, /<Stream url="wss:\/\/[^"]+\/ws\/[\w-]+\.[\w-]+"/);
+      assert.ok(body.indexOf("<Play>") < body.indexOf("<Stream"));
+
+      const playUrl = new URL(/<Play>([^<]+)<\/Play>/.exec(body)[1].replace(/&amp;/g, "&"));
+      const res = await fetch(`${h.baseUrl}${playUrl.pathname}${playUrl.search}`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(Buffer.from(await res.arrayBuffer()), FIXED_MP3);
+    });
+
+    test("the stream does not speak the greeting a second time", async () => {
+      const call = await h.call();
+      await sleep(300);
+      assert.equal(call.twilio.mediaBytes(), 0);
+      assert.ok(!h.eleven.streamedTexts().includes(TEST_COMPANY.greeting));
+      call.twilio.stop();
+    });
+
+    test("with a single company every dialed number reaches it", async () => {
+      const from = h.logMark();
+      const { body } = await h.twiml({ To: "+31000000000" });
+      assert.match(body, /<Stream url=/);
+      await h.waitForEvent("TWIML_SERVED", { company: "testco" }, 2000, { fromIndex: from });
+    });
+  });
+
+  describe("clip not cached", () => {
+    let h;
+    before(async () => {
+      h = await startHarness({ elevenlabs: { failMp3: true } });
+      await h.waitForEvent("CLIP_WARM_FAILED", { clip: "greeting", company: "testco" });
+    });
+    after(() => h.stop());
+
+    test("greeting is streamed over the media stream instead", async () => {
+      const { body } = await h.twiml();
+      assert.doesNotMatch(body, /<Play>/);
+      assert.match(body, /<Stream/);
+
+      const call = await h.call();
+      await h.waitForEvent("SPEAK_DONE", { cache: "miss", tts: "elevenlabs" });
+      assert.deepEqual(h.eleven.streamedTexts(), [TEST_COMPANY.greeting]);
+      await until(() => call.twilio.mediaBytes() === FIXED_MP3.length);
+      call.twilio.stop();
+    });
+  });
+});
+
+describe("live call", () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+  });
+  after(() => h.stop());
+
+  test("barge-in inside BARGE_IN_IGNORE_MS is ignored, after it cancels the reply", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    const id = call.openai.beginResponse();
+    await call.openai.streamText(id, "Wij beveiligen evenementen, bouwplaatsen en winkels in heel Nederland. ");
+    await h.waitForEvent("SPEAK_START", {}, 5000, { fromIndex: from });
+
+    call.openai.send({ type: "input_audio_buffer.speech_started" });
+    await h.waitForEvent("BARGE_IN_IGNORED", { reason: "debounce" }, 2000, { fromIndex: from });
+    assert.equal(call.twilio.clears, 0);
+    assert.equal(call.openai.count("response.cancel"), 0);
+
+    await sleep(TEST_COMPANY.tuning.bargeInIgnoreMs + 200);
+    call.openai.send({ type: "input_audio_buffer.speech_started" });
+    await call.openai.waitFor("response.cancel");
+    await h.waitForEvent("SPEAK_NOT_COMPLETED", { reason: "barge_in" }, 2000, { fromIndex: from });
+    await until(() => call.twilio.clears === 1);
+    assert.ok(call.twilio.mediaBytes() < FIXED_MP3.length, "speech was cut off");
+
+    // late deltas of the cancelled response are not spoken
+    await call.openai.streamText(id, "Dit hoort u niet meer. ");
+    call.openai.endResponse(id, "cancelled");
+    await sleep(200);
+    assert.ok(!h.eleven.streamedTexts().includes("Dit hoort u niet meer."));
+    call.twilio.stop();
+  });
+
+  test("a sentence already spoken is not spoken again", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+    const sentence = "Wij beveiligen ook evenementen in het weekend.";
+
+    await call.openai.reply(sentence);
+    await h.waitForEvent("SPEAK_DONE", {}, 5000, { fromIndex: from });
+
+    // same words again, this time as a text-only reply
+    await call.openai.reply(sentence, { source: "text" });
+    await h.waitForEvent("SPEAK_DEDUPED", { via: "response.done" }, 2000, { fromIndex: from });
+
+    assert.equal(h.eleven.streamedTexts().filter((t) => t === sentence).length, 1);
+    await until(() => call.twilio.mediaBytes() === FIXED_MP3.length);
+    call.twilio.stop();
+  });
+
+  test("a reply that names a price is replaced by the fallback line", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    await call.openai.reply("Goede vraag. Een beveiliger kost vanaf vijfenveertig euro per uur. Wilt u een offerte?");
+    const blocked = await h.waitForEvent("GUARDRAIL_BLOCKED", { rule: "currency_amount" }, 5000, { fromIndex: from });
+    assert.equal(blocked.callSid, call.twilio.callSid);
+    assert.equal(blocked.match, "vijfenveertig euro");
+    await until(() => h.events(from, "SPEAK_DONE").length === 2, 5000);
+
+    const spoken = h.eleven.streamedTexts();
+    assert.ok(spoken.includes("Goede vraag."));
+    assert.ok(spoken.some((t) => t.startsWith("Daar kan ik helaas geen uitspraak over doen.")));
+    assert.ok(!spoken.some((t) => /euro|offerte/.test(t)), "nothing after the violation is spoken");
+
+    // the next response is checked afresh
+    await call.openai.reply("Wij beveiligen evenementen in heel Nederland.");
+    await until(() => h.eleven.streamedTexts().includes("Wij beveiligen evenementen in heel Nederland."), 5000);
+    call.twilio.stop();
+  });
+
+  test("call log lines carry callSid, streamSid and company; OpenAI events stay at debug", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    await call.openai.reply("Wij zijn ook in het weekend bereikbaar.");
+    const done = await h.waitForEvent("SPEAK_DONE", {}, 5000, { fromIndex: from });
+    assert.equal(done.level, "info");
+    assert.equal(done.callSid, call.twilio.callSid);
+    assert.equal(done.streamSid, call.twilio.streamSid);
+    assert.equal(done.company, "testco");
+    assert.equal(h.events(from, "OPENAI_EVT").length, 0);
+    call.twilio.stop();
+  });
+
+  // a goodbye plus end_call in one response, the way the model ends a call
+  async function sayGoodbye(session, text, reason = "goodbye") {
+    const id = session.beginResponse();
+    await session.streamText(id, text);
+    session.callTool(id, "end_call", { reason });
+    session.endResponse(id);
+    return id;
+  }
+
+  test("end_call: hangs up after the goodbye's mark is acked", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    await sayGoodbye(call.openai, "Fijne dag verder en tot ziens.");
+    await h.waitForEvent("HANGUP_ARMED", {}, 5000, { fromIndex: from });
+    await h.waitForEvent("HANGUP_MARK_MATCHED", {}, 2000, { fromIndex: from });
+    const closedAt = await call.twilio.closed;
+
+    assert.equal(call.twilio.marks.filter((m) => m.startsWith("hangup_")).length, 1);
+    await h.waitForEvent("HANGUP", { reason: "mark_ack", endReason: "goodbye" }, 1000, { fromIndex: from });
+    // no Twilio credentials in the harness: only the stream is closed, and that is logged
+    await h.waitForEvent("HANGUP_STREAM_ONLY", { reason: "twilio_not_configured" }, 1000, { fromIndex: from });
+    const lastMedia = call.twilio.events.filter((e) => e.event === "media").pop();
+    assert.ok(closedAt - lastMedia.at >= TEST_COMPANY.tuning.hangupDelayMs - 50);
+    // the tool output goes back, but the model is not asked to say anything more
+    await call.openai.waitFor("conversation.item.create");
+    assert.equal(call.openai.count("response.create"), 0);
+  });
+
+  test("end_call: fail-safe hangs up when Twilio never acks the mark", async () => {
+    const call = await h.call({ autoAckMarks: false });
+    const from = h.logMark();
+
+    await sayGoodbye(call.openai, "Bedankt voor het bellen en tot ziens.");
+    await h.waitForEvent("HANGUP_ARMED", {}, 5000, { fromIndex: from });
+    const armedAt = Date.now();
+    await h.waitForEvent("HANGUP_MARK_TIMEOUT", {}, 6000, { fromIndex: from });
+    await call.twilio.closed;
+
+    // fail-safe = max(HANGUP_MARK_TIMEOUT_MS, hangupDelayMs + 3000), then hangupDelayMs
+    const expected = Math.max(1000, TEST_COMPANY.tuning.hangupDelayMs + 3000) + TEST_COMPANY.tuning.hangupDelayMs;
+    assert.ok(Date.now() - armedAt >= expected - 100);
+    assert.equal(h.events(from, "HANGUP", { reason: "mark_timeout" }).length, 1);
+  });
+
+  test("barge-in during the goodbye keeps the caller on the line", async () => {
+    const call = await h.call({ autoAckMarks: false });
+    const from = h.logMark();
+
+    const id = call.openai.beginResponse();
+    await call.openai.streamText(id, "Prima, dan wens ik u een fijne dag. ");
+    call.openai.callTool(id, "end_call", { reason: "goodbye" });
+    await h.waitForEvent("SPEAK_START", {}, 5000, { fromIndex: from });
+    await sleep(TEST_COMPANY.tuning.bargeInIgnoreMs + 200);
+    call.openai.send({ type: "input_audio_buffer.speech_started" });
+    await h.waitForEvent("HANGUP_DISARMED", { reason: "barge_in" }, 2000, { fromIndex: from });
+
+    // the end_call of the interrupted response is dropped with it
+    call.openai.endResponse(id, "cancelled");
+
+    await sleep(TEST_COMPANY.tuning.hangupDelayMs + 300);
+    assert.equal(h.events(from, "HANGUP").length, 0);
+    assert.equal(call.twilio.ws.readyState, 1);
+    call.twilio.stop();
+  });
+
+  test("a TTS stream that breaks off halfway is an error and is not cached", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    h.eleven.state.breakStream = true;
+    try {
+      await call.openai.reply("Deze zin breekt halverwege af.");
+      await h.waitForEvent("SPEAK_ERROR", { error: /ELEVEN_STREAM_FAILED/ }, 5000, { fromIndex: from });
+    } finally {
+      h.eleven.state.breakStream = false;
+    }
+    const cache = await (await h.admin("/phrase-cache")).json();
+    assert.ok(!cache.entries.some((e) => e.text === "Deze zin breekt halverwege af."));
+    call.twilio.stop();
+  });
+
+  test("a control token is never spoken; the legacy hangup token still ends the call", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    await call.openai.reply("Graag gedaan, tot ziens. AFRONDEN_OK");
+    await h.waitForEvent("HANGUP", { reason: "mark_ack", endReason: "token" }, 5000, { fromIndex: from });
+    assert.ok(h.eleven.streamedTexts().includes("Graag gedaan, tot ziens."));
+    assert.ok(!h.eleven.streamedTexts().some((t) => t.includes("AFRONDEN_OK")));
+  });
+});
+
+describe("phrase cache", () => {
+  const PHRASE = "Een moment geduld alstublieft.";
+  let h;
+  before(async () => {
+    h = await startHarness();
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+  });
+  after(() => h.stop());
+
+  test("/phrase-cache/warm fills the cache that a call then plays from", async () => {
+    assert.equal((await fetch(`${h.baseUrl}/phrase-cache`)).status, 401);
+    assert.equal((await h.admin("/phrase-cache/warm", { method: "POST", body: { company: "nope", phrases: [] } })).status, 400);
+    assert.equal((await h.admin("/phrase-cache/warm", { method: "POST", body: { company: "testco" } })).status, 400);
+
+    const warm = () =>
+      h.admin("/phrase-cache/warm", { method: "POST", body: { company: "testco", phrases: [PHRASE, "x".repeat(401)] } });
+    const first = await (await warm()).json();
+    assert.deepEqual(first.results.map((r) => r.status), ["warmed", "too_long"]);
+    const second = await (await warm()).json();
+    assert.deepEqual(second.results.map((r) => r.status), ["cached", "too_long"]);
+
+    const info = await (await h.admin("/phrase-cache")).json();
+    assert.equal(info.count, 1);
+    assert.equal(info.entries[0].text, PHRASE);
+    assert.equal(info.entries[0].bytes, FIXED_MP3.length);
+    assert.equal(info.totalBytes, FIXED_MP3.length);
+
+    const call = await h.call();
+    const from = h.logMark();
+    await call.openai.reply(PHRASE);
+    await h.waitForEvent("SPEAK_DONE", { cache: "hit" }, 5000, { fromIndex: from });
+    // synthesized once, by the first warm-up
+    assert.equal(h.eleven.streamedTexts().filter((t) => t === PHRASE).length, 1);
+    assert.equal((await (await h.admin("/phrase-cache")).json()).hits, 1);
+    call.twilio.stop();
+  });
+});
+
+describe("transfer", () => {
+  const HANDOVER = "Ik verbind u door met een medewerker. Een moment alstublieft.";
+  let h;
+  before(async () => {
+    h = await startHarness({
+      twilioRest: true,
+      company: {
+        tools: ["transfer_to_employee", "end_call"],
+        transfer: { numbers: ["+31201111111"], timeoutSeconds: 15, handoverLine: HANDOVER, voicemail: true },
+      },
+    });
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+  });
+  after(() => h.stop());
+
+  test("transfer_to_employee: the handover line follows the reply, then the call is redirected", async () => {
+    const call = await h.call({ autoAckMarks: false });
+    const from = h.logMark();
+
+    const id = call.openai.beginResponse();
+    await call.openai.streamText(id, "Dat zoekt een collega graag voor u uit. ");
+    call.openai.callTool(id, "transfer_to_employee", { reason: "vraag over een factuur" });
+    call.openai.endResponse(id);
+    await h.waitForEvent("TRANSFER_REQUESTED", { reason: "vraag over een factuur" }, 2000, { fromIndex: from });
+
+    // the handover line is queued behind the reply, and its mark behind the line
+    await until(() => call.twilio.marks.some((m) => m.startsWith("transfer_")), 5000);
+    assert.deepEqual(h.eleven.streamedTexts().slice(-2), ["Dat zoekt een collega graag voor u uit.", HANDOVER]);
+    // nothing is redirected before Twilio played the handover line
+    await sleep(200);
+    assert.equal(h.rest.updates.length, 0);
+
+    call.twilio.ackMark(call.twilio.marks.find((m) => m.startsWith("transfer_")));
+    const update = await h.rest.waitForUpdate((u) => u.callSid === call.twilio.callSid);
+    assert.match(update.params.Twiml, /<Dial timeout="15"[^>]*>\s*<Number>\+31201111111<\/Number>/);
+    await h.waitForEvent("TRANSFER_REDIRECTED", {}, 2000, { fromIndex: from });
+    // the model is not asked to say anything more
+    assert.equal(call.openai.count("response.create"), 0);
+    call.twilio.stop();
+  });
+
+  test("nobody answers the transfer: the fallback message, then a voicemail", async () => {
+    const answered = await h.webhook("/twiml/transfer-result?company=testco", { CallSid: "CAxfer1", DialCallStatus: "completed" });
+    assert.match(answered.body, /<Hangup \/>/);
+    assert.doesNotMatch(answered.body, /<Record/);
+
+    const { body } = await h.webhook("/twiml/transfer-result?company=testco", { CallSid: "CAxfer1", DialCallStatus: "no-answer" });
+    assert.match(body, /<Play>[^<]+clip=transfer_fallback/);
+    // the default fallback line announces the beep
+    const clip = h.eleven.requests.find((r) => r.kind === "mp3" && /geen medewerker/.test(r.text));
+    assert.match(clip.text, /Spreek na de piep uw bericht in/);
+    assert.match(body, /<Record maxLength="120" [^>]*recordingStatusCallback="[^"]+\/twilio\/voicemail\?company=testco&amp;source=transfer"/);
+    assert.doesNotMatch(body, /<Hangup \/>/);
+
+    const form = {
+      CallSid: "CAxfer1",
+      RecordingSid: "RE22222222222222222222222222222222",
+      RecordingUrl: `${h.rest.url}/2010-04-01/Accounts/ACtest/Recordings/RE22222222222222222222222222222222`,
+      RecordingStatus: "completed",
+      RecordingDuration: "5",
+    };
+    assert.equal((await h.webhook("/twilio/voicemail?company=testco&source=transfer", form)).status, 204);
+    await h.waitForEvent("VOICEMAIL_RECEIVED", { callSid: "CAxfer1", source: "transfer" });
+    const { voicemails } = await (await h.admin("/voicemails")).json();
+    assert.equal(voicemails[0].source, "transfer");
+  });
+
+  test("end_call hangs up through the REST API", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    const id = call.openai.beginResponse();
+    await call.openai.streamText(id, "Tot ziens.");
+    call.openai.callTool(id, "end_call", { reason: "goodbye" });
+    call.openai.endResponse(id);
+    const update = await h.rest.waitForUpdate((u) => u.callSid === call.twilio.callSid && u.params.Status === "completed");
+    assert.ok(update);
+    await h.waitForEvent("HANGUP_REST_DONE", {}, 2000, { fromIndex: from });
+  });
+});
+
+describe("custom hangup token", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { HANGUP_TOKEN: "KLAAR" } });
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+  });
+  after(() => h.stop());
+
+  test("a token without an underscore is not spoken either", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    await call.openai.reply("Fijne avond nog. KLAAR");
+    await h.waitForEvent("HANGUP", { endReason: "token" }, 5000, { fromIndex: from });
+    assert.deepEqual(h.eleven.streamedTexts(), ["Fijne avond nog."]);
+  });
+});
+
+describe("twilio auth", () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+  });
+  after(() => h.stop());
+
+  test("unsigned or badly signed webhooks are refused and logged", async () => {
+    const from = h.logMark();
+
+    const unsigned = await h.twiml({}, { signed: false });
+    assert.equal(unsigned.status, 403);
+    assert.doesNotMatch(unsigned.body, /<Stream/);
+    await h.waitForEvent("TWILIO_WEBHOOK_REJECTED", { path: "/twiml", reason: "signature_missing" }, 2000, { fromIndex: from });
+
+    const forged = await h.twiml({}, { signed: "bm90IGEgc2lnbmF0dXJl" });
+    assert.equal(forged.status, 403);
+    await h.waitForEvent("TWILIO_WEBHOOK_REJECTED", { path: "/twiml", reason: "signature_invalid" }, 2000, { fromIndex: from });
+
+    const transfer = await h.webhook("/twiml/transfer-result?company=testco", { DialCallStatus: "no-answer" }, { signed: false });
+    assert.equal(transfer.status, 403);
+  });
+
+  test("the media stream needs a token from /twiml", async () => {
+    const from = h.logMark();
+    const sessionsBefore = h.openai.sessions.length;
+
+    for (const url of [`ws://127.0.0.1:${h.port}/ws`, `ws://127.0.0.1:${h.port}/`]) {
+      const call = new FakeTwilioCall(url);
+      await assert.rejects(call.opened, /401/);
+    }
+    await h.waitForEvent("WS_UPGRADE_REJECTED", { path: "/ws", reason: "token_missing" }, 2000, { fromIndex: from });
+
+    const { body } = await h.twiml();
+    const url = h.streamUrl(body);
+    const tampered = url.slice(0, -1) + (url.endsWith("A") ? "B" : "A");
+    await assert.rejects(new FakeTwilioCall(tampered).opened, /401/);
+    await h.waitForEvent("WS_UPGRADE_REJECTED", { reason: "token_bad_signature" }, 2000, { fromIndex: from });
+
+    assert.equal(h.openai.sessions.length, sessionsBefore, "no OpenAI session for rejected streams");
+  });
+
+  test("a stream token works once, for its own call", async () => {
+    const from = h.logMark();
+    const callSid = "CA0123456789abcdef";
+    const { body } = await h.twiml({ CallSid: callSid });
+    const url = h.streamUrl(body);
+
+    const first = new FakeTwilioCall(url, { callSid: "CAsomeoneelse" });
+    await first.start({});
+    await first.closed;
+    await h.waitForEvent("STREAM_TOKEN_CALLSID_MISMATCH", { startCallSid: "CAsomeoneelse" }, 2000, { fromIndex: from });
+
+    await assert.rejects(new FakeTwilioCall(url, { callSid }).opened, /401/);
+    await h.waitForEvent("WS_UPGRADE_REJECTED", { reason: "token_reused" }, 2000, { fromIndex: from });
+  });
+});
+
+describe("settings from a .env file", () => {
+  let h;
+  before(async () => {
+    // the server's environment holds nothing but PATH
+    h = await startHarness({ dotenv: true });
+  });
+  after(() => h.stop());
+
+  test("every module sees them, not just the ones server.js reads itself", async () => {
+    // COMPANIES_DIR, ELEVENLABS_BASE_URL and FFMPEG_BIN
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting", company: "testco" });
+    assert.equal(h.events(0, "CONFIG_INVALID").length, 0);
+
+    // TWILIO_AUTH_TOKEN: signed webhooks pass, and the stream token /twiml mints is accepted
+    const callSid = "CAdotenv00000001";
+    const { status, body } = await h.twiml({ CallSid: callSid });
+    assert.equal(status, 200);
+    const call = new FakeTwilioCall(h.streamUrl(body), { callSid });
+    await call.start({ from: "+31612345678" });
+    const session = await h.openai.nextSession();
+    await session.waitFor("session.update");
+    call.stop();
+
+    // DATA_DIR
+    const res = await h.webhook("/twilio/status", { CallSid: callSid, CallStatus: "completed", CallDuration: "3" });
+    assert.equal(res.status, 204);
+    const saved = JSON.parse(fs.readFileSync(path.join(h.dataDir, "calls.json"), "utf8"));
+    assert.ok(JSON.stringify(saved).includes(callSid));
+  });
+});
+
+describe("call recording", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ company: { recording: { enabled: true, retentionDays: 7 } } });
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+  });
+  after(() => h.stop());
+
+  test("both legs end up in a stereo WAV served to admins", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    // one second of (loud) caller audio, then Tessa answers
+    for (let i = 0; i < 50; i++) call.twilio.sendAudio({ fill: 0x10, timestamp: i * 20 });
+    await sleep(1000);
+    await call.openai.reply("Wij bellen u morgen terug over de offerte.");
+    await h.waitForEvent("SPEAK_DONE", {}, 5000, { fromIndex: from });
+    call.twilio.stop();
+    await h.waitForEvent("RECORDING_SAVED", { callSid: call.twilio.callSid }, 5000, { fromIndex: from });
+
+    const unauthorized = await fetch(`${h.baseUrl}/calls/${call.twilio.callSid}/recording.wav`);
+    assert.equal(unauthorized.status, 401);
+    assert.equal((await h.admin("/calls/CAnope/recording.wav")).status, 404);
+
+    const res = await h.admin(`/calls/${call.twilio.callSid}/recording.wav`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "audio/wav");
+    const wav = Buffer.from(await res.arrayBuffer());
+    assert.equal(wav.toString("ascii", 0, 4), "RIFF");
+    assert.equal(wav.readUInt16LE(22), 2, "stereo");
+    assert.equal(wav.readUInt32LE(24), 8000);
+    assert.equal(wav.readUInt16LE(34), 16);
+
+    let callerSamples = 0;
+    let tessaSamples = 0;
+    for (let o = 44; o < wav.length; o += 4) {
+      if (wav.readInt16LE(o) !== 0) callerSamples++;
+      if (wav.readInt16LE(o + 2) !== 0) tessaSamples++;
+    }
+    assert.equal(callerSamples, 50 * 160);
+    assert.equal(tessaSamples, FIXED_MP3.length);
+    // Tessa sits on the stream clock: after the caller's first second, not on top of it
+    let firstTessa = 44;
+    while (wav.readInt16LE(firstTessa + 2) === 0) firstTessa += 4;
+    assert.ok((firstTessa - 44) / 4 >= 8000);
+
+    // deleted behind the server's back: a 404, not a 500
+    fs.rmSync(path.join(h.dataDir, "recordings", `${call.twilio.callSid}.wav`));
+    assert.equal((await h.admin(`/calls/${call.twilio.callSid}/recording.wav`)).status, 404);
+  });
+});
+
+describe("metrics", () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+  });
+  after(() => h.stop());
+
+  const scrape = async () => {
+    const res = await h.admin("/metrics");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+    return res.text();
+  };
+
+  test("/metrics is for admins only", async () => {
+    assert.equal((await fetch(`${h.baseUrl}/metrics`)).status, 401);
+  });
+
+  test("a call shows up in calls, audio, latency and TTS series", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    call.openai.send({ type: "input_audio_buffer.speech_started" });
+    call.openai.send({ type: "input_audio_buffer.speech_stopped" });
+    await call.openai.reply("Wij zijn vierentwintig uur per dag bereikbaar.");
+    await h.waitForEvent("SPEAK_DONE", {}, 5000, { fromIndex: from });
+
+    let text = await scrape();
+    assert.match(text, /^des_active_calls\{company="testco"\} 1$/m);
+    assert.match(text, /^des_calls_total\{company="testco"\} 1$/m);
+    assert.match(text, new RegExp(`^des_audio_frames_sent_total ${FIXED_MP3.length / 160}$`, "m"));
+    assert.match(text, /^des_response_latency_seconds_count\{company="testco"\} 1$/m);
+    assert.match(text, /^des_response_latency_seconds_bucket\{company="testco",le="\+Inf"\} 1$/m);
+    assert.match(text, /^des_tts_ttfb_seconds_count\{provider="elevenlabs"\} 1$/m);
+    assert.match(text, /^des_phrase_cache_lookups_total\{company="testco",result="miss"\} 1$/m);
+    assert.match(text, /^# TYPE des_barge_ins_total counter$/m);
+
+    call.twilio.stop();
+    await h.waitForEvent("TWILIO_WS_CLOSED", {}, 2000, { fromIndex: from });
+    text = await scrape();
+    assert.match(text, /^des_active_calls\{company="testco"\} 0$/m);
+  });
+});
+
+describe("call history", () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+  });
+  after(() => h.stop());
+
+  const status = (callSid, form) =>
+    h.webhook("/twilio/status", { CallSid: callSid, To: TEST_COMPANY.numbers[0], From: "+31612345678", ...form });
+
+  test("the status callback completes the record; /calls filters it", async () => {
+    const callSid = "CAhistory0000001";
+    await h.twiml({ CallSid: callSid, Direction: "inbound" });
+
+    assert.equal((await h.webhook("/twilio/status", { CallSid: callSid, CallStatus: "completed" }, { signed: false })).status, 403);
+    const res = await status(callSid, {
+      CallStatus: "completed",
+      CallDuration: "42",
+      Timestamp: "Mon, 19 Oct 2026 14:03:00 +0000",
+    });
+    assert.equal(res.status, 204);
+
+    const { calls } = await (await h.admin("/calls?number=%2B31612345678&status=completed")).json();
+    const rec = calls.find((c) => c.callSid === callSid);
+    assert.equal(rec.direction, "inbound");
+    assert.equal(rec.company, "testco");
+    assert.equal(rec.to, TEST_COMPANY.numbers[0]);
+    assert.equal(rec.durationSec, 42);
+    assert.equal(rec.answeredAt, "2026-10-19T14:02:18.000Z");
+    assert.equal(rec.endedAt, "2026-10-19T14:03:00.000Z");
+    assert.equal(rec.endReason, "remote_hangup");
+    assert.equal(rec.serverHangupReason, null);
+
+    // a late "ringing" does not reopen a finished call
+    await status(callSid, { CallStatus: "ringing" });
+    assert.equal((await (await h.admin(`/calls/${callSid}`)).json()).status, "completed");
+
+    const none = await (await h.admin("/calls?status=busy")).json();
+    assert.equal(none.count, 0);
+    assert.equal((await fetch(`${h.baseUrl}/calls`)).status, 401);
+  });
+
+  test("a hangup by the server is recorded with its reason", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    const id = call.openai.beginResponse();
+    await call.openai.streamText(id, "Fijne dag verder en tot ziens.");
+    call.openai.callTool(id, "end_call", { reason: "goodbye" });
+    call.openai.endResponse(id);
+    await h.waitForEvent("HANGUP", { reason: "mark_ack" }, 5000, { fromIndex: from });
+    await status(call.twilio.callSid, { CallStatus: "completed", CallDuration: "12" });
+    await h.waitForEvent("CALL_STATUS", { callSid: call.twilio.callSid, endReason: "server_hangup" }, 2000, { fromIndex: from });
+
+    const { calls } = await (await h.admin("/calls?endReason=server_hangup")).json();
+    assert.deepEqual(
+      calls.map((c) => [c.callSid, c.serverHangupReason]),
+      [[call.twilio.callSid, "end_call:goodbye"]]
+    );
+  });
+});
+
+describe("transcripts", () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+  });
+  after(() => h.stop());
+
+  test("both sides of the call are served as JSON or as text", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+    const sid = call.twilio.callSid;
+
+    call.openai.send({
+      type: "conversation.item.input_audio_transcription.completed",
+      transcript: "Hoe laat zijn jullie open?",
+    });
+    await call.openai.reply("Wij zijn dag en nacht bereikbaar.");
+    await h.waitForEvent("SPEAK_DONE", {}, 5000, { fromIndex: from });
+
+    assert.equal((await fetch(`${h.baseUrl}/calls/${sid}/transcript`)).status, 401);
+    const tr = await (await h.admin(`/calls/${sid}/transcript`)).json();
+    assert.equal(tr.callSid, sid);
+    assert.equal(tr.company, "testco");
+    assert.equal(tr.callerNumber, "+31612345678");
+    const turns = tr.entries.filter((e) => e.type === "turn").map((e) => [e.role, e.text]);
+    assert.deepEqual(turns, [
+      ["user", "Hoe laat zijn jullie open?"],
+      ["assistant", "Wij zijn dag en nacht bereikbaar."],
+    ]);
+    assert.ok(tr.entries.some((e) => e.event === "speech_done"));
+
+    const text = await (await h.admin(`/calls/${sid}/transcript?format=text`)).text();
+    assert.match(text, /^Call CA\w+ company=testco caller=\+31612345678\n/);
+    assert.match(text, /BELLER: Hoe laat zijn jullie open\?\n.*TESSA : Wij zijn dag en nacht bereikbaar\./s);
+
+    assert.equal((await h.admin("/calls/CAunknown/transcript")).status, 404);
+    call.twilio.stop();
+  });
+});
+
+describe("intents", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ company: { tools: ["set_intent"] } });
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+  });
+  after(() => h.stop());
+
+  test("set_intent tags the call; only a silent response gets a follow-up", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    // spoken and tagged in one response: the model already answered
+    const first = call.openai.beginResponse();
+    await call.openai.streamText(first, "Ik noteer graag uw gegevens. ");
+    call.openai.callTool(first, "set_intent", { intent: "quote" });
+    call.openai.endResponse(first);
+    await h.waitForEvent("INTENT_TAGGED", { intent: "quote" }, 2000, { fromIndex: from });
+    await until(() => call.openai.count("conversation.item.create") === 1);
+    await sleep(100);
+    assert.equal(call.openai.count("response.create"), 0);
+
+    // only the tag: the model still has to say something
+    const second = call.openai.beginResponse();
+    call.openai.callTool(second, "set_intent", { intent: "complaint" });
+    call.openai.callTool(second, "set_intent", { intent: "weather" });
+    call.openai.endResponse(second);
+    await call.openai.waitFor("response.create");
+
+    const outputs = call.openai.received
+      .filter((e) => e.type === "conversation.item.create")
+      .map((e) => JSON.parse(e.item.output).ok);
+    assert.deepEqual(outputs, [true, true, false]);
+    assert.deepEqual((await (await h.admin(`/calls/${call.twilio.callSid}`)).json()).intents, ["quote", "complaint"]);
+    assert.equal((await (await h.admin("/calls?intent=complaint")).json()).count, 1);
+    call.twilio.stop();
+  });
+
+  test("/stats/intents counts calls per day and company", async () => {
+    await h.twiml(); // a call nobody tagged
+    assert.equal((await fetch(`${h.baseUrl}/stats/intents`)).status, 401);
+
+    const stats = await (await h.admin("/stats/intents?company=testco")).json();
+    const today = new Intl.DateTimeFormat("en-CA", { timeZone: "Europe/Amsterdam" }).format(new Date());
+    assert.equal(stats.days.length, 1);
+    assert.equal(stats.days[0].day, today);
+    assert.equal(stats.days[0].company, "testco");
+    assert.equal(stats.totals.calls, 2);
+    assert.deepEqual(stats.totals.intents, { general: 0, quote: 1, vacancy: 0, complaint: 1, failsafe: 0, untagged: 1 });
+
+    const future = await (await h.admin("/stats/intents?since=2999-01-01")).json();
+    assert.equal(future.totals.calls, 0);
+  });
+});
+
+describe("quote requests", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ company: { tools: ["record_quote_request"] } });
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+  });
+  after(() => h.stop());
+
+  test("record_quote_request saves a valid lead and hands errors back to the model", async () => {
+    const call = await h.call();
+    const quote = {
+      contact_name: "Jan Bakker",
+      company_name: "Bakker Bouw",
+      email: "jan at bakkerbouw punt nl",
+      phone: "06 12345678",
+      description: "Camerabewaking voor een bouwplaats",
+    };
+
+    const first = call.openai.beginResponse();
+    call.openai.callTool(first, "record_quote_request", { ...quote, email: "jan bakker" });
+    call.openai.endResponse(first);
+    await call.openai.waitFor("response.create");
+    const second = call.openai.beginResponse();
+    call.openai.callTool(second, "record_quote_request", quote);
+    call.openai.endResponse(second);
+    await until(() => call.openai.count("conversation.item.create") === 2);
+
+    const outputs = call.openai.received
+      .filter((e) => e.type === "conversation.item.create")
+      .map((e) => JSON.parse(e.item.output));
+    assert.equal(outputs[0].ok, false);
+    assert.match(outputs[0].errors.join(), /email ongeldig/);
+    assert.equal(outputs[1].ok, true);
+
+    assert.equal((await fetch(`${h.baseUrl}/leads`)).status, 401);
+    const { count, leads } = await (await h.admin("/leads?company=testco")).json();
+    assert.equal(count, 1);
+    assert.equal(leads[0].id, outputs[1].lead_id);
+    assert.equal(leads[0].callSid, call.twilio.callSid);
+    assert.equal(leads[0].email, "jan@bakkerbouw.nl");
+    assert.equal(leads[0].phone, "+31612345678");
+    assert.equal((await (await h.admin("/leads?since=2999-01-01")).json()).count, 0);
+    call.twilio.stop();
+  });
+});
+
+describe("complaints", () => {
+  let h;
+  before(async () => {
+    // the sink refuses the first message, so the ticket goes through one retry
+    h = await startHarness({
+      smtp: { failNext: 1 },
+      company: { tools: ["file_complaint"], ownerEmail: "eigenaar@test.example" },
+    });
+    await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+  });
+  after(() => h.stop());
+
+  test("file_complaint mails the owner, retrying a failed send", async () => {
+    const call = await h.call();
+    const from = h.logMark();
+
+    const id = call.openai.beginResponse();
+    call.openai.callTool(id, "file_complaint", { summary: "Monteur kwam twee keer niet opdagen." });
+    call.openai.endResponse(id);
+
+    await h.waitForEvent("COMPLAINT_SEND_FAILED", { attempt: 1 }, 5000, { fromIndex: from });
+    const sent = await h.waitForEvent("COMPLAINT_SENT", { to: "eigenaar@test.example" }, 5000, { fromIndex: from });
+    assert.equal(h.mail.messages.length, 1);
+    assert.deepEqual(h.mail.messages[0].to, ["<eigenaar@test.example>"]);
+    assert.match(h.mail.messages[0].data, /Monteur kwam twee keer niet opdagen\./);
+
+    assert.equal((await fetch(`${h.baseUrl}/complaints`)).status, 401);
+    const { count, complaints } = await (await h.admin("/complaints?company=testco&status=sent")).json();
+    assert.equal(count, 1);
+    assert.equal(complaints[0].id, sent.id);
+    assert.equal(complaints[0].callSid, call.twilio.callSid);
+    assert.equal(complaints[0].attempts, 2);
+    assert.equal((await (await h.admin("/complaints?status=pending")).json()).count, 0);
+    call.twilio.stop();
+  });
+});
+
+describe("call limits", () => {
+  describe("caller silence", () => {
+    let h;
+    before(async () => {
+      h = await startHarness({
+        company: {
+          silence: {
+            timeoutSeconds: 0.5,
+            maxReprompts: 2,
+            repromptLines: ["Bent u er nog?", "Hallo, hoort u mij?"],
+            goodbyeLine: "Ik hoor niets meer. Tot ziens.",
+          },
+        },
+      });
+      await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+    });
+    after(() => h.stop());
+
+    test("reprompts a quiet caller, then says goodbye and hangs up", async () => {
+      const call = await h.call();
+      const from = h.logMark();
+
+      await h.waitForEvent("SILENCE_REPROMPT", { reprompt: 1 }, 3000, { fromIndex: from });
+      await h.waitForEvent("SILENCE_REPROMPT", { reprompt: 2 }, 4000, { fromIndex: from });
+      await h.waitForEvent("SILENCE_HANGUP", { reprompts: 2 }, 4000, { fromIndex: from });
+      await h.waitForEvent("HANGUP", { endReason: "silence" }, 5000, { fromIndex: from });
+      await call.twilio.closed;
+
+      const spoken = h.eleven.streamedTexts();
+      assert.deepEqual(spoken.slice(-3), ["Bent u er nog?", "Hallo, hoort u mij?", "Ik hoor niets meer. Tot ziens."]);
+      const stored = await (await h.admin(`/calls/${call.twilio.callSid}`)).json();
+      assert.equal(stored.serverHangupReason, "end_call:silence");
+    });
+
+    test("caller speech and Tessa's replies restart the count", async () => {
+      const call = await h.call();
+      const from = h.logMark();
+
+      await h.waitForEvent("SILENCE_REPROMPT", { reprompt: 1 }, 3000, { fromIndex: from });
+      const answered = h.logMark();
+      call.openai.send({ type: "input_audio_buffer.speech_started" });
+      call.openai.send({ type: "input_audio_buffer.speech_stopped" });
+      await call.openai.reply("Fijn, waarmee kan ik u helpen?");
+
+      // a fresh count: the first reprompt again, and no hangup yet
+      await h.waitForEvent("SILENCE_REPROMPT", { reprompt: 1 }, 4000, { fromIndex: answered });
+      assert.equal(h.events(from, "SILENCE_HANGUP").length, 0);
+      call.twilio.stop();
+    });
+  });
+
+  describe("maximum call duration", () => {
+    let h;
+    before(async () => {
+      h = await startHarness({
+        company: {
+          maxDuration: {
+            seconds: 2.5,
+            warningSeconds: 1.5,
+            warningLine: "We moeten zo afronden.",
+            goodbyeLine: "De tijd is om. Tot ziens.",
+          },
+        },
+      });
+      await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+    });
+    after(() => h.stop());
+
+    test("warns before the cut-off, then cuts off the reply and hangs up", async () => {
+      const call = await h.call();
+      const from = h.logMark();
+
+      await h.waitForEvent("MAX_DURATION_WARNING", {}, 3000, { fromIndex: from });
+      // still talking when the time is up
+      const id = call.openai.beginResponse();
+      await call.openai.streamText(id, "Wij doen objectbeveiliging, evenementen, ");
+      await h.waitForEvent("MAX_DURATION_REACHED", { seconds: 2.5 }, 3000, { fromIndex: from });
+      await call.openai.waitFor("response.cancel");
+      call.openai.endResponse(id, "cancelled");
+
+      // the caller can no longer keep the call going
+      call.openai.send({ type: "input_audio_buffer.speech_started" });
+      await h.waitForEvent("BARGE_IN_IGNORED", { reason: "closing" }, 2000, { fromIndex: from });
+      await h.waitForEvent("HANGUP", { endReason: "max_duration" }, 5000, { fromIndex: from });
+      await call.twilio.closed;
+
+      const spoken = h.eleven.streamedTexts();
+      assert.ok(spoken.includes("We moeten zo afronden."));
+      assert.equal(spoken.at(-1), "De tijd is om. Tot ziens.");
+      assert.ok(!spoken.some((t) => t.includes("objectbeveiliging")));
+    });
+  });
+});
+
+describe("opening hours", () => {
+  // no day has hours: closed around the clock unless overridden
+  const closedAllWeek = (afterHours) => ({ schedule: { hours: { mon: "" }, afterHours } });
+
+  describe("hang up after the message", () => {
+    let h;
+    before(async () => {
+      h = await startHarness({ company: closedAllWeek({ action: "hangup", message: "Wij zijn gesloten." }) });
+      await h.waitForEvent("CLIP_WARMED", { clip: "after_hours" });
+    });
+    after(() => h.stop());
+
+    test("closed: the cached after-hours clip, then a hangup", async () => {
+      const from = h.logMark();
+      const { body } = await h.twiml();
+      assert.match(body, /<Play>.*clip=after_hours.*<\/Play>\s*<Hangup \/>/s);
+      assert.doesNotMatch(body, /<Stream/);
+      await h.waitForEvent("TWIML_AFTER_HOURS", { reason: "hours", action: "hangup" }, 2000, { fromIndex: from });
+    });
+
+    test("an override opens the line until it is cleared or expires", async () => {
+      assert.equal((await fetch(`${h.baseUrl}/schedule/override`, { method: "PUT" })).status, 401);
+      const bad = await h.admin("/schedule/override", { method: "PUT", body: { company: "testco", open: true } });
+      assert.equal(bad.status, 400);
+
+      const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const set = await h.admin("/schedule/override", {
+        method: "PUT",
+        body: { company: "testco", open: true, until, reason: "Open dag" },
+      });
+      assert.equal(set.status, 200);
+      assert.deepEqual(await set.json(), { company: "testco", open: true, reason: "override", detail: "Open dag", until });
+      assert.match((await h.twiml()).body, /<Stream/);
+
+      const { companies } = await (await h.admin("/schedule")).json();
+      assert.equal(companies[0].reason, "override");
+
+      const cleared = await h.admin("/schedule/override?company=testco", { method: "DELETE" });
+      assert.equal((await cleared.json()).open, false);
+      assert.doesNotMatch((await h.twiml()).body, /<Stream/);
+    });
+  });
+
+  describe("voicemail", () => {
+    const RECORDING_SID = "RE0123456789abcdef0123456789abcdef";
+    const RECORDINGS_PATH = "/2010-04-01/Accounts/ACtest/Recordings";
+    const WAV = Buffer.from("RIFF fake voicemail audio");
+    let h;
+    let recordings; // stands in for api.twilio.com
+    let downloads = [];
+    const available = new Set([RECORDING_SID]);
+    before(async () => {
+      recordings = http.createServer((req, res) => {
+        downloads.push({ url: req.url, auth: req.headers.authorization });
+        const m = new RegExp(`^${RECORDINGS_PATH}/(RE\\w+)\\.wav$`).exec(req.url);
+        if (!m || !available.has(m[1])) {
+          res.writeHead(404);
+          return res.end();
+        }
+        res.writeHead(200, { "Content-Type": "audio/x-wav" });
+        res.end(WAV);
+      });
+      await new Promise((r) => recordings.listen(0, "127.0.0.1", r));
+      h = await startHarness({
+        company: closedAllWeek({ action: "voicemail", voicemailMaxSeconds: 60 }),
+        env: {
+          TWILIO_ACCOUNT_SID: "ACtest",
+          TWILIO_API_BASE_URL: `http://127.0.0.1:${recordings.address().port}`,
+          VOICEMAIL_DOWNLOAD_RETRY_MS: "10",
+          VOICEMAIL_RETRY_TICK_MS: "20",
+          VOICEMAIL_RETRY_BASE_MS: "20",
+        },
+      });
+    });
+    after(async () => {
+      await h.stop();
+      await new Promise((r) => recordings.close(r));
+    });
+
+    const recordingsUrl = () => `http://127.0.0.1:${recordings.address().port}${RECORDINGS_PATH}`;
+
+    test("closed: the message, then <Record>, then a hangup", async () => {
+      const { body } = await h.twiml();
+      assert.match(body, /<Record maxLength="60" playBeep="true" trim="trim-silence" action="[^"]+\/twiml\/hangup"/);
+      assert.match(body, /recordingStatusCallback="[^"]+\/twilio\/voicemail\?company=testco&amp;source=after_hours"/);
+      const done = await h.webhook("/twiml/hangup", { CallSid: "CAvoicemail" });
+      assert.match(done.body, /<Hangup \/>/);
+    });
+
+    test("a finished recording is downloaded, transcribed and listed until handled", async () => {
+      const callSid = "CAvoicemail0001";
+      await h.twiml({ CallSid: callSid, From: "+31687654321" });
+      const form = {
+        CallSid: callSid,
+        RecordingSid: RECORDING_SID,
+        RecordingUrl: `${recordingsUrl()}/${RECORDING_SID}`,
+        RecordingStatus: "completed",
+        RecordingDuration: "7",
+      };
+      assert.equal((await h.webhook("/twilio/voicemail?company=testco", form, { signed: false })).status, 403);
+      assert.equal((await h.webhook("/twilio/voicemail?company=testco", form)).status, 204);
+      // Twilio retrying the callback does not make a second voicemail
+      assert.equal((await h.webhook("/twilio/voicemail?company=testco", form)).status, 204);
+      await h.waitForEvent("VOICEMAIL_TRANSCRIBED", { callSid, stt: "whisper-cpp" });
+
+      const expectedAuth = `Basic ${Buffer.from(`ACtest:${TWILIO_AUTH_TOKEN}`).toString("base64")}`;
+      assert.deepEqual(downloads, [{ url: `${RECORDINGS_PATH}/${RECORDING_SID}.wav`, auth: expectedAuth }]);
+
+      assert.equal((await fetch(`${h.baseUrl}/voicemails`)).status, 401);
+      const { count, voicemails } = await (await h.admin("/voicemails?status=new")).json();
+      assert.equal(count, 1);
+      const [vm] = voicemails;
+      assert.equal(vm.company, "testco");
+      assert.equal(vm.callerNumber, "+31687654321");
+      assert.equal(vm.durationSec, 7);
+      assert.equal(vm.transcript, `Hallo, bel mij terug alstublieft. (${WAV.length} bytes)`);
+      assert.equal(vm.audioUrl, `/voicemails/${vm.id}/audio.wav`);
+
+      const audio = await h.admin(vm.audioUrl);
+      assert.equal(audio.headers.get("content-type"), "audio/wav");
+      assert.deepEqual(Buffer.from(await audio.arrayBuffer()), WAV);
+
+      const handled = await h.admin(`/voicemails/${vm.id}/handled`, { method: "POST" });
+      assert.equal((await handled.json()).status, "handled");
+      assert.equal((await (await h.admin("/voicemails?status=new")).json()).count, 0);
+      const reopened = await h.admin(`/voicemails/${vm.id}/handled`, { method: "POST", body: { handled: false } });
+      assert.equal((await reopened.json()).status, "new");
+      assert.equal((await h.admin("/voicemails/vm_nope/handled", { method: "POST" })).status, 404);
+
+      // the WAV deleted behind the server's back: a 404, not a 500
+      fs.rmSync(path.join(h.dataDir, "voicemails", `${vm.id}.wav`));
+      assert.equal((await h.admin(vm.audioUrl)).status, 404);
+    });
+
+    test("an empty recording is skipped, a missing one retried until it shows up or rounds run out", async () => {
+      const base = { CallSid: "CAvoicemail0002", RecordingStatus: "completed" };
+      await h.webhook("/twilio/voicemail?company=testco", {
+        ...base,
+        RecordingSid: "RE00000000000000000000000000000000",
+        RecordingUrl: `${recordingsUrl()}/RE00000000000000000000000000000000`,
+        RecordingDuration: "0",
+      });
+      await h.waitForEvent("VOICEMAIL_SKIPPED", { callSid: "CAvoicemail0002" });
+
+      // not there yet: retried in the background, stored once Twilio has it
+      const late = "REeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee";
+      await h.webhook("/twilio/voicemail?company=testco", {
+        ...base,
+        RecordingSid: late,
+        RecordingUrl: `${recordingsUrl()}/${late}`,
+        RecordingDuration: "3",
+      });
+      await h.waitForEvent("VOICEMAIL_DOWNLOAD_RETRY", { recordingSid: late, round: 1 });
+      let listed = (await (await h.admin("/voicemails")).json()).voicemails.find((v) => v.recordingSid === late);
+      assert.equal(listed.audio, "pending");
+      available.add(late);
+      await h.waitForEvent("VOICEMAIL_STORED", { id: listed.id });
+
+      // never there: failed after the last round
+      const gone = "REffffffffffffffffffffffffffffffff";
+      await h.webhook("/twilio/voicemail?company=testco", {
+        ...base,
+        RecordingSid: gone,
+        RecordingUrl: `${recordingsUrl()}/${gone}`,
+        RecordingDuration: "3",
+      });
+      await h.waitForEvent("VOICEMAIL_DOWNLOAD_FAILED", { recordingSid: gone, rounds: 6 }, 10000);
+      listed = (await (await h.admin("/voicemails")).json()).voicemails.find((v) => v.recordingSid === gone);
+      assert.equal(listed.audio, "failed");
+      assert.equal(listed.audioUrl, null);
+      assert.equal(h.events(0, "VOICEMAIL_DOWNLOAD_RETRY", { recordingSid: gone }).length, 5);
+    });
+
+    test("a recording URL outside our Twilio account is never fetched", async () => {
+      const before = downloads.length;
+      const sid = "RE11111111111111111111111111111111";
+      const port = recordings.address().port;
+      for (const url of [
+        `http://127.0.0.1:${port}/2010-04-01/Accounts/ACother/Recordings/${sid}`,
+        `http://localhost:${port}${RECORDINGS_PATH}/${sid}`,
+        `${recordingsUrl()}/${sid}?x=1`,
+        "not a url",
+      ]) {
+        const from = h.logMark();
+        const form = { CallSid: "CAvoicemail0003", RecordingSid: sid, RecordingUrl: url, RecordingStatus: "completed", RecordingDuration: "4" };
+        assert.equal((await h.webhook("/twilio/voicemail?company=testco", form)).status, 204);
+        await h.waitForEvent("VOICEMAIL_URL_REJECTED", { recordingSid: sid }, 2000, { fromIndex: from });
+        await h.waitForEvent("VOICEMAIL_SKIPPED", { callSid: "CAvoicemail0003" }, 2000, { fromIndex: from });
+      }
+      assert.equal(downloads.length, before);
+    });
+  });
+
+  describe("connect Tessa anyway", () => {
+    let h;
+    before(async () => {
+      h = await startHarness({
+        company: closedAllWeek({ action: "connect", instruction: "Er is nu niemand op kantoor." }),
+      });
+      await h.waitForEvent("CLIP_WARMED", { clip: "after_hours" });
+      await h.waitForEvent("CLIP_WARMED", { clip: "greeting" });
+    });
+    after(() => h.stop());
+
+    test("closed: the after-hours clip, then Tessa with the out-of-hours instruction", async () => {
+      const call = await h.call();
+      const update = await call.openai.waitFor("session.update");
+      assert.match(update.session.instructions, /\n\nEr is nu niemand op kantoor\.$/);
+      await sleep(300);
+      assert.deepEqual(h.eleven.streamedTexts(), [], "no greeting over the stream");
+      call.twilio.stop();
+    });
+  });
+});
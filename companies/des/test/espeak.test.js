@@ -0,0 +1,18 @@
+// companies/des/test/espeak.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createEspeakTts } from "../tts/espeak.js";
+
+const FAKES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fakes");
+process.env.ESPEAK_BIN = path.join(FAKES, "espeak.mjs");
+process.env.FFMPEG_BIN = path.join(FAKES, "ffmpeg.mjs");
+
+test("a sentence starting with a dash reaches espeak-ng as text, not as an option", async () => {
+  const tts = createEspeakTts({ voice: "nl", speed: 165 });
+  for (const text of ["-v en Hello", "--help", "- tien procent korting? Nee."]) {
+    const argv = JSON.parse((await tts.synthesizeMp3(text)).toString("utf8"));
+    assert.deepEqual(argv, ["-v", "nl", "-s", "165", "--stdout", "--", text]);
+  }
+});
@@ -0,0 +1,72 @@
+// companies/des/test/fakes/elevenlabs.js
+import http from "http";
+
+/* =======================
+   Fake ElevenLabs text-to-speech.
+   /v1/text-to-speech/:voice         -> the fixed MP3 in one go
+   /v1/text-to-speech/:voice/stream  -> the same bytes in timed chunks, so a
+                                        sentence takes a while to "speak"
+   breakStream drops the connection after the first chunk of a stream.
+======================= */
+// not a playable MP3; with the passthrough ffmpeg these bytes are the μ-law Twilio gets
+export const FIXED_MP3 = Buffer.alloc(4800, 0x2a); // 0.6 s at 8 kHz, loud enough to tell from silence
+
+export async function startFakeElevenLabs({
+  chunkBytes = 800,
+  chunkDelayMs = 200,
+  failMp3 = false,
+  failStream = false,
+  breakStream = false,
+} = {}) {
+  const requests = []; // { kind: "mp3" | "stream", voiceId, text }
+  const state = { failMp3, failStream, breakStream };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", async () => {
+      const m = /^\/v1\/text-to-speech\/([^/?]+)(\/stream)?/.exec(req.url);
+      if (req.method !== "POST" || !m) {
+        res.writeHead(404);
+        return res.end();
+      }
+      const kind = m[2] ? "stream" : "mp3";
+      let text = "";
+      try {
+        text = JSON.parse(body).text || "";
+      } catch {}
+      requests.push({ kind, voiceId: m[1], text });
+
+      if ((kind === "mp3" && state.failMp3) || (kind === "stream" && state.failStream)) {
+        res.writeHead(500, { "Content-Type": "text/plain" });
+        return res.end("fake failure");
+      }
+
+      res.writeHead(200, { "Content-Type": "audio/mpeg" });
+      if (kind === "mp3") return res.end(FIXED_MP3);
+
+      for (let off = 0; off < FIXED_MP3.length; off += chunkBytes) {
+        if (res.destroyed) return;
+        res.write(FIXED_MP3.subarray(off, off + chunkBytes));
+        await new Promise((r) => setTimeout(r, chunkDelayMs));
+        if (state.breakStream) return res.destroy();
+      }
+      res.end();
+    });
+  });
+
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    state,
+    streamedTexts() {
+      return requests.filter((r) => r.kind === "stream").map((r) => r.text);
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((r) => server.close(r));
+    },
+  };
+}
@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+// Stand-in for espeak-ng in tests: writes its arguments as JSON instead of a WAV,
+// so a test can see exactly what the TTS provider passed on the command line.
+process.stdout.write(JSON.stringify(process.argv.slice(2)));
@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+// Stand-in for ffmpeg in tests: ignores its arguments and copies stdin to stdout,
+// so the fake ElevenLabs payload reaches Twilio byte for byte as "μ-law".
+// FAKE_FFMPEG_EXIT=<code>: read everything, write nothing, exit with that code.
+if (process.env.FAKE_FFMPEG_EXIT) {
+  process.stdin.resume();
+  process.stdin.on("end", () => process.exit(Number(process.env.FAKE_FFMPEG_EXIT)));
+} else {
+  process.stdin.pipe(process.stdout);
+}
@@ -0,0 +1,124 @@
+// companies/des/test/fakes/openai.js
+import { WebSocketServer } from "ws";
+
+/* =======================
+   Fake OpenAI Realtime endpoint.
+   One FakeRealtimeSession per server->OpenAI connection; tests script the
+   events the model would send and inspect what the server sent back.
+======================= */
+export class FakeRealtimeSession {
+  constructor(ws) {
+    this.ws = ws;
+    this.received = [];
+    this.waiters = [];
+    this.responseSeq = 0;
+
+    ws.on("message", (raw) => {
+      const evt = JSON.parse(raw);
+      this.received.push(evt);
+      this.waiters = this.waiters.filter((w) => !w(evt));
+    });
+  }
+
+  send(evt) {
+    this.ws.send(JSON.stringify(evt));
+  }
+
+  // resolves with the first received event of that type (already received counts)
+  waitFor(type, timeoutMs = 3000) {
+    const seen = this.received.find((e) => e.type === type);
+    if (seen) return Promise.resolve(seen);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`timeout waiting for ${type}`)), timeoutMs);
+      this.waiters.push((evt) => {
+        if (evt.type !== type) return false;
+        clearTimeout(timer);
+        resolve(evt);
+        return true;
+      });
+    });
+  }
+
+  count(type) {
+    return this.received.filter((e) => e.type === type).length;
+  }
+
+  beginResponse() {
+    const id = `resp_${++this.responseSeq}`;
+    this.send({ type: "response.created", response: { id, status: "in_progress" } });
+    return id;
+  }
+
+  // streams text word by word as response.audio_transcript.delta (or text.delta)
+  async streamText(responseId, text, { source = "audio", delayMs = 5 } = {}) {
+    const type = source === "text" ? "response.text.delta" : "response.audio_transcript.delta";
+    for (const word of text.match(/\S+\s*/g) || []) {
+      this.send({ type, response_id: responseId, delta: word });
+      if (delayMs) await new Promise((r) => setTimeout(r, delayMs));
+    }
+  }
+
+  // a function call inside the response, as the model emits it once the arguments are complete
+  callTool(responseId, name, args = {}, callId = `call_${++this.responseSeq}`) {
+    this.send({
+      type: "response.function_call_arguments.done",
+      response_id: responseId,
+      call_id: callId,
+      name,
+      arguments: JSON.stringify(args),
+    });
+    return callId;
+  }
+
+  endResponse(responseId, status = "completed") {
+    this.send({ type: "response.done", response: { id: responseId, status } });
+  }
+
+  async reply(text, opts) {
+    const id = this.beginResponse();
+    await this.streamText(id, text, opts);
+    this.endResponse(id);
+    return id;
+  }
+}
+
+export async function startFakeOpenAI() {
+  const wss = new WebSocketServer({ port: 0, host: "127.0.0.1" });
+  await new Promise((r) => wss.once("listening", r));
+
+  const sessions = [];
+  const pending = [];
+
+  wss.on("connection", (ws) => {
+    const s = new FakeRealtimeSession(ws);
+    sessions.push(s);
+    const next = pending.shift();
+    if (next) next(s);
+  });
+
+  return {
+    url: `ws://127.0.0.1:${wss.address().port}/v1/realtime`,
+    sessions,
+    // next (or already open but unclaimed) session
+    nextSession(timeoutMs = 3000) {
+      const claimed = sessions.filter((s) => s.claimed).length;
+      if (sessions.length > claimed) {
+        const s = sessions[claimed];
+        s.claimed = true;
+        return Promise.resolve(s);
+      }
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error("no OpenAI session")), timeoutMs);
+        pending.push((s) => {
+          clearTimeout(timer);
+          s.claimed = true;
+          resolve(s);
+        });
+      });
+    },
+    close() {
+      for (const c of wss.clients) c.terminate();
+      return new Promise((r) => wss.close(r));
+    },
+  };
+}
@@ -0,0 +1,78 @@
+// companies/des/test/fakes/smtp.js
+import net from "net";
+
+/* =======================
+   Fake SMTP server: just enough of RFC 5321 for nodemailer (no TLS, no auth).
+   Accepted mail lands in `messages` as { from, to, data }.
+   state.failNext > 0 answers that many transactions with a 451 at MAIL FROM.
+======================= */
+export async function startFakeSmtp({ failNext = 0 } = {}) {
+  const messages = [];
+  const state = { failNext, attempts: 0 };
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let mail = null;
+    let inData = false;
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply("220 fake-smtp ESMTP");
+
+    socket.on("error", () => {});
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end === -1) return;
+          mail.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          messages.push(mail);
+          mail = null;
+          reply("250 2.0.0 queued");
+          continue;
+        }
+        const eol = buffer.indexOf("\r\n");
+        if (eol === -1) return;
+        const line = buffer.slice(0, eol);
+        buffer = buffer.slice(eol + 2);
+        const verb = line.slice(0, 4).toUpperCase();
+
+        if (verb === "EHLO" || verb === "HELO") reply("250 fake-smtp");
+        else if (verb === "MAIL") {
+          state.attempts++;
+          if (state.failNext > 0) {
+            state.failNext--;
+            reply("451 4.3.0 try again later");
+          } else {
+            mail = { from: line.slice(10).trim(), to: [], data: "" };
+            reply("250 2.1.0 ok");
+          }
+        } else if (verb === "RCPT") {
+          mail?.to.push(line.slice(8).trim());
+          reply("250 2.1.5 ok");
+        } else if (verb === "DATA") {
+          inData = true;
+          reply("354 end with <CRLF>.<CRLF>");
+        } else if (verb === "RSET") {
+          mail = null;
+          reply("250 2.0.0 ok");
+        } else if (verb === "QUIT") {
+          reply("221 2.0.0 bye");
+          socket.end();
+        } else reply("250 ok");
+      }
+    });
+  });
+
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+
+  return {
+    port: server.address().port,
+    messages,
+    state,
+    close() {
+      return new Promise((r) => server.close(r));
+    },
+  };
+}
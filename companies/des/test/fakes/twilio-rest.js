@@ -0,0 +1,53 @@
+// companies/des/test/fakes/twilio-rest.js
+import http from "http";
+
+/* =======================
+   Fake Twilio REST API, only what live-call control uses:
+   POST /2010-04-01/Accounts/:sid/Calls/:callSid.json (update: twiml, status)
+   Every update is kept in `updates` as { callSid, params }.
+======================= */
+export async function startFakeTwilioRest() {
+  const updates = [];
+  const waiters = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      const m = /^\/2010-04-01\/Accounts\/([^/]+)\/Calls\/([^/]+)\.json$/.exec(req.url);
+      if (req.method !== "POST" || !m) {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ code: 20404, message: "not found", status: 404 }));
+      }
+      const update = { callSid: m[2], params: Object.fromEntries(new URLSearchParams(body)) };
+      updates.push(update);
+      for (const w of waiters.splice(0)) w();
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ sid: m[2], account_sid: m[1], status: update.params.Status || "in-progress" }));
+    });
+  });
+
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    updates,
+    // resolves with the first update passing test (already received or still to come)
+    async waitForUpdate(test, timeoutMs = 5000) {
+      const until = Date.now() + timeoutMs;
+      for (;;) {
+        const found = updates.find(test);
+        if (found) return found;
+        if (Date.now() > until) throw new Error(`no Twilio REST update matched in ${timeoutMs} ms`);
+        await new Promise((r) => {
+          waiters.push(r);
+          setTimeout(r, 100);
+        });
+      }
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((r) => server.close(r));
+    },
+  };
+}
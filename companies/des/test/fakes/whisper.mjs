@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Stand-in for the whisper.cpp CLI in tests: checks it got a non-empty -f file
+// and "transcribes" it to a fixed sentence plus the byte count.
+import fs from "fs";
+
+const file = process.argv[process.argv.indexOf("-f") + 1];
+const size = file && fs.existsSync(file) ? fs.statSync(file).size : 0;
+if (!size) {
+  process.stderr.write(`no input file: ${file}\n`);
+  process.exit(1);
+}
+process.stdout.write(`\n Hallo, bel mij terug alstublieft. (${size} bytes)\n`);
@@ -0,0 +1,53 @@
+// companies/des/test/guardrail.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseGuardrail, checkReply } from "../guardrail.js";
+
+const rule = (g, text) => checkReply(g, text)?.rule || null;
+
+test("built-in rules catch prices, rates, promised dates and call-back slots", () => {
+  const g = parseGuardrail({}, { id: "testco" });
+  assert.equal(rule(g, "Dat kost € 45 excl. btw."), "currency_amount");
+  assert.equal(rule(g, "Reken op zo'n vijfenveertig euro."), "currency_amount");
+  assert.equal(rule(g, "Wij rekenen een vast bedrag per uur."), "rate");
+  assert.equal(rule(g, "U hoort binnen twee werkdagen van ons."), "promised_date");
+  assert.equal(rule(g, "Er kan volgende week iemand langskomen."), "promised_date");
+  assert.equal(rule(g, "Wij bellen u dan terug om drie uur."), "callback_planning");
+});
+
+test("refusals and everyday phrasing pass", () => {
+  const g = parseGuardrail({}, { id: "testco" });
+  for (const text of [
+    "Ik noem geen prijzen; DES stelt een offerte op maat op.",
+    "Wij zijn 24 uur per dag, 24/7 bereikbaar.",
+    "Goede morgen, u spreekt met Tessa.",
+    "Ik kan geen terugbelafspraken plannen, maar DES neemt contact met u op.",
+  ]) {
+    assert.equal(checkReply(g, text), null, text);
+  }
+});
+
+test("per-company rules, extra patterns and a switch to turn it off", () => {
+  const g = parseGuardrail(
+    { rules: ["rate"], patterns: [{ name: "legal", regex: "\\bu bent (?:wettelijk )?verplicht\\b" }] },
+    { id: "testco" }
+  );
+  assert.equal(rule(g, "Dat kost € 45."), null);
+  assert.equal(rule(g, "U bent wettelijk verplicht een camera te melden."), "legal");
+  assert.equal(checkReply(parseGuardrail({ enabled: false }, { id: "testco" }), "Dat kost € 45."), null);
+
+  assert.throws(() => parseGuardrail({ rules: ["prices"] }, { id: "testco" }), /COMPANY_GUARDRAIL_INVALID testco/);
+  assert.throws(() => parseGuardrail({ patterns: [{ name: "x", regex: "(" }] }, { id: "testco" }), /COMPANY_GUARDRAIL_INVALID/);
+});
+
+test("a custom pattern with g or y still catches every reply", () => {
+  const g = parseGuardrail(
+    { rules: [], patterns: [{ name: "guarantee", regex: "\\bgaranderen\\b", flags: "giy" }] },
+    { id: "testco" }
+  );
+  assert.equal(g.rules[0].re.flags, "i");
+  for (let i = 0; i < 3; i++) {
+    assert.equal(rule(g, "Dat kan ik garanderen."), "guarantee", `reply ${i + 1}`);
+  }
+  assert.equal(rule(g, "Daar doe ik geen uitspraak over."), null);
+});
@@ -0,0 +1,277 @@
+// companies/des/test/harness.js
+import fs from "fs";
+import os from "os";
+import net from "net";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import twilio from "twilio";
+import { startFakeOpenAI } from "./fakes/openai.js";
+import { startFakeElevenLabs } from "./fakes/elevenlabs.js";
+import { FakeTwilioCall } from "./fakes/twilio.js";
+import { startFakeTwilioRest } from "./fakes/twilio-rest.js";
+import { startFakeSmtp } from "./fakes/smtp.js";
+
+/* =======================
+   END-TO-END HARNESS
+   Runs the real server.js as a child process against local stand-ins for
+   OpenAI Realtime, ElevenLabs, ffmpeg and whisper.cpp, with a throwaway COMPANIES_DIR
+   and DATA_DIR. twilioRest: true adds a fake Twilio REST API (transfer, hangup),
+   smtp (true or its options) an SMTP sink for complaint mail. dotenv: true hands
+   the server its settings through a .env file in its cwd instead of its
+   environment, the way most deployments configure it.
+   Nothing leaves 127.0.0.1.
+======================= */
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_JS = path.join(HERE, "..", "server.js");
+const FAKE_FFMPEG = path.join(HERE, "fakes", "ffmpeg.mjs");
+const FAKE_WHISPER = path.join(HERE, "fakes", "whisper.mjs");
+export const TWILIO_AUTH_TOKEN = "twilio-test-auth-token";
+export const ADMIN_API_TOKEN = "admin-test-token";
+
+export const TEST_COMPANY = {
+  id: "testco",
+  name: "Test BV",
+  numbers: ["+31201234567"],
+  greeting: "Hoi, met Tessa van Test BV.",
+  voice: {
+    provider: "elevenlabs",
+    fallback: "",
+    elevenlabs: { voiceId: "fake-voice", model: "eleven_multilingual_v2" },
+  },
+  cachePhrases: [],
+  tools: ["end_call"],
+  // the "call limits" tests switch these on with short timings
+  silence: { enabled: false },
+  maxDuration: { seconds: 0 },
+  tuning: { bargeInIgnoreMs: 600, hangupDelayMs: 200 },
+};
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+export async function startHarness({
+  company = {},
+  env = {},
+  elevenlabs = {},
+  twilioRest = false,
+  smtp = false,
+  dotenv = false,
+} = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "des-e2e-"));
+  const companyDir = path.join(root, "companies", TEST_COMPANY.id);
+  fs.mkdirSync(companyDir, { recursive: true });
+  const cfg = { ...TEST_COMPANY, ...company, tuning: { ...TEST_COMPANY.tuning, ...company.tuning } };
+  fs.writeFileSync(path.join(companyDir, "company.json"), JSON.stringify(cfg, null, 2));
+  fs.writeFileSync(path.join(companyDir, "rules.txt"), "Je bent Tessa. Sluit af met end_call.");
+
+  const openai = await startFakeOpenAI();
+  const eleven = await startFakeElevenLabs(elevenlabs);
+  const rest = twilioRest ? await startFakeTwilioRest() : null;
+  const mail = smtp ? await startFakeSmtp(smtp === true ? {} : smtp) : null;
+  const port = await freePort();
+
+  const logs = [];
+  const logWaiters = [];
+
+  const settings = {
+    PORT: String(port),
+    COMPANIES_DIR: path.join(root, "companies"),
+    DATA_DIR: path.join(root, "data"),
+    OPENAI_API_KEY: "sk-test",
+    TWILIO_AUTH_TOKEN,
+    ADMIN_API_TOKEN,
+    PUBLIC_BASE_URL: `http://127.0.0.1:${port}`,
+    OPENAI_REALTIME_URL: openai.url,
+    ELEVENLABS_API_KEY: "el-test",
+    ELEVENLABS_BASE_URL: eleven.url,
+    FFMPEG_BIN: FAKE_FFMPEG,
+    ESPEAK_BIN: path.join(root, "no-espeak"),
+    STT_PROVIDER: "whisper-cpp",
+    WHISPER_BIN: FAKE_WHISPER,
+    HANGUP_MARK_TIMEOUT_MS: "1000",
+    ...(rest ? { TWILIO_ACCOUNT_SID: "ACtest", TWILIO_API_BASE_URL: rest.url } : {}),
+    ...(mail
+      ? {
+          SMTP_HOST: "127.0.0.1",
+          SMTP_PORT: String(mail.port),
+          MAIL_FROM: "tessa@test.example",
+          COMPLAINT_RETRY_TICK_MS: "100",
+          COMPLAINT_RETRY_BASE_MS: "300",
+        }
+      : {}),
+    ...env,
+  };
+  if (dotenv) {
+    const lines = Object.entries(settings).map(([k, v]) => `${k}=${JSON.stringify(String(v))}`);
+    fs.writeFileSync(path.join(root, ".env"), lines.join("\n") + "\n");
+  }
+
+  // cwd is the temp root: a developer's own .env never leaks into the run
+  const child = spawn(process.execPath, [SERVER_JS], {
+    cwd: root,
+    env: dotenv ? { PATH: process.env.PATH } : { PATH: process.env.PATH, ...settings },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  const onLine = (line) => {
+    logs.push(line);
+    if (process.env.E2E_VERBOSE) console.log(`  [server] ${line}`);
+    for (const w of [...logWaiters]) {
+      if (w.test(line)) {
+        logWaiters.splice(logWaiters.indexOf(w), 1);
+        w.resolve(line);
+      }
+    }
+  };
+  for (const stream of [child.stdout, child.stderr]) {
+    let tail = "";
+    stream.on("data", (c) => {
+      const parts = (tail + c.toString()).split("\n");
+      tail = parts.pop();
+      parts.forEach(onLine);
+    });
+  }
+
+  // resolves with the first log line (past or future) passing test
+  function waitFor(test, what, timeoutMs, fromIndex) {
+    const seen = logs.slice(fromIndex).find(test);
+    if (seen) return Promise.resolve(seen);
+    return new Promise((resolve, reject) => {
+      const w = { test, resolve };
+      logWaiters.push(w);
+      setTimeout(() => {
+        const i = logWaiters.indexOf(w);
+        if (i === -1) return;
+        logWaiters.splice(i, 1);
+        reject(new Error(`timeout waiting for log ${what}\n--- server log ---\n${logs.join("\n")}`));
+      }, timeoutMs);
+    });
+  }
+
+  // structured log lines: event name plus fields that must equal (or, for RegExps, match)
+  function parseLine(line) {
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  }
+  function eventMatcher(event, fields) {
+    return (entry) =>
+      !!entry &&
+      entry.event === event &&
+      Object.entries(fields).every(([k, v]) =>
+        v instanceof RegExp ? v.test(String(entry[k])) : entry[k] === v
+      );
+  }
+
+  async function waitForEvent(event, fields = {}, timeoutMs = 5000, { fromIndex = 0 } = {}) {
+    const matches = eventMatcher(event, fields);
+    const what = `${event} ${JSON.stringify(fields)}`;
+    return parseLine(await waitFor((l) => matches(parseLine(l)), what, timeoutMs, fromIndex));
+  }
+
+  // parsed log entries written since fromIndex, optionally only one event
+  function events(fromIndex = 0, event = null, fields = {}) {
+    const entries = logs.slice(fromIndex).map(parseLine).filter(Boolean);
+    return event ? entries.filter(eventMatcher(event, fields)) : entries;
+  }
+
+  const harness = {
+    port,
+    baseUrl: `http://127.0.0.1:${port}`,
+    openai,
+    eleven,
+    rest,
+    mail,
+    dataDir: path.join(root, "data"),
+    logs,
+    waitForEvent,
+    events,
+
+    // log lines written after this call
+    logMark() {
+      return logs.length;
+    },
+
+    // POST a webhook the way Twilio does; signed: false or a string overrides the signature
+    async webhook(urlPath, form = {}, { signed = true } = {}) {
+      const url = `${harness.baseUrl}${urlPath}`;
+      const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+      if (signed === true) {
+        headers["X-Twilio-Signature"] = twilio.getExpectedTwilioSignature(TWILIO_AUTH_TOKEN, url, form);
+      } else if (typeof signed === "string") {
+        headers["X-Twilio-Signature"] = signed;
+      }
+      const res = await fetch(url, { method: "POST", headers, body: new URLSearchParams(form) });
+      return { status: res.status, body: await res.text() };
+    },
+
+    twiml(form = {}, opts) {
+      return harness.webhook(
+        "/twiml",
+        { CallSid: `CA${Math.random().toString(16).slice(2, 18)}`, To: cfg.numbers[0], From: "+31612345678", ...form },
+        opts
+      );
+    },
+
+    // call a back-office endpoint with the admin bearer token; body is sent as JSON
+    admin(urlPath, { method = "GET", body } = {}) {
+      return fetch(`${harness.baseUrl}${urlPath}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${ADMIN_API_TOKEN}`,
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    },
+
+    // the <Stream> URL from a TwiML body, pointed at the local server
+    streamUrl(body) {
+      const m = /<Stream url="wss:\/\/[^/]+(\/ws\/[^"]+)"/.exec(body);
+      if (!m) throw new Error(`no <Stream> in TwiML:\n${body}`);
+      return `ws://127.0.0.1:${port}${m[1]}`;
+    },
+
+    // a connected call: /twiml answered, Twilio stream started, OpenAI session configured
+    async call({ autoAckMarks = true, customParameters = {} } = {}) {
+      const callSid = `CA${Math.random().toString(16).slice(2, 18)}`;
+      const { body } = await harness.twiml({ CallSid: callSid });
+      const twilioCall = new FakeTwilioCall(harness.streamUrl(body), { autoAckMarks, callSid });
+      await twilioCall.start({ from: "+31612345678", ...customParameters });
+      const session = await openai.nextSession();
+      await session.waitFor("session.update");
+      return { twilio: twilioCall, openai: session };
+    },
+
+    async stop() {
+      if (child.exitCode === null) child.kill("SIGTERM");
+      await exited;
+      await openai.close();
+      await eleven.close();
+      await rest?.close();
+      await mail?.close();
+      fs.rmSync(root, { recursive: true, force: true });
+    },
+  };
+
+  try {
+    await waitForEvent("SERVER_LISTENING");
+  } catch (e) {
+    await harness.stop();
+    throw e;
+  }
+  return harness;
+}
@@ -0,0 +1,64 @@
+// companies/des/test/phone.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePhone, normalizePhone } from "../phone.js";
+import { validateQuoteRequest } from "../leads.js";
+
+const pick = (p) => (p.ok ? [p.e164, p.country, p.type] : p.reason);
+
+test("Dutch numbers in the ways callers say them", () => {
+  for (const raw of ["0612345678", "06-12345678", "612345678", "31612345678", "+31 (0)6 1234 5678", "0031612345678"]) {
+    assert.deepEqual(pick(parsePhone(raw)), ["+31612345678", "NL", "mobile"], raw);
+  }
+  assert.deepEqual(pick(parsePhone("020 123 4567")), ["+31201234567", "NL", "landline"]);
+  assert.deepEqual(pick(parsePhone("088 123 4567")), ["+31881234567", "NL", "landline"]);
+  assert.deepEqual(pick(parsePhone("0800 1234")), ["+318001234", "NL", "tollfree"]);
+});
+
+test("the other supported countries", () => {
+  assert.deepEqual(pick(parsePhone("+32 470 12 34 56")), ["+32470123456", "BE", "mobile"]);
+  assert.deepEqual(pick(parsePhone("+32 2 123 45 67")), ["+3221234567", "BE", "landline"]);
+  assert.deepEqual(pick(parsePhone("0049 151 23456789")), ["+4915123456789", "DE", "mobile"]);
+  assert.deepEqual(pick(parsePhone("+49 (0)30 1234567")), ["+49301234567", "DE", "landline"]);
+  assert.deepEqual(pick(parsePhone("+33 6 12 34 56 78")), ["+33612345678", "FR", "mobile"]);
+  assert.deepEqual(pick(parsePhone("+33 1 23 45 67 89")), ["+33123456789", "FR", "landline"]);
+  assert.deepEqual(pick(parsePhone("+44 7700 900123")), ["+447700900123", "GB", "mobile"]);
+  assert.deepEqual(pick(parsePhone("+44 20 7946 0018")), ["+442079460018", "GB", "landline"]);
+  assert.deepEqual(pick(parsePhone("030 1234567", { defaultCountry: "DE" })), ["+49301234567", "DE", "landline"]);
+});
+
+test("premium-rate and emergency numbers parse but are blocked", () => {
+  for (const raw of ["0900 1234567", "+32 903 12 345", "+49 900 1 234567", "+33 8 99 12 34 56", "+44 909 8790000"]) {
+    const p = parsePhone(raw);
+    assert.equal(p.type, "premium", raw);
+    assert.equal(p.blocked, true, raw);
+    assert.equal(normalizePhone(raw), null, raw);
+  }
+  for (const raw of ["112", "+31112", "+44 999", "+33 15"]) {
+    assert.equal(parsePhone(raw).type, "emergency", raw);
+    assert.equal(normalizePhone(raw), null, raw);
+  }
+});
+
+test("garbage and unsupported countries are refused", () => {
+  assert.equal(pick(parsePhone("")), "empty");
+  assert.equal(pick(parsePhone("bel me maar")), "invalid");
+  assert.equal(pick(parsePhone("06123")), "invalid");
+  assert.equal(pick(parsePhone("+31 6 1234")), "invalid");
+  assert.equal(pick(parsePhone("+1 212 555 0100")), "unsupported_country");
+});
+
+test("quote capture says why a phone number was refused", () => {
+  const args = {
+    contact_name: "Jan",
+    company_name: "Jan BV",
+    email: "jan at bedrijf punt nl",
+    description: "Nieuwe meterkast",
+  };
+  const ok = validateQuoteRequest({ ...args, phone: "+32 470 12 34 56" });
+  assert.equal(ok.fields.phone, "+32470123456");
+  assert.equal(ok.fields.phoneType, "mobile");
+
+  assert.match(validateQuoteRequest({ ...args, phone: "0906 1234567" }).errors[0], /betaalnummer/);
+  assert.match(validateQuoteRequest({ ...args, phone: "+1 212 555 0100" }).errors[0], /alleen nummers uit/);
+});
@@ -0,0 +1,76 @@
+// companies/des/test/phrase-cache.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { streamUlawCached, phraseCacheInfo } from "../phrase-cache.js";
+import { ulawEncoder } from "../tts/ffmpeg.js";
+
+// store.js, phrase-cache.js and tts/ffmpeg.js read their env on first use
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "des-cache-"));
+process.env.DATA_DIR = DATA_DIR;
+process.env.FFMPEG_BIN = path.join(path.dirname(fileURLToPath(import.meta.url)), "fakes", "ffmpeg.mjs");
+process.env.PHRASE_CACHE_MAX_TEXT_CHARS = "60";
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const VOICE = { provider: "elevenlabs", elevenlabs: { voiceId: "v1", model: "m1" } };
+
+// a provider that runs its audio through the (fake) ffmpeg, like the real ones
+function ffmpegTts({ exitCode } = {}) {
+  return {
+    name: "elevenlabs",
+    async streamUlaw(text, onUlawChunk) {
+      if (exitCode !== undefined) process.env.FAKE_FFMPEG_EXIT = String(exitCode);
+      try {
+        const enc = ulawEncoder(onUlawChunk);
+        enc.stdin.write(Buffer.alloc(1600, 0x2a));
+        enc.end();
+        await enc.done;
+      } finally {
+        delete process.env.FAKE_FFMPEG_EXIT;
+      }
+      return { provider: "elevenlabs" };
+    },
+  };
+}
+
+const cachedTexts = () => phraseCacheInfo().entries.map((e) => e.text);
+
+test("a clean stream is cached and replayed", async () => {
+  const first = await streamUlawCached(ffmpegTts(), VOICE, "Goedemiddag.", () => {});
+  assert.equal(first.cacheHit, false);
+  const chunks = [];
+  const second = await streamUlawCached(ffmpegTts(), VOICE, "Goedemiddag.", (c) => chunks.push(c));
+  assert.equal(second.cacheHit, true);
+  assert.equal(Buffer.concat(chunks).length, 1600);
+});
+
+test("an ffmpeg that exits non-zero fails the stream and is not cached", async () => {
+  await assert.rejects(streamUlawCached(ffmpegTts({ exitCode: 1 }), VOICE, "Een kapotte zin.", () => {}), /FFMPEG_FAILED exit=1/);
+  // exit 0 without any audio is just as broken
+  await assert.rejects(streamUlawCached(ffmpegTts({ exitCode: 0 }), VOICE, "Een stille zin.", () => {}), /FFMPEG_FAILED no audio/);
+  assert.ok(!cachedTexts().includes("Een kapotte zin."));
+  assert.ok(!cachedTexts().includes("Een stille zin."));
+});
+
+test("audio of a stream that broke off halfway is not cached", async () => {
+  const broken = {
+    name: "elevenlabs",
+    async streamUlaw(text, onUlawChunk) {
+      onUlawChunk(Buffer.alloc(800, 0x2a));
+      throw new Error("ELEVEN_STREAM_FAILED socket hang up");
+    },
+  };
+  await assert.rejects(streamUlawCached(broken, VOICE, "Halverwege afgebroken.", () => {}), /ELEVEN_STREAM_FAILED/);
+  assert.ok(!cachedTexts().includes("Halverwege afgebroken."));
+});
+
+test("PHRASE_CACHE_MAX_TEXT_CHARS set after the import still applies", async () => {
+  const long = "Dit antwoord is langer dan de zestig tekens die deze test toestaat.";
+  await streamUlawCached(ffmpegTts(), VOICE, long, () => {});
+  assert.equal((await streamUlawCached(ffmpegTts(), VOICE, long, () => {})).cacheHit, false);
+  assert.ok(!cachedTexts().includes(long));
+});
@@ -0,0 +1,40 @@
+// companies/des/test/recordings.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { startRecording, pruneRecordings, findRecording } from "../recordings.js";
+
+// store.js reads DATA_DIR on first use
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "des-rec-"));
+process.env.DATA_DIR = DATA_DIR;
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+test("a clear drops outbound audio Twilio had not played yet", async () => {
+  const rec = startRecording({ callSid: "CAclear", company: "testco", retentionDays: 1 });
+  // 2 s of audio handed over at once: Twilio queues it behind each other
+  for (let i = 0; i < 100; i++) rec.outbound(Buffer.alloc(160, 0x2a));
+  await new Promise((r) => setTimeout(r, 300));
+  rec.clear();
+  const meta = await rec.finish();
+
+  const wav = fs.readFileSync(findRecording("CAclear").file);
+  let tessaSamples = 0;
+  for (let o = 44; o < wav.length; o += 4) if (wav.readInt16LE(o + 2) !== 0) tessaSamples++;
+  assert.ok(tessaSamples >= 8000 * 0.25 && tessaSamples <= 8000 * 0.5, `kept ${tessaSamples} samples`);
+  assert.ok(meta.seconds < 1);
+});
+
+test("retention removes expired recordings only", async () => {
+  for (const [sid, days] of [["CAold", -1], ["CAnew", 30]]) {
+    const rec = startRecording({ callSid: sid, company: "testco", retentionDays: days });
+    rec.inbound(Buffer.alloc(160, 0x10), 0);
+    await rec.finish();
+  }
+  assert.equal(pruneRecordings(), 1);
+  assert.equal(findRecording("CAold"), null);
+  assert.ok(findRecording("CAnew"));
+});
@@ -0,0 +1,44 @@
+// companies/des/test/tools.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runTool } from "../tools.js";
+import { tagCallIntent } from "../calls.js";
+
+// store.js reads DATA_DIR on first use
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "des-tools-"));
+process.env.DATA_DIR = DATA_DIR;
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+function ctx(callSid) {
+  const seen = { quiet: false };
+  return {
+    seen,
+    allowed: ["set_intent"],
+    callSid,
+    quietReply: () => (seen.quiet = true),
+    tagIntent: (intent) => tagCallIntent(callSid, intent),
+  };
+}
+
+test("set_intent tells a bad intent apart from a call it cannot tag", async () => {
+  const ok = ctx("CAtools0001");
+  assert.deepEqual(await runTool("set_intent", '{"intent":"quote"}', ok), { ok: true });
+  assert.equal(ok.seen.quiet, true);
+  // DATA_DIR was set after the imports and still applies
+  assert.ok(fs.existsSync(path.join(DATA_DIR, "calls.json")));
+
+  const bad = await runTool("set_intent", '{"intent":"weather"}', ctx("CAtools0001"));
+  assert.match(bad.error, /intent moet een van/);
+
+  // no callSid: the intent itself was valid, so the model is not told otherwise
+  const unknown = ctx(null);
+  const out = await runTool("set_intent", '{"intent":"quote"}', unknown);
+  assert.equal(out.ok, false);
+  assert.match(out.error, /gesprek onbekend/);
+  assert.doesNotMatch(out.error, /intent moet/);
+  assert.equal(unknown.seen.quiet, true);
+});
@@ -0,0 +1,166 @@
+// companies/des/tools.js
+import { validateQuoteRequest, saveLead } from "./leads.js";
+import { createComplaint } from "./complaints.js";
+import { INTENTS } from "./calls.js";
+
+/* =======================
+   REALTIME FUNCTION TOOLS
+   company.json "tools" picks which of these a company's session gets.
+   Handlers return a plain object; it goes back to the model as function_call_output.
+   Tools that complete an intent tag the call with it; set_intent covers the rest.
+======================= */
+const END_CALL_REASONS = ["goodbye", "out_of_scope", "abusive", "wrong_number", "other"];
+
+const TOOLS = {
+  record_quote_request: {
+    definition: {
+      type: "function",
+      name: "record_quote_request",
+      description:
+        "Sla een offerteaanvraag op zodra alle gegevens één voor één zijn verzameld. Roep pas aan als naam, bedrijf, e-mail, telefoon en omschrijving bekend zijn. Als ok=false terugkomt, vraag de ontbrekende of ongeldige gegevens opnieuw.",
+      parameters: {
+        type: "object",
+        properties: {
+          contact_name: { type: "string", description: "Naam van de contactpersoon" },
+          company_name: { type: "string", description: "Bedrijfsnaam" },
+          email: { type: "string", description: "E-mailadres zoals door de beller gespeld" },
+          phone: { type: "string", description: "Telefoonnummer (NL, BE, DE, FR of VK)" },
+          description: { type: "string", description: "Korte omschrijving van de wensen of klus" },
+        },
+        required: ["contact_name", "company_name", "email", "phone", "description"],
+      },
+    },
+    async handler(args, ctx) {
+      const v = validateQuoteRequest(args);
+      if (!v.ok) return { ok: false, errors: v.errors };
+      const lead = saveLead(v.fields, ctx);
+      ctx.tagIntent("quote");
+      return { ok: true, lead_id: lead.id };
+    },
+  },
+
+  file_complaint: {
+    definition: {
+      type: "function",
+      name: "file_complaint",
+      description:
+        "Leg een klacht vast en stuur die door naar de eigenaar. Roep aan nadat de beller is uitgesproken en je de klacht kort hebt samengevat.",
+      parameters: {
+        type: "object",
+        properties: {
+          summary: {
+            type: "string",
+            description: "Korte, neutrale samenvatting van de klacht in de woorden van de beller",
+          },
+        },
+        required: ["summary"],
+      },
+    },
+    async handler(args, ctx) {
+      const r = createComplaint(args, ctx);
+      if (!r.ok) return r;
+      ctx.tagIntent("complaint");
+      return { ok: true, ticket_id: r.ticket.id };
+    },
+  },
+
+  transfer_to_employee: {
+    definition: {
+      type: "function",
+      name: "transfer_to_employee",
+      description:
+        "Verbind de beller door met een medewerker (FAIL-SAFE). Alleen gebruiken nadat de beller akkoord gaf. Zeg zelf niets: het systeem speelt de overdrachtszin af.",
+      parameters: {
+        type: "object",
+        properties: {
+          reason: { type: "string", description: "Waarom wordt er doorverbonden (kort)" },
+        },
+        required: ["reason"],
+      },
+    },
+    // the live call is owned by the WebSocket session, so it does the work
+    async handler(args, ctx) {
+      const r = ctx.requestTransfer(String(args.reason || "").slice(0, 300));
+      if (r.ok) {
+        ctx.tagIntent("failsafe");
+        ctx.skipReply();
+      }
+      return r;
+    },
+  },
+
+  end_call: {
+    definition: {
+      type: "function",
+      name: "end_call",
+      description:
+        "Beëindig het gesprek. Neem in hetzelfde antwoord eerst afscheid; het systeem hangt op zodra dat is uitgesproken. Niet gebruiken zolang de beller nog een vraag heeft.",
+      parameters: {
+        type: "object",
+        properties: {
+          reason: {
+            type: "string",
+            enum: END_CALL_REASONS,
+            description:
+              "goodbye = gesprek afgerond, out_of_scope = niets waarmee je kunt helpen, abusive = beller scheldt of intimideert, wrong_number = verkeerd verbonden",
+          },
+        },
+        required: ["reason"],
+      },
+    },
+    // the WebSocket session hangs up after the goodbye has played; nothing more to say
+    async handler(args, ctx) {
+      const reason = END_CALL_REASONS.includes(args.reason) ? args.reason : "other";
+      const r = ctx.requestEndCall(reason);
+      if (r.ok) ctx.skipReply();
+      return r;
+    },
+  },
+
+  set_intent: {
+    definition: {
+      type: "function",
+      name: "set_intent",
+      description:
+        "Leg vast waar het gesprek over gaat, zodra dat duidelijk is. Roep opnieuw aan als de beller over iets anders begint. general = algemene vraag over het bedrijf, quote = interesse of offerte, vacancy = werken bij / vacatures, complaint = klacht, failsafe = onduidelijk of doorverbinden. Zeg hier niets over tegen de beller.",
+      parameters: {
+        type: "object",
+        properties: {
+          intent: { type: "string", enum: INTENTS },
+        },
+        required: ["intent"],
+      },
+    },
+    // bookkeeping only: the model keeps talking in the same turn
+    async handler(args, ctx) {
+      const intent = String(args.intent || "");
+      if (!INTENTS.includes(intent)) return { ok: false, error: `intent moet een van ${INTENTS.join(", ")} zijn` };
+      ctx.quietReply();
+      // no call to tag (no callSid): the intent was fine, there is nothing for the model to fix
+      if (!ctx.tagIntent(intent)) return { ok: false, error: "gesprek onbekend, intent niet vastgelegd; ga gewoon verder" };
+      return { ok: true };
+    },
+  },
+};
+
+export function toolDefinitions(names = []) {
+  return names.filter((n) => TOOLS[n]).map((n) => TOOLS[n].definition);
+}
+
+export async function runTool(name, rawArgs, ctx) {
+  const tool = TOOLS[name];
+  if (!tool || !ctx.allowed.includes(name)) return { ok: false, error: `unknown tool ${name}` };
+
+  let args;
+  try {
+    args = JSON.parse(rawArgs || "{}");
+  } catch {
+    return { ok: false, error: "arguments are not valid JSON" };
+  }
+
+  try {
+    return await tool.handler(args, ctx);
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
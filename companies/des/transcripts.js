@@ -0,0 +1,88 @@
+// companies/des/transcripts.js
+import fs from "fs";
+import { dataPath } from "./store.js";
+import { log } from "./logger.js";
+
+/* =======================
+   CALL TRANSCRIPTS
+   One JSON-lines file per callSid, appended as the call runs so a crash
+   still leaves everything up to that point on disk.
+======================= */
+const SAFE_SID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function transcriptFile(callSid) {
+  return dataPath("transcripts", `${callSid}.jsonl`);
+}
+
+export function isSafeCallSid(callSid) {
+  return SAFE_SID_RE.test(String(callSid || ""));
+}
+
+export function openTranscript({ callSid, streamSid, company, callerNumber }) {
+  if (!isSafeCallSid(callSid)) return null;
+
+  const file = transcriptFile(callSid);
+  let seq = 0;
+
+  function write(entry) {
+    const line = { seq: ++seq, at: new Date().toISOString(), ...entry };
+    try {
+      fs.appendFileSync(file, JSON.stringify(line) + "\n");
+    } catch (e) {
+      log.error("TRANSCRIPT_WRITE_FAILED", { callSid, error: e });
+    }
+  }
+
+  write({ type: "call_start", callSid, streamSid, company, callerNumber: callerNumber || null });
+
+  return {
+    // role: "user" | "assistant"
+    turn(role, text, extra = {}) {
+      const t = String(text || "").trim();
+      if (t) write({ type: "turn", role, text: t, ...extra });
+    },
+    // barge_in, barge_in_ignored, speech_done, speech_cancelled, tool_call, hangup, call_end ...
+    mark(event, extra = {}) {
+      write({ type: "marker", event, ...extra });
+    },
+  };
+}
+
+export function readTranscript(callSid) {
+  if (!isSafeCallSid(callSid)) return null;
+  const file = transcriptFile(callSid);
+  if (!fs.existsSync(file)) return null;
+
+  const entries = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {}
+  }
+  const head = entries.find((e) => e.type === "call_start") || {};
+  return {
+    callSid,
+    company: head.company || null,
+    callerNumber: head.callerNumber || null,
+    startedAt: head.at || null,
+    entries,
+  };
+}
+
+export function transcriptToText(tr) {
+  const lines = [`Call ${tr.callSid} company=${tr.company || "-"} caller=${tr.callerNumber || "-"}`];
+  for (const e of tr.entries) {
+    const time = e.at.slice(11, 23);
+    if (e.type === "turn") {
+      lines.push(`${time} ${e.role === "user" ? "BELLER" : "TESSA "}: ${e.text}`);
+    } else if (e.type === "marker") {
+      const extra = Object.entries(e)
+        .filter(([k]) => !["seq", "at", "type", "event"].includes(k))
+        .map(([k, v]) => `${k}=${typeof v === "object" ? JSON.stringify(v) : v}`)
+        .join(" ");
+      lines.push(`${time} -- ${e.event}${extra ? ` ${extra}` : ""}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,112 @@
+// companies/des/tts/elevenlabs.js
+import { Readable } from "stream";
+import { ulawEncoder } from "./ffmpeg.js";
+
+/* =========================
+   ElevenLabs: streaming mp3 -> ffmpeg -> μ-law, one-shot mp3
+========================= */
+export function createElevenLabsTts({ apiKey, voiceId, model }) {
+  if (!apiKey) throw new Error("ELEVENLABS_API_KEY missing");
+  if (!voiceId) throw new Error("ELEVENLABS voiceId missing");
+  // read here, not at import: providers are created after server.js ran dotenv.config()
+  const ELEVENLABS_BASE_URL = (
+    process.env.ELEVENLABS_BASE_URL || "https://api.elevenlabs.io"
+  ).replace(/\/$/, "");
+
+  async function synthesizeMp3(text) {
+    const resp = await fetch(`${ELEVENLABS_BASE_URL}/v1/text-to-speech/${voiceId}`, {
+      method: "POST",
+      headers: {
+        "xi-api-key": apiKey,
+        "Content-Type": "application/json",
+        Accept: "audio/mpeg",
+      },
+      body: JSON.stringify({
+        model_id: model,
+        text,
+        voice_settings: { stability: 0.5, similarity_boost: 0.8 },
+      }),
+    });
+
+    if (!resp.ok) {
+      const err = await resp.text().catch(() => "");
+      throw new Error(`ELEVEN_TTS_FAILED ${resp.status}: ${err}`);
+    }
+
+    const buf = Buffer.from(await resp.arrayBuffer());
+    if (!buf.length) throw new Error("ELEVEN_EMPTY_AUDIO");
+    return buf;
+  }
+
+  async function streamUlaw(text, onUlawChunk, abortSignal) {
+    const enc = ulawEncoder(onUlawChunk);
+
+    if (abortSignal) {
+      if (abortSignal.aborted) {
+        enc.kill();
+        return;
+      }
+      abortSignal.addEventListener("abort", () => enc.kill(), { once: true });
+    }
+
+    const res = await fetch(`${ELEVENLABS_BASE_URL}/v1/text-to-speech/${voiceId}/stream`, {
+      method: "POST",
+      headers: {
+        "xi-api-key": apiKey,
+        "Content-Type": "application/json",
+        Accept: "audio/mpeg",
+      },
+      body: JSON.stringify({ model_id: model, text }),
+      signal: abortSignal,
+    }).catch((e) => {
+      if (abortSignal?.aborted) return null;
+      enc.kill();
+      throw e;
+    });
+
+    if (!res) {
+      enc.kill();
+      return;
+    }
+
+    if (!res.ok) {
+      const err = await res.text().catch(() => "");
+      enc.kill();
+      throw new Error(`ELEVEN_STREAM_FAILED ${res.status}: ${err}`);
+    }
+
+    const nodeStream = Readable.fromWeb(res.body);
+
+    if (abortSignal) {
+      abortSignal.addEventListener(
+        "abort",
+        () => {
+          try {
+            nodeStream.destroy();
+          } catch {}
+          enc.kill();
+        },
+        { once: true }
+      );
+    }
+
+    // a connection that breaks mid-sentence is a failure, not a short sentence
+    const streamFailed = new Promise((resolve, reject) => {
+      nodeStream.on("error", (e) => {
+        enc.kill();
+        if (abortSignal?.aborted) return resolve();
+        reject(new Error(`ELEVEN_STREAM_FAILED ${e.message}`));
+      });
+    });
+    nodeStream.on("data", (d) => {
+      if (abortSignal?.aborted) return;
+      enc.stdin.write(d);
+    });
+    nodeStream.on("end", () => enc.end());
+
+    await Promise.race([enc.done, streamFailed]);
+    return { provider: "elevenlabs" };
+  }
+
+  return { name: "elevenlabs", streamUlaw, synthesizeMp3 };
+}
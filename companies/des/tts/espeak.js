@@ -0,0 +1,68 @@
+// companies/des/tts/espeak.js
+import { spawn } from "child_process";
+import { ulawEncoder, toMp3 } from "./ffmpeg.js";
+
+/* =========================
+   espeak-ng: local, offline, no API key. Robotic, but always there.
+   espeak-ng --stdout writes a WAV; ffmpeg does the rest.
+========================= */
+export function createEspeakTts({ voice = "nl", speed = 165 } = {}) {
+  // read here, not at import: providers are created after server.js ran dotenv.config()
+  const ESPEAK_BIN = process.env.ESPEAK_BIN || "espeak-ng";
+
+  function spawnEspeak(text) {
+    // "--" ends the options: a sentence that starts with "-" is still text
+    const p = spawn(ESPEAK_BIN, ["-v", voice, "-s", String(speed), "--stdout", "--", text]);
+    p.stderr.on("data", () => {});
+    return p;
+  }
+
+  function espeakFailed(p) {
+    return new Promise((resolve) => {
+      p.on("error", (e) => resolve(new Error(`ESPEAK_FAILED ${e.message}`)));
+      p.on("close", (code) => resolve(code === 0 ? null : new Error(`ESPEAK_FAILED exit=${code}`)));
+    });
+  }
+
+  async function synthesizeMp3(text) {
+    const p = spawnEspeak(text);
+    const chunks = [];
+    p.stdout.on("data", (c) => chunks.push(c));
+    const err = await espeakFailed(p);
+    if (err) throw err;
+    return toMp3(Buffer.concat(chunks));
+  }
+
+  async function streamUlaw(text, onUlawChunk, abortSignal) {
+    if (abortSignal?.aborted) return;
+
+    const enc = ulawEncoder(onUlawChunk);
+    const p = spawnEspeak(text);
+    const failed = espeakFailed(p);
+
+    if (abortSignal) {
+      abortSignal.addEventListener(
+        "abort",
+        () => {
+          try {
+            p.kill("SIGKILL");
+          } catch {}
+          enc.kill();
+        },
+        { once: true }
+      );
+    }
+
+    p.stdout.pipe(enc.stdin);
+
+    const err = await failed;
+    if (err && !abortSignal?.aborted) {
+      enc.kill();
+      throw err;
+    }
+    await enc.done;
+    return { provider: "espeak" };
+  }
+
+  return { name: "espeak", streamUlaw, synthesizeMp3 };
+}
@@ -0,0 +1,114 @@
+// companies/des/tts/ffmpeg.js
+import { spawn } from "child_process";
+import { ffmpegFailures } from "../metrics.js";
+
+/* =======================
+   ffmpeg transcoding shared by the TTS providers (and the STT input)
+======================= */
+
+// FFMPEG_BIN is read per spawn: this module is imported before server.js runs dotenv.config()
+function spawnFfmpeg(outputArgs) {
+  return spawn(process.env.FFMPEG_BIN || "ffmpeg", [
+    "-hide_banner",
+    "-loglevel",
+    "error",
+    "-i",
+    "pipe:0",
+    ...outputArgs,
+    "pipe:1",
+  ]);
+}
+
+// any audio on stdin -> 8 kHz mono μ-law chunks via onUlawChunk.
+// done resolves on a clean exit (or after kill()) and rejects when ffmpeg
+// failed or produced no audio, so a broken stream never counts as spoken.
+export function ulawEncoder(onUlawChunk) {
+  const ff = spawnFfmpeg(["-ar", "8000", "-ac", "1", "-f", "mulaw"]);
+  let killed = false;
+  let bytes = 0;
+
+  ff.stdout.on("data", (chunk) => {
+    bytes += chunk.length;
+    onUlawChunk(chunk);
+  });
+  ff.stderr.on("data", () => {});
+  // EPIPE after a kill is expected
+  ff.stdin.on("error", () => {});
+
+  const done = new Promise((resolve, reject) => {
+    // a spawn error is followed by "close" too; count it once
+    let spawnFailed = false;
+    ff.on("close", (code) => {
+      if (spawnFailed) return;
+      if (killed) return resolve(code);
+      if (code !== 0 || !bytes) {
+        ffmpegFailures.inc({ op: "ulaw" });
+        return reject(new Error(code !== 0 ? `FFMPEG_FAILED exit=${code}` : "FFMPEG_FAILED no audio"));
+      }
+      resolve(code);
+    });
+    ff.on("error", (e) => {
+      spawnFailed = true;
+      ffmpegFailures.inc({ op: "ulaw" });
+      reject(new Error(`FFMPEG_FAILED ${e.message}`));
+    });
+  });
+  // callers that bail out early (abort) never await this
+  done.catch(() => {});
+
+  return {
+    stdin: ff.stdin,
+    done,
+    end() {
+      try {
+        ff.stdin.end();
+      } catch {}
+    },
+    kill() {
+      killed = true;
+      try {
+        ff.stdin.end();
+      } catch {}
+      try {
+        ff.kill("SIGKILL");
+      } catch {}
+    },
+  };
+}
+
+// whole buffer in -> whole buffer out (op labels the failure metric)
+function transcode(input, outputArgs, op) {
+  return new Promise((resolve, reject) => {
+    const ff = spawnFfmpeg(outputArgs);
+    const chunks = [];
+    ff.stdout.on("data", (c) => chunks.push(c));
+    ff.stderr.on("data", () => {});
+    ff.stdin.on("error", () => {});
+    let spawnFailed = false;
+    ff.on("error", (e) => {
+      spawnFailed = true;
+      ffmpegFailures.inc({ op });
+      reject(new Error(`FFMPEG_FAILED ${e.message}`));
+    });
+    ff.on("close", (code) => {
+      if (spawnFailed) return;
+      const buf = Buffer.concat(chunks);
+      if (code !== 0 || !buf.length) {
+        ffmpegFailures.inc({ op });
+        return reject(new Error(`FFMPEG_FAILED exit=${code}`));
+      }
+      resolve(buf);
+    });
+    ff.stdin.end(input);
+  });
+}
+
+// whole buffer (e.g. WAV) -> MP3 buffer for <Play>
+export function toMp3(input) {
+  return transcode(input, ["-ac", "1", "-f", "mp3"], "mp3");
+}
+
+// any audio -> 16 kHz mono 16-bit WAV, what whisper.cpp wants
+export function toWav16k(input) {
+  return transcode(input, ["-ar", "16000", "-ac", "1", "-c:a", "pcm_s16le", "-f", "wav"], "wav16k");
+}
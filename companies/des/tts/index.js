@@ -0,0 +1,107 @@
+// companies/des/tts/index.js
+import { createElevenLabsTts } from "./elevenlabs.js";
+import { createEspeakTts } from "./espeak.js";
+import { ttsFailures, ttsFallbacks, ttsTtfb } from "../metrics.js";
+import { log } from "../logger.js";
+
+/* =======================
+   TTS PROVIDERS
+   A provider is { name, streamUlaw(text, onUlawChunk, abortSignal), synthesizeMp3(text) }.
+   streamUlaw delivers 8 kHz mono μ-law chunks and resolves when done with
+   { provider } (the engine that actually spoke), or with nothing when aborted;
+   synthesizeMp3 resolves to a complete MP3 buffer for <Play>.
+======================= */
+const PROVIDERS = {
+  elevenlabs: (voice) =>
+    createElevenLabsTts({
+      apiKey: process.env.ELEVENLABS_API_KEY,
+      voiceId: voice.elevenlabs.voiceId,
+      model: voice.elevenlabs.model,
+    }),
+  espeak: (voice) => createEspeakTts(voice.espeak),
+};
+
+// failures (not aborts) and time to the first audio chunk, per engine
+function instrument(provider) {
+  const labels = { provider: provider.name };
+  return {
+    name: provider.name,
+
+    async streamUlaw(text, onUlawChunk, abortSignal) {
+      const t0 = Date.now();
+      let first = true;
+      try {
+        return await provider.streamUlaw(
+          text,
+          (chunk) => {
+            if (first) {
+              first = false;
+              ttsTtfb.observe(labels, (Date.now() - t0) / 1000);
+            }
+            onUlawChunk(chunk);
+          },
+          abortSignal
+        );
+      } catch (e) {
+        if (!abortSignal?.aborted) ttsFailures.inc({ ...labels, op: "stream" });
+        throw e;
+      }
+    },
+
+    async synthesizeMp3(text) {
+      try {
+        return await provider.synthesizeMp3(text);
+      } catch (e) {
+        ttsFailures.inc({ ...labels, op: "mp3" });
+        throw e;
+      }
+    },
+  };
+}
+
+function createProvider(name, voice) {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`TTS_PROVIDER_UNKNOWN ${name}`);
+  return instrument(factory(voice));
+}
+
+// Primary with an optional fallback. Streaming only falls back when the primary
+// failed before sending any audio; otherwise the caller would hear it twice.
+export function createTts(voice) {
+  const primary = createProvider(voice.provider, voice);
+  const fallback = voice.fallback ? createProvider(voice.fallback, voice) : null;
+  if (!fallback) return primary;
+
+  return {
+    name: `${primary.name}+${fallback.name}`,
+
+    async streamUlaw(text, onUlawChunk, abortSignal) {
+      let emitted = false;
+      try {
+        return await primary.streamUlaw(
+          text,
+          (chunk) => {
+            emitted = true;
+            onUlawChunk(chunk);
+          },
+          abortSignal
+        );
+      } catch (e) {
+        if (emitted || abortSignal?.aborted) throw e;
+        log.warn("TTS_FALLBACK", { from: primary.name, to: fallback.name, op: "stream", error: e });
+        ttsFallbacks.inc({ from: primary.name, to: fallback.name, op: "stream" });
+        return fallback.streamUlaw(text, onUlawChunk, abortSignal);
+      }
+    },
+
+    async synthesizeMp3(text) {
+      try {
+        return await primary.synthesizeMp3(text);
+      } catch (e) {
+        log.warn("TTS_FALLBACK", { from: primary.name, to: fallback.name, op: "mp3", error: e });
+        ttsFallbacks.inc({ from: primary.name, to: fallback.name, op: "mp3" });
+        return fallback.synthesizeMp3(text);
+      }
+    },
+  };
+}
@@ -0,0 +1,229 @@
+// companies/des/voicemails.js
+import fs from "fs";
+import path from "path";
+import { readJson, writeJson, dataDir, newId } from "./store.js";
+import { log } from "./logger.js";
+
+/* =======================
+   VOICEMAIL INBOX
+   The <Record> after hours, or after a transfer nobody answered, reports each
+   finished recording to /twilio/voicemail.
+   The WAV is fetched from Twilio into DATA_DIR/voicemails/, transcribed by the
+   STT provider (stt/index.js) and kept as "new" until someone marks it handled.
+   Download and transcription are resumed after a restart. A download that
+   fails is retried in the background with backoff (about two hours by default)
+   before the voicemail is marked failed.
+   The download carries the Twilio account credentials, so it only goes to
+   Twilio's API under our own account, whatever URL the callback names.
+======================= */
+const VOICEMAILS_FILE = "voicemails.json";
+const DOWNLOAD_ATTEMPTS = 3; // per round, a few seconds apart
+const DOWNLOAD_ROUNDS = 6; // rounds with backoff before a download counts as failed
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// VOICEMAIL_*_MS are read on use, after server.js ran dotenv.config()
+const attemptDelayMs = () => Number(process.env.VOICEMAIL_DOWNLOAD_RETRY_MS || 2000);
+const retryBaseMs = () => Number(process.env.VOICEMAIL_RETRY_BASE_MS || 5 * 60 * 1000);
+
+let voicemails = null;
+let stt = null;
+let twilioAuth = null; // { accountSid, authToken, apiBaseUrl } for the recording download
+let retryTimer = null;
+const inFlight = new Set();
+
+function load() {
+  if (!voicemails) voicemails = readJson(VOICEMAILS_FILE, { voicemails: [] }).voicemails;
+  return voicemails;
+}
+
+function persist() {
+  writeJson(VOICEMAILS_FILE, { voicemails: load() });
+}
+
+export function voicemailFile(v) {
+  return path.join(dataDir("voicemails"), `${v.id}.wav`);
+}
+
+// https://api.twilio.com/2010-04-01/Accounts/<our AccountSid>/Recordings/RE…, nothing else
+function recordingUrlAllowed(recordingUrl) {
+  if (!twilioAuth?.accountSid) return false;
+  let u;
+  try {
+    u = new URL(recordingUrl);
+  } catch {
+    return false;
+  }
+  const prefix = `/2010-04-01/Accounts/${twilioAuth.accountSid}/Recordings/`;
+  return (
+    u.origin === new URL(twilioAuth.apiBaseUrl).origin &&
+    !u.search &&
+    u.pathname.startsWith(prefix) &&
+    /^RE[0-9a-f]{32}$/.test(u.pathname.slice(prefix.length))
+  );
+}
+
+// Twilio may 404 a recording for a moment after reporting it complete
+async function download(recordingUrl) {
+  if (!recordingUrlAllowed(recordingUrl)) throw new Error("VOICEMAIL_URL_REJECTED");
+  const headers = {};
+  if (twilioAuth.authToken) {
+    const basic = Buffer.from(`${twilioAuth.accountSid}:${twilioAuth.authToken}`).toString("base64");
+    headers.Authorization = `Basic ${basic}`;
+  }
+  let lastError = null;
+  for (let attempt = 1; attempt <= DOWNLOAD_ATTEMPTS; attempt++) {
+    try {
+      const res = await fetch(`${recordingUrl}.wav`, { headers });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const buf = Buffer.from(await res.arrayBuffer());
+      if (!buf.length) throw new Error("empty body");
+      return buf;
+    } catch (e) {
+      lastError = e;
+      if (attempt < DOWNLOAD_ATTEMPTS) await new Promise((r) => setTimeout(r, attemptDelayMs() * attempt));
+    }
+  }
+  throw new Error(`VOICEMAIL_DOWNLOAD_FAILED ${lastError.message}`);
+}
+
+async function processVoicemail(v) {
+  if (inFlight.has(v.id)) return;
+  inFlight.add(v.id);
+  const fields = { id: v.id, callSid: v.callSid || undefined, company: v.company };
+  try {
+    let audio = null;
+    if (v.audio !== "stored") {
+      try {
+        audio = await download(v.recordingUrl);
+      } catch (e) {
+        v.downloadRounds = (v.downloadRounds || 0) + 1;
+        v.error = e.message;
+        // a rejected URL will not get better; anything else gets another round later
+        if (e.message === "VOICEMAIL_URL_REJECTED" || v.downloadRounds >= DOWNLOAD_ROUNDS) {
+          v.audio = "failed";
+          v.transcriptStatus = "failed";
+          v.nextDownloadAt = null;
+          log.error("VOICEMAIL_DOWNLOAD_FAILED", {
+            ...fields,
+            recordingSid: v.recordingSid,
+            rounds: v.downloadRounds,
+            error: e,
+          });
+        } else {
+          const backoff = Math.min(RETRY_MAX_MS, retryBaseMs() * 2 ** (v.downloadRounds - 1));
+          v.nextDownloadAt = Date.now() + backoff;
+          log.warn("VOICEMAIL_DOWNLOAD_RETRY", {
+            ...fields,
+            recordingSid: v.recordingSid,
+            round: v.downloadRounds,
+            retryInMs: backoff,
+            error: e,
+          });
+        }
+        return;
+      }
+      fs.writeFileSync(voicemailFile(v), audio);
+      v.audio = "stored";
+      v.audioBytes = audio.length;
+      v.nextDownloadAt = null;
+      v.error = null;
+      log.info("VOICEMAIL_STORED", { ...fields, bytes: audio.length });
+      persist();
+    }
+
+    if (v.transcriptStatus !== "pending" || !stt) return;
+    try {
+      const t0 = Date.now();
+      const text = await stt.transcribe(audio || fs.readFileSync(voicemailFile(v)));
+      v.transcript = text;
+      v.transcriptStatus = "done";
+      v.stt = stt.name;
+      v.error = null;
+      log.info("VOICEMAIL_TRANSCRIBED", { ...fields, stt: stt.name, chars: text.length, ms: Date.now() - t0 });
+    } catch (e) {
+      v.transcriptStatus = "failed";
+      v.stt = stt.name;
+      v.error = e.message;
+      log.error("VOICEMAIL_TRANSCRIBE_FAILED", { ...fields, stt: stt.name, error: e });
+    }
+  } finally {
+    inFlight.delete(v.id);
+    persist();
+  }
+}
+
+// form: the parameters of a recordingStatusCallback. Returns the voicemail, or null when there is nothing to keep.
+export function captureVoicemail(form, { company, callerNumber, source = "after_hours" }) {
+  if (form.RecordingStatus !== "completed" || !form.RecordingSid || !form.RecordingUrl) return null;
+  // Twilio retries callbacks it did not see answered in time
+  const existing = load().find((v) => v.recordingSid === form.RecordingSid);
+  if (existing) return existing;
+  if (!(Number(form.RecordingDuration) > 0)) return null;
+  if (!recordingUrlAllowed(form.RecordingUrl)) {
+    log.warn("VOICEMAIL_URL_REJECTED", { callSid: form.CallSid, recordingSid: form.RecordingSid, url: form.RecordingUrl });
+    return null;
+  }
+
+  const v = {
+    id: newId("vm"),
+    createdAt: new Date().toISOString(),
+    company,
+    callSid: form.CallSid || null,
+    callerNumber: callerNumber || null,
+    source, // after_hours | transfer
+    recordingSid: form.RecordingSid,
+    recordingUrl: form.RecordingUrl,
+    durationSec: Number(form.RecordingDuration),
+    status: "new",
+    handledAt: null,
+    audio: "pending",
+    audioBytes: null,
+    downloadRounds: 0,
+    nextDownloadAt: null,
+    transcript: null,
+    transcriptStatus: "pending",
+    stt: null,
+    error: null,
+  };
+  load().push(v);
+  persist();
+
+  processVoicemail(v).catch((e) => log.error("VOICEMAIL_PROCESS_FAILED", { id: v.id, error: e }));
+  return v;
+}
+
+// newest first
+export function listVoicemails({ company, status } = {}) {
+  return load()
+    .filter((v) => (!company || v.company === company) && (!status || v.status === status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export function getVoicemail(id) {
+  return load().find((v) => v.id === id) || null;
+}
+
+export function markVoicemailHandled(id, handled = true) {
+  const v = getVoicemail(id);
+  if (!v) return null;
+  v.status = handled ? "handled" : "new";
+  v.handledAt = handled ? new Date().toISOString() : null;
+  persist();
+  return v;
+}
+
+export function startVoicemails({ stt: provider, accountSid, authToken, apiBaseUrl = "https://api.twilio.com" }) {
+  stt = provider;
+  twilioAuth = { accountSid, authToken, apiBaseUrl };
+  const due = (v, now) =>
+    (v.audio === "pending" && !(v.nextDownloadAt > now)) || (v.audio === "stored" && v.transcriptStatus === "pending");
+  const run = () => {
+    const now = Date.now();
+    for (const v of load()) {
+      if (due(v, now)) processVoicemail(v).catch((e) => log.error("VOICEMAIL_PROCESS_FAILED", { id: v.id, error: e }));
+    }
+  };
+  run();
+  if (retryTimer) return;
+  retryTimer = setInterval(run, Number(process.env.VOICEMAIL_RETRY_TICK_MS || 60000));
+  retryTimer.unref();
+}
@@ -0,0 +1,170 @@
+// calls.js
+import fs from 'fs';
+import path from 'path';
+
+/* =======================
+   CALL HISTORY
+   One record per callSid in DATA_DIR/calls.json. Outbound calls are recorded when
+   placed, inbound ones on /twiml; Twilio's status callback (/twilio/status) fills in
+   answer/end times, duration and status. When the server ends a call itself it notes
+   why first, so a completed call shows server_hangup vs remote_hangup.
+   calls.json, rewritten on every change, holds the newest CALL_HISTORY_MAX_CALLS
+   calls; older finished ones move to the append-only calls-archive.jsonl.
+======================= */
+const FINAL_STATUSES = new Set(['completed', 'busy', 'no-answer', 'failed', 'canceled']);
+
+// Twilio's Timestamp is RFC 2822 ("Mon, 19 Oct 2026 14:03:00 +0000")
+function twilioTime(raw) {
+  const ms = Date.parse(raw || '');
+  return new Date(Number.isNaN(ms) ? Date.now() : ms).toISOString();
+}
+
+export function createCallHistory({ dataDir }) {
+  const file = path.join(dataDir, 'calls.json');
+  const archiveFile = path.join(dataDir, 'calls-archive.jsonl');
+  const maxCalls = Math.max(1, parseInt(process.env.CALL_HISTORY_MAX_CALLS || '5000', 10));
+  const calls = new Map(); // callSid -> record
+  try {
+    for (const c of JSON.parse(fs.readFileSync(file, 'utf8')).calls || []) calls.set(c.callSid, c);
+  } catch {}
+
+  function readArchive() {
+    let raw = '';
+    try { raw = fs.readFileSync(archiveFile, 'utf8'); } catch { return []; }
+    const out = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try { out.push(JSON.parse(line)); } catch {} // a torn last line after a crash
+    }
+    return out;
+  }
+
+  // oldest finished calls past the cap go to the archive; calls still running stay
+  function archiveOverflow() {
+    let over = calls.size - maxCalls;
+    if (over <= 0) return;
+    const finished = [...calls.values()]
+      .filter((c) => FINAL_STATUSES.has(c.status) && c.endedAt)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const c of finished) {
+      if (over-- <= 0) break;
+      fs.appendFileSync(archiveFile, JSON.stringify(c) + '\n');
+      calls.delete(c.callSid);
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(dataDir, { recursive: true });
+    archiveOverflow();
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ calls: [...calls.values()] }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function upsert(callSid) {
+    let rec = calls.get(callSid);
+    if (!rec) {
+      rec = {
+        callSid,
+        direction: null,
+        from: null,
+        to: null,
+        status: null,
+        createdAt: new Date().toISOString(),
+        answeredAt: null,
+        endedAt: null,
+        durationSec: null,
+        endReason: null,
+        serverHangupReason: null,
+        serverHangupAt: null
+      };
+      calls.set(callSid, rec);
+    }
+    return rec;
+  }
+
+  // direction as Twilio names it: inbound | outbound-api
+  function start({ callSid, direction, from, to, status }) {
+    if (!callSid) return null;
+    const rec = upsert(callSid);
+    rec.direction = rec.direction || direction || null;
+    rec.from = rec.from || from || null;
+    rec.to = rec.to || to || null;
+    if (!rec.status) rec.status = status || 'in-progress';
+    persist();
+    return rec;
+  }
+
+  // first reason wins: the hangup itself, not whatever closes after it
+  function serverHangup(callSid, reason) {
+    if (!callSid) return;
+    const rec = upsert(callSid);
+    if (rec.serverHangupReason) return;
+    rec.serverHangupReason = reason;
+    rec.serverHangupAt = new Date().toISOString();
+    persist();
+  }
+
+  // async AMD posts its verdict to /twilio/amd, apart from the status callbacks
+  function setAnsweredBy(callSid, answeredBy) {
+    if (!callSid || !answeredBy) return null;
+    const rec = upsert(callSid);
+    rec.answeredBy = answeredBy;
+    persist();
+    return rec;
+  }
+
+  // form: the parameters Twilio posts to a statusCallback
+  function applyStatus(form) {
+    if (!form.CallSid || !form.CallStatus) return null;
+    const rec = upsert(form.CallSid);
+    // callbacks can arrive out of order; a final status is never overwritten
+    if (FINAL_STATUSES.has(rec.status) && rec.endedAt) return rec;
+
+    rec.direction = rec.direction || form.Direction || null;
+    rec.from = rec.from || form.From || null;
+    rec.to = rec.to || form.To || null;
+    rec.status = form.CallStatus;
+    if (form.CallStatus === 'in-progress' && !rec.answeredAt) rec.answeredAt = twilioTime(form.Timestamp);
+
+    if (FINAL_STATUSES.has(form.CallStatus)) {
+      rec.endedAt = twilioTime(form.Timestamp);
+      rec.durationSec = Number(form.CallDuration) || 0;
+      if (!rec.answeredAt && rec.durationSec > 0) {
+        rec.answeredAt = new Date(Date.parse(rec.endedAt) - rec.durationSec * 1000).toISOString();
+      }
+      if (form.AnsweredBy) rec.answeredBy = form.AnsweredBy;
+      if (form.SipResponseCode) rec.sipResponseCode = Number(form.SipResponseCode);
+      // busy / no-answer / failed / canceled are their own reason
+      rec.endReason = form.CallStatus !== 'completed'
+        ? form.CallStatus
+        : rec.serverHangupReason ? 'server_hangup' : 'remote_hangup';
+    }
+    persist();
+    return rec;
+  }
+
+  // newest first, archived calls included; number matches either side of the call
+  function list({ direction, status, endReason, number, since, until, limit = 100 } = {}) {
+    const sinceMs = since ? Date.parse(since) : NaN;
+    const untilMs = until ? Date.parse(until) : NaN;
+    const all = new Map(readArchive().map((c) => [c.callSid, c]));
+    for (const [sid, c] of calls) all.set(sid, c);
+    return [...all.values()]
+      .filter((c) =>
+        (!direction || String(c.direction || '').startsWith(direction)) &&
+        (!status || c.status === status) &&
+        (!endReason || c.endReason === endReason) &&
+        (!number || c.from === number || c.to === number) &&
+        (Number.isNaN(sinceMs) || Date.parse(c.createdAt) >= sinceMs) &&
+        (Number.isNaN(untilMs) || Date.parse(c.createdAt) < untilMs))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  function get(callSid) {
+    return calls.get(callSid) || readArchive().find((c) => c.callSid === callSid) || null;
+  }
+
+  return { start, serverHangup, setAnsweredBy, applyStatus, list, get };
+}
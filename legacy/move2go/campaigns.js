@@ -0,0 +1,381 @@
+// campaigns.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { log } from './logger.js';
+
+/* =======================
+   CAMPAIGN DIALER
+   A campaign is a CSV of contacts, validated and deduped with normalizePhone, then
+   dialed one queue for all campaigns: at most CAMPAIGN_MAX_CONCURRENT calls at once,
+   only inside the calling hours, busy / no-answer retried with exponential backoff.
+   The outcome of a call arrives on the Twilio status callback (onCallStatus).
+   Everything lives in DATA_DIR/campaigns.json and survives restarts.
+
+   contact.status: queued -> dialing -> completed | failed (or back to queued for a retry)
+   campaign.status: running | paused | done
+======================= */
+const RETRY_RESULTS = new Set(['busy', 'no-answer', 'dial_error']);
+const FINAL_STATUSES = new Set(['completed', 'busy', 'no-answer', 'failed', 'canceled']);
+const TICK_MS = 5000;
+const MAX_CONTACTS = 10000;
+
+/* ---------- CSV ---------- */
+function splitCsvLine(line, delimiter) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) { out.push(cur.trim()); cur = ''; }
+    else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+const PHONE_HEADER = /^(phone|telefoon|telefoonnummer|tel|nummer|number|mobiel|mobile)$/i;
+const NAME_HEADER = /^(name|naam)$/i;
+
+// -> [{ row, phoneRaw, name, fields }]; a header row is optional (first column = phone, second = name)
+export function parseContactsCsv(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return [];
+  // Dutch Excel exports use ';'
+  const delimiter = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ';' : ',';
+
+  let header = splitCsvLine(lines[0], delimiter);
+  let phoneCol = header.findIndex((h) => PHONE_HEADER.test(h));
+  let nameCol = header.findIndex((h) => NAME_HEADER.test(h));
+  let start = 1;
+  if (phoneCol === -1) {
+    header = null;
+    phoneCol = 0;
+    nameCol = 1;
+    start = 0;
+  }
+
+  const rows = [];
+  for (let i = start; i < lines.length; i++) {
+    const cols = splitCsvLine(lines[i], delimiter);
+    const fields = header ? Object.fromEntries(header.map((h, j) => [h, cols[j] ?? ''])) : {};
+    rows.push({ row: i + 1, phoneRaw: cols[phoneCol] || '', name: (nameCol >= 0 && cols[nameCol]) || '', fields });
+  }
+  return rows;
+}
+
+/* ---------- calling hours ---------- */
+function parseHours(s) {
+  const m = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(String(s || '').trim());
+  if (!m) return null;
+  const start = Number(m[1]) * 60 + Number(m[2]);
+  const end = Number(m[3]) * 60 + Number(m[4]);
+  return start < end && end <= 24 * 60 ? { start, end } : null;
+}
+
+// '1-5' or '1,2,3,6' (ISO weekdays, 1 = Monday)
+function parseDays(s) {
+  const days = new Set();
+  for (const part of String(s || '').split(',')) {
+    const m = /^\s*([1-7])(?:\s*-\s*([1-7]))?\s*$/.exec(part);
+    if (!m) return null;
+    for (let d = Number(m[1]); d <= Number(m[2] || m[1]); d++) days.add(d);
+  }
+  return days.size ? [...days].sort() : null;
+}
+
+function localClock(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  const day = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].indexOf(parts.weekday) + 1;
+  return { day, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+export function withinCallingHours(settings, date = new Date()) {
+  const { day, minutes } = localClock(date, settings.timezone);
+  const hours = parseHours(settings.hours);
+  return settings.days.includes(day) && minutes >= hours.start && minutes < hours.end;
+}
+
+/* ---------- dialer ---------- */
+// dial(phoneE164) -> Promise<{ sid }>; normalizePhone(raw) -> E.164 | null; isBlocked(phone) -> do-not-call
+export function createCampaignDialer({ dial, normalizePhone, isBlocked = () => false, dataDir }) {
+  const file = path.join(dataDir, 'campaigns.json');
+  const maxConcurrent = Math.max(1, parseInt(process.env.CAMPAIGN_MAX_CONCURRENT || '2', 10));
+  const dialTimeoutMs = parseInt(process.env.CAMPAIGN_DIAL_TIMEOUT_MS || String(30 * 60 * 1000), 10);
+  const defaults = {
+    hours: process.env.CAMPAIGN_CALLING_HOURS || '09:00-20:00',
+    days: parseDays(process.env.CAMPAIGN_CALLING_DAYS || '1-5') || [1, 2, 3, 4, 5],
+    timezone: process.env.CAMPAIGN_TIMEZONE || 'Europe/Amsterdam',
+    maxAttempts: parseInt(process.env.CAMPAIGN_MAX_ATTEMPTS || '3', 10),
+    retryBaseMs: parseInt(process.env.CAMPAIGN_RETRY_BASE_MS || String(10 * 60 * 1000), 10),
+    retryMaxMs: parseInt(process.env.CAMPAIGN_RETRY_MAX_MS || String(4 * 60 * 60 * 1000), 10)
+  };
+
+  let state = { campaigns: [] };
+  try { state = JSON.parse(fs.readFileSync(file, 'utf8')); } catch {}
+  const byCallSid = new Map(); // callSid -> { campaign, contact }
+  for (const c of state.campaigns) {
+    for (const k of c.contacts) {
+      if (k.status !== 'dialing') continue;
+      // stopped between "dialing" and Twilio's answer: the call may not exist, dial again
+      if (k.callSid) byCallSid.set(k.callSid, { campaign: c, contact: k });
+      else k.status = 'queued';
+    }
+  }
+
+  let timer = null;
+  let ticking = false;
+
+  function kick() {
+    setImmediate(() => tick().catch((e) => log.error('CAMPAIGN_TICK_FAILED', { error: e })));
+  }
+
+  function persist() {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function counts(campaign) {
+    const out = { total: campaign.contacts.length, queued: 0, dialing: 0, completed: 0, failed: 0 };
+    for (const k of campaign.contacts) out[k.status]++;
+    return out;
+  }
+
+  function summary(campaign) {
+    const { contacts, ...rest } = campaign;
+    return { ...rest, counts: counts(campaign) };
+  }
+
+  function settingsFrom(opts) {
+    const s = { ...defaults };
+    if (opts.hours !== undefined) {
+      if (!parseHours(opts.hours)) throw new Error(`invalid hours: ${opts.hours} (expected HH:MM-HH:MM)`);
+      s.hours = opts.hours;
+    }
+    if (opts.days !== undefined) {
+      s.days = parseDays(opts.days);
+      if (!s.days) throw new Error(`invalid days: ${opts.days} (expected e.g. 1-5)`);
+    }
+    if (opts.maxAttempts !== undefined) {
+      s.maxAttempts = parseInt(opts.maxAttempts, 10);
+      if (!(s.maxAttempts >= 1 && s.maxAttempts <= 10)) throw new Error('maxAttempts must be 1-10');
+    }
+    if (!parseHours(s.hours)) throw new Error(`invalid CAMPAIGN_CALLING_HOURS: ${s.hours}`);
+    return s;
+  }
+
+  // -> campaign summary, incl. duplicates and rejected rows [{ row, phone, reason }]
+  function createCampaign(csvText, opts = {}) {
+    const settings = settingsFrom(opts);
+    const rows = parseContactsCsv(csvText);
+    const seen = new Set();
+    const contacts = [];
+    const rejected = [];
+    let duplicates = 0;
+
+    for (const r of rows) {
+      const phone = normalizePhone(r.phoneRaw);
+      if (!phone) {
+        rejected.push({ row: r.row, phone: r.phoneRaw, reason: 'invalid_phone' });
+        continue;
+      }
+      if (seen.has(phone)) {
+        duplicates++;
+        continue;
+      }
+      if (isBlocked(phone)) {
+        rejected.push({ row: r.row, phone: r.phoneRaw, reason: 'do_not_call' });
+        continue;
+      }
+      seen.add(phone);
+      contacts.push({
+        id: contacts.length + 1,
+        phone,
+        name: r.name,
+        fields: r.fields,
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: 0,
+        callSid: null,
+        lastResult: null,
+        history: []
+      });
+    }
+    if (!contacts.length) throw new Error('no valid contacts in CSV');
+    if (contacts.length > MAX_CONTACTS) throw new Error(`too many contacts (max ${MAX_CONTACTS})`);
+
+    const campaign = {
+      id: `cmp_${crypto.randomBytes(6).toString('hex')}`,
+      name: String(opts.name || '').slice(0, 100) || `campaign ${new Date().toISOString().slice(0, 10)}`,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      settings,
+      rejected,
+      duplicates,
+      contacts
+    };
+    state.campaigns.push(campaign);
+    persist();
+    log.info('CAMPAIGN_CREATED', { campaign: campaign.id, contacts: contacts.length, duplicates, rejected: rejected.length });
+    kick();
+    return summary(campaign);
+  }
+
+  function find(id) {
+    return state.campaigns.find((c) => c.id === id) || null;
+  }
+
+  function setStatus(id, status) {
+    const c = find(id);
+    if (!c) return null;
+    if (c.status !== 'done') {
+      c.status = status;
+      persist();
+      log.info(status === 'paused' ? 'CAMPAIGN_PAUSED' : 'CAMPAIGN_RESUMED', { campaign: id });
+      if (status === 'running') kick();
+    }
+    return summary(c);
+  }
+
+  function finishAttempt(campaign, contact, result) {
+    byCallSid.delete(contact.callSid);
+    contact.lastResult = result;
+    contact.history.push({
+      at: new Date().toISOString(),
+      callSid: contact.callSid,
+      result,
+      ...(contact.answeredBy ? { answeredBy: contact.answeredBy } : {})
+    });
+    contact.callSid = null;
+
+    if (result === 'completed') {
+      contact.status = 'completed';
+    } else if (RETRY_RESULTS.has(result) && contact.attempts < campaign.settings.maxAttempts) {
+      const s = campaign.settings;
+      const backoff = Math.min(s.retryMaxMs, s.retryBaseMs * 2 ** (contact.attempts - 1));
+      contact.status = 'queued';
+      contact.nextAttemptAt = Date.now() + backoff;
+    } else {
+      contact.status = 'failed';
+    }
+    if (campaign.contacts.every((k) => k.status === 'completed' || k.status === 'failed')) {
+      campaign.status = 'done';
+      campaign.finishedAt = new Date().toISOString();
+      log.info('CAMPAIGN_DONE', { campaign: campaign.id, ...counts(campaign) });
+    }
+  }
+
+  // Twilio status callback; returns false for calls that are not part of a campaign
+  function onCallStatus(callSid, callStatus) {
+    const entry = byCallSid.get(callSid);
+    if (!entry) return false;
+    if (!FINAL_STATUSES.has(callStatus)) return true;
+    const { campaign, contact } = entry;
+    finishAttempt(campaign, contact, callStatus);
+    persist();
+    log.info('CAMPAIGN_CALL_RESULT', {
+      campaign: campaign.id,
+      callSid,
+      contact: contact.id,
+      result: callStatus,
+      attempt: contact.attempts,
+      next: contact.status
+    });
+    kick();
+    return true;
+  }
+
+  // answering-machine detection result for a call still in progress
+  function onAnsweredBy(callSid, answeredBy) {
+    const entry = byCallSid.get(callSid);
+    if (!entry) return false;
+    entry.contact.answeredBy = answeredBy;
+    persist();
+    return true;
+  }
+
+  async function placeCall(campaign, contact) {
+    contact.status = 'dialing';
+    contact.attempts++;
+    contact.answeredBy = null;
+    contact.lastAttemptAt = new Date().toISOString();
+    try {
+      const call = await dial(contact.phone);
+      contact.callSid = call.sid;
+      byCallSid.set(call.sid, { campaign, contact });
+      log.info('CAMPAIGN_DIAL', { campaign: campaign.id, callSid: call.sid, contact: contact.id, attempt: contact.attempts });
+    } catch (e) {
+      log.error('CAMPAIGN_DIAL_FAILED', { campaign: campaign.id, contact: contact.id, attempt: contact.attempts, error: e });
+      finishAttempt(campaign, contact, 'dial_error');
+    }
+    persist();
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = Date.now();
+      // a status callback that never came (server down at the time): give the slot back
+      for (const [callSid, { campaign, contact }] of byCallSid) {
+        if (now - Date.parse(contact.lastAttemptAt) > dialTimeoutMs) {
+          log.warn('CAMPAIGN_CALL_STATUS_TIMEOUT', { campaign: campaign.id, callSid, contact: contact.id });
+          finishAttempt(campaign, contact, 'no_status');
+          persist();
+        }
+      }
+
+      let active = byCallSid.size;
+      for (const campaign of state.campaigns) {
+        if (campaign.status !== 'running') continue;
+        if (!withinCallingHours(campaign.settings)) continue;
+        for (const contact of campaign.contacts) {
+          if (active >= maxConcurrent) return;
+          if (contact.status !== 'queued' || contact.nextAttemptAt > now) continue;
+          // opted out after the upload
+          if (isBlocked(contact.phone)) {
+            finishAttempt(campaign, contact, 'do_not_call');
+            persist();
+            continue;
+          }
+          active++;
+          await placeCall(campaign, contact);
+          // dial errors free the slot right away
+          if (contact.status !== 'dialing') active--;
+        }
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    createCampaign,
+    onCallStatus,
+    onAnsweredBy,
+    list: () => state.campaigns.map(summary),
+    get(id) {
+      const c = find(id);
+      return c ? { ...summary(c), contacts: c.contacts } : null;
+    },
+    pause: (id) => setStatus(id, 'paused'),
+    resume: (id) => setStatus(id, 'running'),
+    start() {
+      if (timer) return;
+      timer = setInterval(kick, TICK_MS);
+      timer.unref();
+      kick();
+    }
+  };
+}
@@ -0,0 +1,77 @@
+// dnc.js
+import fs from 'fs';
+import path from 'path';
+import { parseContactsCsv } from './campaigns.js';
+import { log } from './logger.js';
+
+/* =======================
+   DO-NOT-CALL REGISTRY
+   E.164 numbers that must never be dialed, in DATA_DIR/dnc.json.
+   makeOutboundCall refuses them; campaigns skip them at upload and again right before dialing.
+   entry: { phone, addedAt, source: 'import' | 'opt_out' | 'api', reason?, callSid? }
+======================= */
+export function createDncRegistry({ dataDir, normalizePhone }) {
+  const file = path.join(dataDir, 'dnc.json');
+  const entries = new Map(); // phone -> entry
+  try {
+    for (const e of JSON.parse(fs.readFileSync(file, 'utf8')).entries || []) entries.set(e.phone, e);
+  } catch {}
+
+  function persist() {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ entries: [...entries.values()] }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function has(phone) {
+    const p = normalizePhone(phone);
+    return !!p && entries.has(p);
+  }
+
+  // -> 'added' | 'exists' | 'invalid'
+  function add(raw, { source = 'api', reason, callSid } = {}, { save = true } = {}) {
+    const phone = normalizePhone(raw);
+    if (!phone) return 'invalid';
+    if (entries.has(phone)) return 'exists';
+    entries.set(phone, {
+      phone,
+      addedAt: new Date().toISOString(),
+      source,
+      ...(reason ? { reason: String(reason).slice(0, 200) } : {}),
+      ...(callSid ? { callSid } : {})
+    });
+    if (save) persist();
+    log.info('DNC_ADDED', { phone, source, callSid });
+    return 'added';
+  }
+
+  function remove(raw) {
+    const phone = normalizePhone(raw);
+    if (!phone || !entries.delete(phone)) return false;
+    persist();
+    log.info('DNC_REMOVED', { phone });
+    return true;
+  }
+
+  // one number per line or a CSV with a phone/telefoon column (same rules as campaign uploads)
+  function importCsv(text) {
+    const out = { added: 0, existing: 0, rejected: [] };
+    for (const r of parseContactsCsv(text)) {
+      const result = add(r.phoneRaw, { source: 'import' }, { save: false });
+      if (result === 'added') out.added++;
+      else if (result === 'exists') out.existing++;
+      else out.rejected.push({ row: r.row, phone: r.phoneRaw, reason: 'invalid_phone' });
+    }
+    if (out.added) persist();
+    return { ...out, total: entries.size };
+  }
+
+  function exportCsv() {
+    const q = (v) => (/[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+    const rows = [...entries.values()].map((e) => [e.phone, e.addedAt, e.source, e.reason || '', e.callSid || ''].map(q).join(','));
+    return ['phone,addedAt,source,reason,callSid', ...rows].join('\n') + '\n';
+  }
+
+  return { has, add, remove, importCsv, exportCsv, list: () => [...entries.values()] };
+}
@@ -0,0 +1,43 @@
+// logger.js
+
+/* =======================
+   STRUCTURED LOGGING
+   One JSON line per event: { ts, level, event, callSid, streamSid, ...fields }.
+   LOG_LEVEL = debug | info | warn | error (default info); warn/error go to stderr.
+======================= */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// resolved on first use, after server.js has run dotenv.config()
+let minLevel = null;
+function threshold() {
+  if (minLevel === null) minLevel = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+  return minLevel;
+}
+
+function clean(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields || {})) {
+    if (v === undefined || v === null || v === '') continue;
+    out[k] = v instanceof Error ? v.message : v;
+  }
+  return out;
+}
+
+function write(level, context, event, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const ctx = typeof context === 'function' ? context() : context;
+  const line = JSON.stringify({ ts: new Date().toISOString(), level, event, ...clean(ctx), ...clean(fields) });
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// context: fixed fields, or a function so a call's lines pick up its streamSid once known
+export function createLogger(context = {}) {
+  return {
+    debug: (event, fields) => write('debug', context, event, fields),
+    info: (event, fields) => write('info', context, event, fields),
+    warn: (event, fields) => write('warn', context, event, fields),
+    error: (event, fields) => write('error', context, event, fields)
+  };
+}
+
+export const log = createLogger();
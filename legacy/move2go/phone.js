@@ -0,0 +1,155 @@
+// phone.js
+
+/* =======================
+   PHONE NUMBERS
+   Parses what callers say or type ('06-12345678', '+32 470 12 34 56',
+   '0049 (0)30 1234567') into E.164 and tells mobile, landline, toll-free,
+   shared-cost and premium-rate numbers apart for NL, BE, DE, FR and the UK.
+   Premium-rate and emergency numbers are blocked: they parse, but
+   normalizePhone() refuses them. Other countries are not supported.
+
+   FORK: a copy of companies/des/phone.js. move2go is deployed on its own and
+   does not import across packages, so a change to the number rules goes into
+   both files; test/phone.test.js pins this copy's behaviour and fails when it
+   no longer matches the original.
+======================= */
+
+// per country: national significant number (no trunk 0) -> type, first match wins
+const COUNTRIES = {
+  NL: {
+    code: '31',
+    emergency: ['112', '911'],
+    types: [
+      ['premium', /^90[069]\d{4}(?:\d{3})?$/],
+      ['tollfree', /^800\d{4}(?:\d{3})?$/],
+      ['mobile', /^6[1-58]\d{7}$/],
+      // geographic area codes, plus 085/088 (VoIP and company numbers)
+      ['landline', /^(?:[1-57]\d|8[58])\d{7}$/]
+    ]
+  },
+  BE: {
+    code: '32',
+    emergency: ['112', '100', '101'],
+    types: [
+      ['premium', /^90\d{6}$/],
+      ['tollfree', /^800\d{5}$/],
+      ['shared', /^7[08]\d{6}$/],
+      ['mobile', /^4[5-9]\d{7}$/],
+      ['landline', /^[1-9]\d{7}$/]
+    ]
+  },
+  DE: {
+    code: '49',
+    emergency: ['112', '110'],
+    types: [
+      // 0900 premium, 0137 televoting, 118xx directory enquiries
+      ['premium', /^(?:900[1359]\d{6}|137\d{7}|118\d{2,3})$/],
+      ['tollfree', /^800\d{7}$/],
+      ['shared', /^180\d{7,8}$/],
+      ['mobile', /^1(?:5\d|6[02-9]|7\d)\d{7,8}$/],
+      // area codes are 2-5 digits, subscriber numbers vary: 6-11 digits in total
+      ['landline', /^[2-9]\d{5,10}$/]
+    ]
+  },
+  FR: {
+    code: '33',
+    emergency: ['112', '15', '17', '18', '114', '115', '119', '191', '196', '197'],
+    types: [
+      ['premium', /^89\d{7}$/],
+      ['tollfree', /^80[0-5]\d{6}$/],
+      ['shared', /^8[1-4]\d{7}$/],
+      ['mobile', /^[67]\d{8}$/],
+      ['landline', /^[1-59]\d{8}$/]
+    ]
+  },
+  GB: {
+    code: '44',
+    emergency: ['999', '112'],
+    types: [
+      // 09 premium rate, 0871-0873 service-charge numbers
+      ['premium', /^(?:9[018]\d{8}|87[123]\d{7})$/],
+      ['tollfree', /^80[08]\d{6,7}$/],
+      ['shared', /^84[2-5]\d{7}$/],
+      // 070 personal numbers and 076 pagers are not mobiles
+      ['mobile', /^7[1-57-9]\d{8}$/],
+      // geographic 01/02, plus 03 (charged as geographic)
+      ['landline', /^(?:[12]\d{8,9}|3[0347]\d{8})$/]
+    ]
+  }
+};
+
+const BLOCKED_TYPES = new Set(['premium', 'emergency']);
+
+const BY_CODE = new Map(Object.entries(COUNTRIES).map(([country, meta]) => [meta.code, country]));
+
+function classify(country, nsn) {
+  const meta = COUNTRIES[country];
+  if (meta.emergency.includes(nsn)) return 'emergency';
+  return meta.types.find(([, re]) => re.test(nsn))?.[0] || null;
+}
+
+function result(country, nsn, type) {
+  return {
+    ok: true,
+    e164: `+${COUNTRIES[country].code}${nsn}`,
+    country,
+    type,
+    blocked: BLOCKED_TYPES.has(type)
+  };
+}
+
+// '+31 (0)6 …': the trunk 0 some people write after the country code
+function withoutTrunk(nsn) {
+  return nsn.startsWith('0') ? nsn.slice(1) : nsn;
+}
+
+// -> { ok: true, e164, country, type: mobile|landline|tollfree|shared|premium|emergency, blocked }
+//  | { ok: false, reason: empty|invalid|unsupported_country }
+export function parsePhone(raw, { defaultCountry = 'NL' } = {}) {
+  const cleaned = String(raw || '').trim();
+  if (!cleaned) return { ok: false, reason: 'empty' };
+  if (/[^\d\s+()./-]/.test(cleaned)) return { ok: false, reason: 'invalid' };
+
+  let digits = cleaned.replace(/\D/g, '');
+  if (!digits) return { ok: false, reason: 'invalid' };
+
+  let international = cleaned.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    international = true;
+    digits = digits.slice(2);
+  }
+
+  if (international) {
+    const code = [1, 2, 3].map((n) => digits.slice(0, n)).find((c) => BY_CODE.has(c));
+    if (!code) return { ok: false, reason: 'unsupported_country' };
+    const country = BY_CODE.get(code);
+    const nsn = withoutTrunk(digits.slice(code.length));
+    const type = classify(country, nsn);
+    return type ? result(country, nsn, type) : { ok: false, reason: 'invalid' };
+  }
+
+  const country = COUNTRIES[defaultCountry] ? defaultCountry : 'NL';
+  // dialled nationally: 0612345678, or a short code such as 112
+  if (COUNTRIES[country].emergency.includes(digits)) return result(country, digits, 'emergency');
+  if (digits.startsWith('0')) {
+    const nsn = digits.slice(1);
+    const type = classify(country, nsn);
+    return type ? result(country, nsn, type) : { ok: false, reason: 'invalid' };
+  }
+
+  // the country code without '+' (31612345678), or the number without its trunk 0 (612345678)
+  const code = COUNTRIES[country].code;
+  if (digits.startsWith(code)) {
+    const nsn = withoutTrunk(digits.slice(code.length));
+    const type = classify(country, nsn);
+    if (type) return result(country, nsn, type);
+  }
+  const type = classify(country, digits);
+  return type ? result(country, digits, type) : { ok: false, reason: 'invalid' };
+}
+
+// E.164 for a number we may dial (or keep on a list); null when invalid or blocked
+export function normalizePhone(raw, opts) {
+  const p = parsePhone(raw, opts);
+  return p.ok && !p.blocked ? p.e164 : null;
+}
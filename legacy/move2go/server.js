@@ -3,7 +3,14 @@ import WebSocket, { WebSocketServer } from 'ws';
 import dotenv from 'dotenv';
 import http from 'http';
 import twilio from 'twilio';
-import { spawn } from 'child_process';
+import crypto from 'crypto';
+import { createTts } from './tts.js';
+import { checkTwilioSignature, issueStreamToken, verifyStreamToken, signatureValidationEnabled } from './twilio-auth.js';
+import { log, createLogger } from './logger.js';
+import { createCampaignDialer } from './campaigns.js';
+import { createDncRegistry } from './dnc.js';
+import { createCallHistory } from './calls.js';
+import { parsePhone, normalizePhone } from './phone.js';
 
 dotenv.config();
 
@@ -12,12 +19,18 @@ dotenv.config();
 ======================= */
 const PORT = process.env.PORT || 8080;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_REALTIME_URL = process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview';
 const SPEED = parseFloat(process.env.SPEED || '1.0');
 
 const INSTRUCTIONS_OUTBOUND = process.env.INSTRUCTIONS_OUTBOUND || process.env.INSTRUCTIONS || '';
 const OUTBOUND_OPENING = process.env.OUTBOUND_OPENING || 'Hoi, met Tessa van Move2Go Solutions.';
 const OUTBOUND_OPENING_DELAY_MS = parseInt(process.env.OUTBOUND_OPENING_DELAY_MS || '700', 10);
 
+// written by the model at the end of its goodbye; never spoken, ends the call once played
+const HANGUP_TOKEN = process.env.HANGUP_TOKEN || 'AFRONDEN_OK';
+// callee speech this soon after Tessa starts talking is echo/noise, not a barge-in
+const BARGE_IN_IGNORE_MS = parseInt(process.env.BARGE_IN_IGNORE_MS || '600', 10);
+
 const OUTBOUND_GUARD = `
 BELANGRIJK (OUTBOUND):
 - Dit is OUTBOUND: jij belt de klant. Zeg NOOIT "leuk dat u belt".
@@ -25,14 +38,29 @@ BELANGRIJK (OUTBOUND):
 - Herhaal NIET je naam, bedrijf, begroeting ("hoi", "goedemiddag") of openingszin.
 - Begin direct met de inhoudelijke eerste vraag, zonder extra introductie.
 - Zeg geen "met Tessa" / "ik bel namens" / "goedemiddag" / "hoe kan ik helpen" als opening.
+- Wil de klant niet meer gebeld worden of van de bellijst af? Roep dan meteen opt_out aan.
+- Is het gesprek afgerond en heb je afscheid genomen? Zet dan ${HANGUP_TOKEN} aan het einde van je laatste zin.
 `;
 
-const ELEVEN_API_KEY = process.env.ELEVENLABS_API_KEY;
-const ELEVEN_VOICE_ID = process.env.ELEVENLABS_VOICE_ID;
-const ELEVEN_MODEL = process.env.ELEVENLABS_MODEL || 'eleven_multilingual_v2';
+// the callee asks not to be called again: registry + a polite goodbye, then the call ends
+const OPT_OUT_TOOL = {
+  type: 'function',
+  name: 'opt_out',
+  description: 'Zet de gebelde persoon op de niet-bellen-lijst. Gebruik dit zodra iemand vraagt om niet meer gebeld te worden of van de lijst af wil.',
+  parameters: {
+    type: 'object',
+    properties: { reason: { type: 'string', description: 'Wat de persoon zei, kort samengevat' } }
+  }
+};
+const OPT_OUT_GOODBYE =
+  'Het nummer staat op de niet-bellen-lijst. Zeg in een of twee zinnen dat we niet meer zullen bellen, ' +
+  'excuseer je voor het storen en neem beleefd afscheid. Stel geen vragen meer.';
+// last words played (mark ack) or not, the call ends after this long
+const END_MARK_TIMEOUT_MS = parseInt(process.env.HANGUP_MARK_TIMEOUT_MS || '8000', 10);
+const OPT_OUT_END_TIMEOUT_MS = 20000; // no goodbye from the model at all
 
 if (!OPENAI_API_KEY) {
-  console.error('OPENAI_API_KEY missing');
+  log.error('CONFIG_INVALID', { error: 'OPENAI_API_KEY missing' });
   process.exit(1);
 }
 
@@ -42,106 +70,185 @@ if (!OPENAI_API_KEY) {
 const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
 const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
 const TWILIO_FROM = process.env.TWILIO_FROM;
+// Twilio's REST API (tests point this at a local fake)
+const TWILIO_API_BASE_URL = (process.env.TWILIO_API_BASE_URL || 'https://api.twilio.com').replace(/\/$/, '');
 const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+// answering-machine detection on outbound calls: 'DetectMessageEnd' (drop after the beep), 'Enable' or 'off'
+const AMD_MODE = process.env.AMD_MODE || 'DetectMessageEnd';
+const VOICEMAIL_MESSAGE =
+  process.env.VOICEMAIL_MESSAGE ||
+  'Hoi, met Tessa van Move2Go Solutions. We proberen u later nog een keer te bereiken. Fijne dag!';
+
+class RebasedRequestClient extends twilio.RequestClient {
+  request(opts) {
+    return super.request({ ...opts, uri: opts.uri.replace(/^https:\/\/api\.twilio\.com/, TWILIO_API_BASE_URL) });
+  }
+}
 
 const twilioClient =
-  TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN) : null;
+  TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN
+    ? twilio(
+      TWILIO_ACCOUNT_SID,
+      TWILIO_AUTH_TOKEN,
+      TWILIO_API_BASE_URL === 'https://api.twilio.com' ? {} : { httpClient: new RebasedRequestClient() }
+    )
+    : null;
+
+// bearer token for /call-test (it places real calls); unset = /call-test is closed
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
 
 /* =======================
-   PHONE NORMALIZATION (NL)
+   REQUEST AUTH
 ======================= */
-function normalizePhone(raw) {
-  if (!raw) return null;
+function clientIp(req) {
+  return String(req.headers['x-forwarded-for'] || req.socket.remoteAddress || '-').split(',')[0].trim();
+}
 
-  const cleaned = raw.toString().trim();
+function isAdmin(req) {
+  if (!ADMIN_API_TOKEN) return false;
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!m) return false;
+  const a = Buffer.from(m[1].trim());
+  const b = Buffer.from(ADMIN_API_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
 
-  if (cleaned.startsWith('+')) {
-    const digits = cleaned.slice(1).replace(/\D/g, '');
-    if (!digits) return null;
-    return `+${digits}`;
+function readBody(req, limit = 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > limit) {
+        reject(new Error('BODY_TOO_LARGE'));
+        // discard the rest until the 413 is out; sendRequestError then closes the connection
+        req.removeAllListeners('data');
+        req.resume();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// a route handler threw: 413 for an oversized body, else 500 (unless the response already started)
+function sendRequestError(req, res, e) {
+  if (res.headersSent) return;
+  if (e?.message === 'BODY_TOO_LARGE') {
+    res.writeHead(413, { 'Content-Type': 'application/json', Connection: 'close' });
+    res.end(JSON.stringify({ error: 'Payload Too Large' }));
+    res.on('finish', () => req.destroy());
+    return;
   }
+  sendJson(res, 500, { error: 'Internal Server Error' });
+}
+
+async function readForm(req) {
+  return Object.fromEntries(new URLSearchParams(await readBody(req)));
+}
+
+function sendJson(res, code, obj) {
+  res.writeHead(code, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(obj));
+}
 
-  const s = cleaned.replace(/\D/g, '');
-  if (!s) return null;
+function escapeXml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
 
-  if (s.startsWith('31') && s.length === 11) return `+${s}`;
-  if (s.startsWith('06') && s.length === 10) return `+31${s.slice(1)}`;
-  if (s.startsWith('6') && s.length === 9) return `+316${s.slice(1)}`;
+// webhooks are signed over the public URL Twilio called
+function twilioCheck(req, params) {
+  return checkTwilioSignature(req, `${PUBLIC_BASE_URL || `https://${req.headers.host}`}${req.url}`, params);
+}
 
-  return null;
+function refuse(req, res, code, what, reason) {
+  log.warn('REQUEST_REJECTED', { what, path: req.url.split('?')[0], reason, ip: clientIp(req) });
+  res.writeHead(code, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: code === 401 ? 'Unauthorized' : 'Forbidden' }));
 }
 
 /* =======================
-   ELEVENLABS → μLAW (stream)
+   TTS → μLAW (stream)
 ======================= */
-async function elevenSpeakAbortable(text, onUlaw, signal) {
-  if (!ELEVEN_API_KEY || !ELEVEN_VOICE_ID) throw new Error('ELEVEN_NOT_CONFIGURED');
-  if (signal?.aborted) throw new Error('ABORTED');
-
-  const ff = spawn('ffmpeg', [
-    '-hide_banner',
-    '-loglevel',
-    'error',
-    '-i',
-    'pipe:0',
-    '-ar',
-    '8000',
-    '-ac',
-    '1',
-    '-f',
-    'mulaw',
-    'pipe:1'
-  ]);
-
-  const killAll = () => {
-    try { ff.stdin.end(); } catch {}
-    try { ff.kill('SIGKILL'); } catch {}
-  };
-
-  if (signal) signal.addEventListener('abort', () => killAll(), { once: true });
-  ff.stdout.on('data', onUlaw);
-
-  const url = `https://api.elevenlabs.io/v1/text-to-speech/${ELEVEN_VOICE_ID}/stream?optimize_streaming_latency=4`;
-
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'xi-api-key': ELEVEN_API_KEY,
-      'Content-Type': 'application/json',
-      Accept: 'audio/mpeg'
-    },
-    body: JSON.stringify({ model_id: ELEVEN_MODEL, text }),
-    signal
-  });
+const tts = createTts(process.env.TTS_PROVIDER || 'elevenlabs', process.env.TTS_FALLBACK || '');
 
-  if (!res.ok) {
-    const err = await res.text().catch(() => '');
-    killAll();
-    throw new Error(`ELEVEN_STREAM_FAILED ${res.status}: ${err}`);
+/* =======================
+   DO-NOT-CALL
+======================= */
+const dnc = createDncRegistry({ dataDir: DATA_DIR, normalizePhone });
+
+// /dnc (admin): list or ?phone= lookup, /dnc/import (CSV body), /dnc/export, DELETE /dnc/:phone
+async function handleDnc(req, res, url) {
+  if (!isAdmin(req)) return refuse(req, res, 401, '/dnc', ADMIN_API_TOKEN ? 'bad_admin_token' : 'admin_token_unset');
+  const p = url.pathname;
+
+  if (p === '/dnc' && req.method === 'GET') {
+    const phone = url.searchParams.get('phone');
+    if (phone) return sendJson(res, 200, { phone: normalizePhone(phone), blocked: dnc.has(phone) });
+    const entries = dnc.list();
+    return sendJson(res, 200, { count: entries.length, entries });
   }
 
-  const { Readable } = await import('stream');
-  const src = Readable.fromWeb(res.body);
+  if (p === '/dnc/import' && req.method === 'POST') {
+    const result = dnc.importCsv(await readBody(req, 5 * 1024 * 1024));
+    log.info('DNC_IMPORTED', { added: result.added, existing: result.existing, rejected: result.rejected.length });
+    return sendJson(res, 200, result);
+  }
 
-  if (signal) {
-    signal.addEventListener(
-      'abort',
-      () => {
-        try { src.destroy(); } catch {}
-        killAll();
-      },
-      { once: true }
-    );
+  if (p === '/dnc/export' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': 'attachment; filename="dnc.csv"' });
+    res.end(dnc.exportCsv());
+    return;
   }
 
-  src.pipe(ff.stdin);
+  const m = /^\/dnc\/([^/]+)$/.exec(p);
+  if (m && req.method === 'DELETE') {
+    if (!dnc.remove(decodeURIComponent(m[1]))) return sendJson(res, 404, { error: 'Not on the list' });
+    return sendJson(res, 200, { ok: true });
+  }
 
-  await new Promise((r) => {
-    ff.on('close', r);
-    ff.on('error', r);
-  });
+  return sendJson(res, 404, { error: 'Not Found' });
+}
 
-  if (signal?.aborted) throw new Error('ABORTED');
+/* =======================
+   CALL HISTORY
+======================= */
+const callHistory = createCallHistory({ dataDir: DATA_DIR });
+
+// Twilio statusCallback of every outbound call (and of the inbound number, when configured)
+function onTwilioStatus(form) {
+  const rec = callHistory.applyStatus(form);
+  log.info('CALL_STATUS', { callSid: form.CallSid, status: form.CallStatus, durationSec: rec?.durationSec, endReason: rec?.endReason });
+  dialer.onCallStatus(form.CallSid, form.CallStatus);
+}
+
+// /calls?direction=&status=&endReason=&number=&since=&until=&limit= and /calls/:callSid (admin)
+function handleCalls(req, res, url) {
+  if (!isAdmin(req)) return refuse(req, res, 401, '/calls', ADMIN_API_TOKEN ? 'bad_admin_token' : 'admin_token_unset');
+  if (req.method !== 'GET') return sendJson(res, 404, { error: 'Not Found' });
+
+  if (url.pathname === '/calls') {
+    const q = (k) => url.searchParams.get(k) || undefined;
+    const calls = callHistory.list({
+      direction: q('direction'),
+      status: q('status'),
+      endReason: q('endReason'),
+      number: q('number') && (normalizePhone(q('number')) || q('number')),
+      since: q('since'),
+      until: q('until'),
+      limit: Math.min(Number(q('limit')) || 100, 1000)
+    });
+    return sendJson(res, 200, { count: calls.length, calls });
+  }
+
+  const m = /^\/calls\/([\w-]+)$/.exec(url.pathname);
+  const call = m && callHistory.get(m[1]);
+  if (!call) return sendJson(res, 404, { error: 'No such call' });
+  return sendJson(res, 200, call);
 }
 
 /* =======================
@@ -151,17 +258,128 @@ async function makeOutboundCall(phoneE164) {
   if (!twilioClient) throw new Error('TWILIO_NOT_CONFIGURED');
   if (!TWILIO_FROM) throw new Error('TWILIO_FROM_MISSING');
   if (!PUBLIC_BASE_URL) throw new Error('PUBLIC_BASE_URL_MISSING');
+  const parsed = parsePhone(phoneE164);
+  if (!parsed.ok || parsed.blocked) throw new Error(`PHONE_NOT_DIALABLE ${parsed.type || parsed.reason}`);
+  if (dnc.has(phoneE164)) throw new Error('DO_NOT_CALL');
 
   const call = await twilioClient.calls.create({
     to: phoneE164,
     from: TWILIO_FROM,
-    url: `${PUBLIC_BASE_URL}/twiml`
+    url: `${PUBLIC_BASE_URL}/twiml`,
+    statusCallback: `${PUBLIC_BASE_URL}/twilio/status`,
+    statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+    statusCallbackMethod: 'POST',
+    // async: Tessa starts right away, /twilio/amd swaps in the voicemail drop if a machine answered
+    ...(AMD_MODE !== 'off'
+      ? {
+        machineDetection: AMD_MODE,
+        asyncAmd: 'true',
+        asyncAmdStatusCallback: `${PUBLIC_BASE_URL}/twilio/amd`,
+        asyncAmdStatusCallbackMethod: 'POST'
+      }
+      : {})
   });
 
-  console.log(`[${new Date().toISOString()}] Outbound call created CallSid=${call.sid} to=${phoneE164}`);
+  log.info('OUTBOUND_CALL_CREATED', { callSid: call.sid, to: phoneE164 });
+  callHistory.start({ callSid: call.sid, direction: 'outbound-api', from: TWILIO_FROM, to: phoneE164, status: 'queued' });
   return call;
 }
 
+/* =======================
+   VOICEMAIL DROP (AMD)
+======================= */
+let voicemailMp3 = null; // rendered once with the call TTS, served to Twilio's <Play>
+const voicemailDropped = new Set(); // callSids, so a repeated AMD callback does not redirect twice
+
+async function renderVoicemail() {
+  if (AMD_MODE === 'off' || !VOICEMAIL_MESSAGE) return;
+  try {
+    voicemailMp3 = await tts.synthesizeMp3(VOICEMAIL_MESSAGE);
+    log.info('VOICEMAIL_RENDERED', { bytes: voicemailMp3.length, tts: tts.name });
+  } catch (e) {
+    log.warn('VOICEMAIL_RENDER_FAILED', { error: e, fallback: 'say' });
+  }
+}
+
+function voicemailTwiml() {
+  const message = voicemailMp3
+    ? `<Play>${escapeXml(`${PUBLIC_BASE_URL}/audio/voicemail.mp3`)}</Play>`
+    : `<Say language="nl-NL">${escapeXml(VOICEMAIL_MESSAGE)}</Say>`;
+  return `<Response>${message}<Hangup/></Response>`;
+}
+
+// AnsweredBy: human | machine_start | machine_end_beep | machine_end_silence | machine_end_other | fax | unknown
+async function onAmdResult(callSid, answeredBy, durationMs) {
+  log.info('AMD_RESULT', { callSid, answeredBy, durationMs });
+  dialer.onAnsweredBy(callSid, answeredBy);
+  try {
+    callHistory.setAnsweredBy(callSid, answeredBy);
+  } catch (e) {
+    log.error('CALL_HISTORY_FAILED', { callSid, error: e });
+  }
+
+  const machine = answeredBy === 'fax' || /^machine_/.test(answeredBy || '');
+  if (!machine || !twilioClient || voicemailDropped.has(callSid)) return;
+  voicemailDropped.add(callSid);
+  setTimeout(() => voicemailDropped.delete(callSid), 60 * 60 * 1000).unref();
+
+  // replaces <Connect><Stream>: the media stream (and Tessa) stop here
+  const twiml = answeredBy === 'fax' ? '<Response><Hangup/></Response>' : voicemailTwiml();
+  try {
+    await twilioClient.calls(callSid).update({ twiml });
+    callHistory.serverHangup(callSid, answeredBy === 'fax' ? 'fax' : 'voicemail_drop');
+    log.info(answeredBy === 'fax' ? 'AMD_FAX_HANGUP' : 'VOICEMAIL_DROPPED', { callSid, audio: voicemailMp3 ? 'play' : 'say' });
+  } catch (e) {
+    log.error('VOICEMAIL_DROP_FAILED', { callSid, error: e });
+  }
+}
+
+/* =======================
+   CAMPAIGNS
+======================= */
+const dialer = createCampaignDialer({
+  dial: (phone) => makeOutboundCall(phone),
+  normalizePhone,
+  isBlocked: (phone) => dnc.has(phone),
+  dataDir: DATA_DIR
+});
+
+// /campaigns[/:id[/pause|/resume]] (admin)
+async function handleCampaigns(req, res, url) {
+  const p = url.pathname;
+
+  if (!isAdmin(req)) return refuse(req, res, 401, '/campaigns', ADMIN_API_TOKEN ? 'bad_admin_token' : 'admin_token_unset');
+
+  // body: the CSV; ?name=&hours=09:00-17:00&days=1-5&maxAttempts=3
+  if (p === '/campaigns' && req.method === 'POST') {
+    const csv = await readBody(req, 5 * 1024 * 1024);
+    const q = url.searchParams;
+    const opt = (k) => q.get(k) ?? undefined;
+    try {
+      const created = dialer.createCampaign(csv, {
+        name: opt('name'),
+        hours: opt('hours'),
+        days: opt('days'),
+        maxAttempts: opt('maxAttempts')
+      });
+      return sendJson(res, 201, created);
+    } catch (e) {
+      return sendJson(res, 400, { error: e.message });
+    }
+  }
+
+  if (p === '/campaigns' && req.method === 'GET') return sendJson(res, 200, { campaigns: dialer.list() });
+
+  const m = /^\/campaigns\/([\w-]+)(?:\/(pause|resume))?$/.exec(p);
+  if (m && (m[2] ? req.method === 'POST' : req.method === 'GET')) {
+    const out = m[2] === 'pause' ? dialer.pause(m[1]) : m[2] === 'resume' ? dialer.resume(m[1]) : dialer.get(m[1]);
+    if (!out) return sendJson(res, 404, { error: 'No such campaign' });
+    return sendJson(res, 200, out);
+  }
+
+  return sendJson(res, 404, { error: 'Not Found' });
+}
+
 /* =======================
    HTTP SERVER
 ======================= */
@@ -173,38 +391,132 @@ const httpServer = http.createServer(async (req, res) => {
   }
 
   if (req.url && req.url.startsWith('/twiml') && (req.method === 'POST' || req.method === 'GET')) {
-    console.log(`[${new Date().toISOString()}] TwiML hit method=${req.method} url=${req.url}`);
-    const wsUrl = `wss://${req.headers.host}`;
-    res.writeHead(200, { 'Content-Type': 'text/xml' });
-    res.end(`<?xml version="1.0" encoding="UTF-8"?>
+    try {
+      // GET webhooks are signed over the URL alone; POST over URL + form
+      const params = req.method === 'POST' ? await readForm(req) : {};
+      const check = twilioCheck(req, params);
+      if (!check.ok) return refuse(req, res, 403, 'Twilio webhook', check.reason);
+
+      const query = new URL(req.url, 'http://x').searchParams;
+      const field = (k) => params[k] || query.get(k) || '';
+      const callSid = field('CallSid');
+      // the person Tessa talks to: the callee on outbound calls (opt_out registers this number)
+      const number = field('Direction').startsWith('outbound') ? field('To') : field('From');
+      log.info('TWIML_HIT', { callSid, method: req.method, to: field('To') });
+      // the caller is on the line: a history write that fails must not cost them the call
+      try {
+        callHistory.start({ callSid, direction: field('Direction') || 'inbound', from: field('From'), to: field('To') });
+      } catch (e) {
+        log.error('CALL_HISTORY_FAILED', { callSid, error: e });
+      }
+      const wsUrl = `wss://${req.headers.host}/ws/${issueStreamToken({ callSid, number })}`;
+      res.writeHead(200, { 'Content-Type': 'text/xml' });
+      res.end(`<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <Connect>
     <Stream url="${wsUrl}" />
   </Connect>
 </Response>`);
+    } catch (e) {
+      log.error('TWIML_FAILED', { error: e });
+      sendRequestError(req, res, e);
+    }
+    return;
+  }
+
+  if (req.url === '/twilio/status' && req.method === 'POST') {
+    let form = {};
+    try {
+      form = await readForm(req);
+      const check = twilioCheck(req, form);
+      if (!check.ok) return refuse(req, res, 403, 'Twilio webhook', check.reason);
+      res.writeHead(204);
+      res.end();
+      onTwilioStatus(form);
+    } catch (e) {
+      log.error('CALL_STATUS_FAILED', { callSid: form.CallSid, error: e });
+      sendRequestError(req, res, e);
+    }
+    return;
+  }
+
+  if (req.url && /^\/calls(\/|\?|$)/.test(req.url)) {
+    handleCalls(req, res, new URL(req.url, `http://${req.headers.host}`));
+    return;
+  }
+
+  if (req.url === '/twilio/amd' && req.method === 'POST') {
+    let form = {};
+    try {
+      form = await readForm(req);
+      const check = twilioCheck(req, form);
+      if (!check.ok) return refuse(req, res, 403, 'Twilio webhook', check.reason);
+      res.writeHead(204);
+      res.end();
+      await onAmdResult(form.CallSid, form.AnsweredBy, Number(form.MachineDetectionDuration) || undefined);
+    } catch (e) {
+      log.error('AMD_CALLBACK_FAILED', { callSid: form.CallSid, error: e });
+      sendRequestError(req, res, e);
+    }
+    return;
+  }
+
+  if (req.url && req.url.startsWith('/audio/voicemail.mp3') && req.method === 'GET') {
+    if (!voicemailMp3) return sendJson(res, 404, { error: 'No voicemail audio' });
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': voicemailMp3.length });
+    res.end(voicemailMp3);
+    return;
+  }
+
+  if (req.url && /^\/dnc(\/|\?|$)/.test(req.url)) {
+    try {
+      await handleDnc(req, res, new URL(req.url, `http://${req.headers.host}`));
+    } catch (e) {
+      log.error('DNC_REQUEST_FAILED', { path: req.url.split('?')[0], error: e });
+      sendRequestError(req, res, e);
+    }
+    return;
+  }
+
+  if (req.url && /^\/campaigns(\/|\?|$)/.test(req.url)) {
+    try {
+      await handleCampaigns(req, res, new URL(req.url, `http://${req.headers.host}`));
+    } catch (e) {
+      log.error('CAMPAIGNS_REQUEST_FAILED', { path: req.url.split('?')[0], error: e });
+      sendRequestError(req, res, e);
+    }
     return;
   }
 
   if (req.url && req.url.startsWith('/call-test') && req.method === 'GET') {
+    if (!isAdmin(req)) return refuse(req, res, 401, '/call-test', ADMIN_API_TOKEN ? 'bad_admin_token' : 'admin_token_unset');
     try {
       const url = new URL(req.url, `http://${req.headers.host}`);
       const raw = url.searchParams.get('phone');
-      const phone = normalizePhone(raw);
+      const parsed = parsePhone(raw);
 
-      if (!raw || !phone) {
+      if (!parsed.ok || parsed.blocked) {
+        const why = parsed.blocked ? `${parsed.type} number` : parsed.reason;
+        if (parsed.blocked) log.info('CALL_TEST_BLOCKED', { raw, reason: parsed.type });
         res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: `Invalid phone number: ${raw}` }));
+        res.end(JSON.stringify({ error: `Invalid phone number (${why}): ${raw}` }));
         return;
       }
+      const phone = parsed.e164;
 
-      console.log(`[${new Date().toISOString()}] /call-test raw= ${raw} normalized=${phone}`);
+      if (dnc.has(phone)) {
+        log.info('CALL_TEST_BLOCKED', { phone, reason: 'do_not_call' });
+        return sendJson(res, 409, { error: 'Number is on the do-not-call list', to: phone });
+      }
+
+      log.info('CALL_TEST', { raw, phone });
       const call = await makeOutboundCall(phone);
 
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ ok: true, to: phone, sid: call.sid }));
       return;
     } catch (e) {
-      console.error(`/call-test error: ${e.message}`);
+      log.error('CALL_TEST_FAILED', { error: e });
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: e.message }));
       return;
@@ -218,11 +530,25 @@ const httpServer = http.createServer(async (req, res) => {
 /* =======================
    WEBSOCKET SERVER (Twilio Media Stream)
 ======================= */
-const wss = new WebSocketServer({ server: httpServer });
+const wss = new WebSocketServer({ noServer: true });
+
+// only /ws/<token> minted by /twiml is upgraded, so strangers never open an OpenAI session
+httpServer.on('upgrade', (req, socket, head) => {
+  const m = /^\/ws\/([^/?]+)$/.exec(req.url.split('?')[0]);
+  const check = m ? verifyStreamToken(m[1]) : { ok: false, reason: 'token_missing' };
+  if (!check.ok) {
+    log.warn('WS_UPGRADE_REJECTED', { reason: check.reason, ip: clientIp(req) });
+    socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+    return;
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req, check.claims));
+});
 
-wss.on('connection', (twilioWs) => {
+wss.on('connection', (twilioWs, req, streamClaims) => {
   let streamSid = null;
+  let callSid = streamClaims.callSid || null;
   let greeted = false;
+  const callLog = createLogger(() => ({ callSid, streamSid }));
 
   let callActive = true;
   let currentAbort = null;
@@ -239,6 +565,25 @@ wss.on('connection', (twilioWs) => {
   let assistantSpokenForTurn = 0;
   let lastUserText = '';
 
+  // barge-in: bumping speechToken stops older speech from sending any more audio
+  let speechToken = 0;
+  let lastSpeakStartAt = 0;
+  let playbackMark = null; // sent after each sentence; Twilio acks it once played
+  let markSeq = 0;
+  let openaiResponseActive = false;
+
+  // opt_out: tool outputs go back after response.done, the reply to them is the goodbye
+  const remoteNumber = streamClaims.number || null;
+  const pendingToolOutputs = [];
+  let awaitingGoodbye = false;
+
+  // ending: once the queue drains a mark is sent; its ack (or a timeout) ends the call
+  let endAfterSpeech = null; // reason: 'opt_out' | 'hangup_token'
+  let endMarkName = null;
+  let endMarkTimer = null;
+  let optOutTimer = null; // ends the call if the model never says goodbye after opt_out
+  let callEnded = false;
+
   function safeTwilioSend(obj) {
     if (!callActive) return;
     if (!streamSid || twilioWs.readyState !== WebSocket.OPEN) return;
@@ -270,7 +615,26 @@ wss.on('connection', (twilioWs) => {
       try { currentAbort.abort(); } catch {}
       currentAbort = null;
     }
-    console.log(`[${new Date().toISOString()}] Speech cancelled reason=${reason}`);
+    callLog.info('SPEECH_CANCELLED', { reason });
+  }
+
+  // barge-in: the call goes on, but nothing queued or buffered at Twilio is played anymore
+  function cancelSpeech(reason) {
+    speechToken++;
+    speakQueue.length = 0;
+    ulawBuffer = Buffer.alloc(0);
+    playbackMark = null;
+    if (currentAbort) {
+      try { currentAbort.abort(); } catch {}
+      currentAbort = null;
+    }
+    safeTwilioSend({ event: 'clear', streamSid });
+    callLog.info('SPEECH_CANCELLED', { reason });
+  }
+
+  // true until Twilio has played the last sentence, not just until TTS finished sending it
+  function isSpeaking() {
+    return speaking || speakQueue.length > 0 || !!playbackMark;
   }
 
   async function pumpSpeakQueue() {
@@ -282,25 +646,99 @@ wss.on('connection', (twilioWs) => {
     if (!next) return;
 
     speaking = true;
-    currentAbort = new AbortController();
+    const abort = (currentAbort = new AbortController());
+    const myToken = speechToken;
     const started = Date.now();
-    console.log(`[${new Date().toISOString()}] SPEAK_START text="${next.slice(0, 80)}"`);
+    // a sentence right after the previous one continues the same run (no new debounce window)
+    if (!playbackMark) lastSpeakStartAt = started;
+    callLog.info('SPEAK_START', { chars: next.length, text: next.slice(0, 80) });
 
     try {
-      await elevenSpeakAbortable(next, pushAndSendUlaw, currentAbort.signal);
+      await tts.streamUlaw(next, (chunk) => { if (myToken === speechToken) pushAndSendUlaw(chunk); }, abort.signal);
       const ms = Date.now() - started;
-      console.log(`[${new Date().toISOString()}] Eleven finished ms=${ms} text="${next.slice(0, 80)}"`);
+      callLog.info('SPEAK_DONE', { tts: tts.name, ms, chars: next.length });
+      if (myToken === speechToken) {
+        playbackMark = `spoken_${++markSeq}`;
+        safeTwilioSend({ event: 'mark', streamSid, mark: { name: playbackMark } });
+      }
     } catch (e) {
-      if (String(e.message).includes('ABORTED') || currentAbort?.signal?.aborted) {
-        console.log(`[${new Date().toISOString()}] Eleven aborted`);
+      if (String(e.message).includes('ABORTED') || abort.signal.aborted) {
+        callLog.info('SPEAK_ABORTED');
       } else {
-        console.error(`Eleven error: ${e.message}`);
+        callLog.error('SPEAK_ERROR', { error: e });
       }
     } finally {
       speaking = false;
-      currentAbort = null;
+      if (currentAbort === abort) currentAbort = null;
       if (callActive) pumpSpeakQueue();
+      maybeEndCall();
+    }
+  }
+
+  // the last words are out: end once Twilio reports them played (mark), or after a timeout
+  function maybeEndCall() {
+    if (!endAfterSpeech || speaking || speakQueue.length || endMarkName || callEnded) return;
+    const reason = endAfterSpeech;
+    endMarkName = `end_${++markSeq}`;
+    safeTwilioSend({ event: 'mark', streamSid, mark: { name: endMarkName } });
+    callLog.info('HANGUP_ARMED', { mark: endMarkName, reason });
+    endMarkTimer = setTimeout(() => {
+      callLog.warn('HANGUP_MARK_TIMEOUT', { mark: endMarkName, reason });
+      endCall(reason);
+    }, END_MARK_TIMEOUT_MS);
+  }
+
+  // the callee talked over the goodbye: they are not done yet
+  function disarmEndCall(reason) {
+    if (!endAfterSpeech) return;
+    clearTimeout(endMarkTimer);
+    endAfterSpeech = null;
+    endMarkName = null;
+    endMarkTimer = null;
+    callLog.info('HANGUP_DISARMED', { reason });
+  }
+
+  // ends the phone call itself (REST), not just the media stream
+  function endCall(reason) {
+    if (callEnded || twilioWs.readyState !== WebSocket.OPEN) return; // stream gone: call already over
+    callEnded = true;
+    clearTimeout(endMarkTimer);
+    clearTimeout(optOutTimer);
+    callLog.info('CALL_ENDING', { reason });
+    callHistory.serverHangup(callSid, reason);
+    cancelAllSpeech(reason);
+    const closeStream = () => {
+      try { twilioWs.close(); } catch {}
+    };
+    if (!twilioClient || !callSid) return closeStream();
+    twilioClient.calls(callSid).update({ status: 'completed' }).catch((e) => {
+      callLog.error('CALL_END_FAILED', { error: e });
+      closeStream();
+    });
+  }
+
+  function runTool(name, argsJson) {
+    if (name !== 'opt_out') return { ok: false, error: `unknown tool ${name}` };
+    let args = {};
+    try { args = JSON.parse(argsJson || '{}'); } catch {}
+    const result = remoteNumber ? dnc.add(remoteNumber, { source: 'opt_out', reason: args.reason, callSid }) : 'invalid';
+    callLog.info('TOOL_CALL', { name, result, reason: args.reason });
+    // whatever the registry said, this call is over
+    clearTimeout(optOutTimer);
+    optOutTimer = setTimeout(() => endCall('opt_out_timeout'), OPT_OUT_END_TIMEOUT_MS);
+    return { ok: result !== 'invalid', instruction: OPT_OUT_GOODBYE };
+  }
+
+  function flushToolOutputs() {
+    if (!pendingToolOutputs.length) return;
+    for (const t of pendingToolOutputs.splice(0)) {
+      safeOpenAISend({
+        type: 'conversation.item.create',
+        item: { type: 'function_call_output', call_id: t.callId, output: JSON.stringify(t.output) }
+      });
+      if (t.name === 'opt_out') awaitingGoodbye = true;
     }
+    safeOpenAISend({ type: 'response.create' });
   }
 
   function enqueueSpeak(text) {
@@ -312,7 +750,7 @@ wss.on('connection', (twilioWs) => {
   }
 
   // OpenAI Realtime WS
-  const openaiWs = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview', {
+  const openaiWs = new WebSocket(OPENAI_REALTIME_URL, {
     headers: {
       Authorization: `Bearer ${OPENAI_API_KEY}`,
       'OpenAI-Beta': 'realtime=v1'
@@ -344,11 +782,13 @@ wss.on('connection', (twilioWs) => {
         },
         temperature: 0.7,
         max_response_output_tokens: 800,
-        speed: SPEED
+        speed: SPEED,
+        tools: [OPT_OUT_TOOL],
+        tool_choice: 'auto'
       }
     });
 
-    console.log(`[${new Date().toISOString()}] OpenAI session.update sent (OUTBOUND_GUARD enabled)`);
+    callLog.info('OPENAI_SESSION_CONFIGURED', { guard: 'outbound' });
   });
 
   twilioWs.on('message', (msg) => {
@@ -356,8 +796,16 @@ wss.on('connection', (twilioWs) => {
     try { data = JSON.parse(msg); } catch { return; }
 
     if (data.event === 'start') {
+      if (streamClaims.callSid && streamClaims.callSid !== data.start.callSid) {
+        callLog.warn('STREAM_TOKEN_CALLSID_MISMATCH', { tokenCallSid: streamClaims.callSid, startCallSid: data.start.callSid });
+        cancelAllSpeech('token_call_mismatch');
+        try { twilioWs.close(); } catch {}
+        try { openaiWs.close(); } catch {}
+        return;
+      }
       streamSid = data.start.streamSid;
-      console.log(`[${new Date().toISOString()}] Twilio start streamSid=${streamSid}`);
+      callSid = data.start.callSid || callSid;
+      callLog.info('TWILIO_START');
 
       if (!greeted) {
         greeted = true;
@@ -376,8 +824,15 @@ wss.on('connection', (twilioWs) => {
       return;
     }
 
+    if (data.event === 'mark') {
+      const name = data.mark?.name;
+      if (name === playbackMark) playbackMark = null;
+      if (endMarkName && name === endMarkName) endCall(endAfterSpeech);
+      return;
+    }
+
     if (data.event === 'stop') {
-      console.log(`[${new Date().toISOString()}] Twilio stop streamSid=${streamSid}`);
+      callLog.info('TWILIO_STOP');
       cancelAllSpeech('twilio_stop');
       try { if (openaiWs.readyState === WebSocket.OPEN) openaiWs.close(); } catch {}
       return;
@@ -387,6 +842,7 @@ wss.on('connection', (twilioWs) => {
   openaiWs.on('message', async (raw) => {
     let evt;
     try { evt = JSON.parse(raw); } catch { return; }
+    if (evt?.type) callLog.debug('OPENAI_EVT', { type: evt.type });
     if (!callActive) return;
 
     // NEW: only trust actual transcription to mark a user turn
@@ -395,7 +851,7 @@ wss.on('connection', (twilioWs) => {
       if (t) {
         userTurn += 1;
         lastUserText = t;
-        console.log(`[${new Date().toISOString()}] USER_TURN#${userTurn} text="${t.slice(0, 120)}"`);
+        callLog.info('USER_TURN', { turn: userTurn, text: t.slice(0, 120) });
       }
       return;
     }
@@ -406,50 +862,128 @@ wss.on('connection', (twilioWs) => {
       return;
     }
 
+    if (evt.type === 'response.created') {
+      openaiResponseActive = true;
+      return;
+    }
+
+    // barge-in: the callee talks over Tessa
+    if (evt.type === 'input_audio_buffer.speech_started') {
+      if (!isSpeaking()) {
+        callLog.info('BARGE_IN_IGNORED', { reason: 'not_speaking' });
+        return;
+      }
+      // the opt_out goodbye is always played to the end
+      if (endAfterSpeech === 'opt_out') {
+        callLog.info('BARGE_IN_IGNORED', { reason: 'opt_out_goodbye' });
+        return;
+      }
+      const sinceSpeakStartMs = Date.now() - lastSpeakStartAt;
+      if (sinceSpeakStartMs < BARGE_IN_IGNORE_MS) {
+        callLog.info('BARGE_IN_IGNORED', { reason: 'debounce', sinceSpeakStartMs });
+        return;
+      }
+
+      callLog.info('BARGE_IN', { sinceSpeakStartMs, turn: userTurn });
+      if (openaiResponseActive) safeOpenAISend({ type: 'response.cancel' });
+      disarmEndCall('barge_in');
+      cancelSpeech('barge_in');
+      assistantTranscriptBuf = '';
+      // a reply that was cut off does not use up the turn
+      assistantSpokenForTurn = Math.max(0, Math.min(assistantSpokenForTurn, userTurn - 1));
+      return;
+    }
+
+    if (evt.type === 'response.function_call_arguments.done') {
+      pendingToolOutputs.push({ callId: evt.call_id, name: evt.name, output: runTool(evt.name, evt.arguments) });
+      return;
+    }
+
     // IMPORTANT: speak only once per USER_TURN
     if (evt.type === 'response.done') {
-      const text = assistantTranscriptBuf.trim();
+      openaiResponseActive = false;
+      // cancelled by a barge-in: whatever it said so far is dropped
+      const cancelled = evt.response?.status === 'cancelled';
+      const raw = cancelled ? '' : assistantTranscriptBuf.trim();
       assistantTranscriptBuf = '';
+      const hangup = raw.includes(HANGUP_TOKEN);
+      const text = raw.split(HANGUP_TOKEN).join(' ').replace(/\s+/g, ' ').trim();
+
+      // the reply to an opt_out: always spoken, and the last thing said
+      const goodbye = awaitingGoodbye && !cancelled;
+      if (!cancelled) awaitingGoodbye = false;
+      flushToolOutputs();
+      if (goodbye) {
+        endAfterSpeech = 'opt_out';
+        enqueueSpeak(text);
+        maybeEndCall();
+        return;
+      }
 
-      if (!text) return;
+      if (cancelled) {
+        callLog.info('ASSISTANT_SKIPPED', { reason: 'cancelled', turn: userTurn });
+        return;
+      }
+      if (!raw) return;
 
       if (userTurn === 0) {
-        console.log(`[${new Date().toISOString()}] Skip assistant (no USER_TURN yet) text="${text.slice(0, 80)}"`);
+        callLog.info('ASSISTANT_SKIPPED', { reason: 'no_user_turn', text: text.slice(0, 80) });
         return;
       }
 
       if (assistantSpokenForTurn >= userTurn) {
-        console.log(`[${new Date().toISOString()}] Skip assistant (already spoke for USER_TURN#${userTurn})`);
+        callLog.info('ASSISTANT_SKIPPED', { reason: 'already_spoke', turn: userTurn });
         return;
       }
 
       assistantSpokenForTurn = userTurn;
+      if (hangup && !endAfterSpeech) endAfterSpeech = 'hangup_token';
       enqueueSpeak(text);
+      maybeEndCall();
       return;
     }
 
     if (evt.type === 'error') {
-      console.error(`OpenAI error: ${JSON.stringify(evt.error)}`);
+      if (evt.error?.code === 'response_cancel_not_active') openaiResponseActive = false;
+      callLog.error('OPENAI_ERROR', { code: evt.error?.code, error: evt.error?.message });
     }
   });
 
+  // without OpenAI there is no Tessa: the server ends the call
+  function closeForOpenAI(reason) {
+    if (twilioWs.readyState !== WebSocket.OPEN) return;
+    callHistory.serverHangup(callSid, reason);
+    try { twilioWs.close(); } catch {}
+  }
+
   openaiWs.on('close', (code) => {
-    console.log(`[${new Date().toISOString()}] OpenAI WS closed code=${code}`);
-    try { if (twilioWs.readyState === WebSocket.OPEN) twilioWs.close(); } catch {}
+    callLog.info('OPENAI_WS_CLOSED', { code });
+    closeForOpenAI('openai_ws_closed');
   });
 
   openaiWs.on('error', (e) => {
-    console.error(`OpenAI WS error: ${e.message}`);
-    try { if (twilioWs.readyState === WebSocket.OPEN) twilioWs.close(); } catch {}
+    callLog.error('OPENAI_WS_ERROR', { error: e });
+    closeForOpenAI('openai_ws_error');
   });
 
-  twilioWs.on('close', () => cancelAllSpeech('twilio_ws_close'));
-  twilioWs.on('error', () => cancelAllSpeech('twilio_ws_error'));
+  // the stream is gone: no timer of this call may keep it (and its sockets) alive
+  function cleanup(reason) {
+    clearTimeout(endMarkTimer);
+    clearTimeout(optOutTimer);
+    cancelAllSpeech(reason);
+  }
+
+  twilioWs.on('close', () => cleanup('twilio_ws_close'));
+  twilioWs.on('error', () => cleanup('twilio_ws_error'));
 });
 
 /* =======================
    START
 ======================= */
 httpServer.listen(PORT, () => {
-  console.log(`Server live on ${PORT}`);
+  log.info('SERVER_LISTENING', { port: Number(PORT), tts: tts.name });
+  dialer.start();
+  renderVoicemail();
+  if (!signatureValidationEnabled()) log.warn('TWILIO_SIGNATURE_VALIDATION_OFF', { note: 'Twilio webhooks are not authenticated' });
+  else if (!TWILIO_AUTH_TOKEN) log.error('CONFIG_INVALID', { error: 'TWILIO_AUTH_TOKEN missing: every Twilio webhook will be rejected' });
 });
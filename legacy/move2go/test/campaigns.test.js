@@ -0,0 +1,191 @@
+// test/campaigns.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseContactsCsv, withinCallingHours, createCampaignDialer } from '../campaigns.js';
+import { normalizePhone } from '../phone.js';
+
+process.env.LOG_LEVEL = 'error';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const tmpDirs = [];
+after(() => {
+  for (const dir of tmpDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// a dialer on a throwaway DATA_DIR; every dial gets the next CA sid
+function makeDialer({ env = {}, isBlocked } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'move2go-campaigns-'));
+  tmpDirs.push(dataDir);
+  const saved = {};
+  for (const [k, v] of Object.entries(env)) {
+    saved[k] = process.env[k];
+    process.env[k] = v;
+  }
+  const dials = [];
+  try {
+    const dialer = createCampaignDialer({
+      dial: async (phone) => {
+        dials.push(phone);
+        return { sid: `CA${dials.length}` };
+      },
+      normalizePhone,
+      isBlocked,
+      dataDir
+    });
+    return { dialer, dials, dataDir };
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+async function until(cond, timeoutMs = 2000) {
+  const end = Date.now() + timeoutMs;
+  while (!cond()) {
+    if (Date.now() > end) throw new Error(`condition not met: ${cond}`);
+    await sleep(10);
+  }
+}
+
+const ALWAYS = { hours: '00:00-24:00', days: '1-7' };
+
+test('parseContactsCsv: header row, Dutch Excel and quoted fields', () => {
+  const csv = [
+    '\uFEFFNaam;Telefoon;Plaats',
+    '"de Vries; Jan";06-12345678;Utrecht',
+    '',
+    '"Piet ""PJ"" Bos";+32 470 12 34 56;'
+  ].join('\r\n');
+  const rows = parseContactsCsv(csv);
+  assert.deepEqual(rows.map((r) => [r.row, r.phoneRaw, r.name]), [
+    [2, '06-12345678', 'de Vries; Jan'],
+    [3, '+32 470 12 34 56', 'Piet "PJ" Bos']
+  ]);
+  assert.deepEqual(rows[0].fields, { Naam: 'de Vries; Jan', Telefoon: '06-12345678', Plaats: 'Utrecht' });
+  assert.equal(rows[1].fields.Plaats, '');
+});
+
+test('parseContactsCsv: without a header the first column is the phone, the second the name', () => {
+  assert.deepEqual(parseContactsCsv('0612345678,Jan\n0201234567'), [
+    { row: 1, phoneRaw: '0612345678', name: 'Jan', fields: {} },
+    { row: 2, phoneRaw: '0201234567', name: '', fields: {} }
+  ]);
+  assert.deepEqual(parseContactsCsv(''), []);
+});
+
+test('withinCallingHours: local time in the campaign timezone, end of the window excluded', () => {
+  const s = { hours: '09:00-17:00', days: [1, 2, 3, 4, 5], timezone: 'Europe/Amsterdam' };
+  // Monday 19 October 2026, CEST (UTC+2)
+  assert.equal(withinCallingHours(s, new Date('2026-10-19T06:59:00Z')), false);
+  assert.equal(withinCallingHours(s, new Date('2026-10-19T07:00:00Z')), true);
+  assert.equal(withinCallingHours(s, new Date('2026-10-19T14:59:00Z')), true);
+  assert.equal(withinCallingHours(s, new Date('2026-10-19T15:00:00Z')), false);
+  // Monday 2 November 2026, CET (UTC+1)
+  assert.equal(withinCallingHours(s, new Date('2026-11-02T07:30:00Z')), false);
+  assert.equal(withinCallingHours(s, new Date('2026-11-02T08:00:00Z')), true);
+  // Saturday 24 October 2026
+  assert.equal(withinCallingHours(s, new Date('2026-10-24T10:00:00Z')), false);
+  assert.equal(withinCallingHours({ ...s, days: [6, 7] }, new Date('2026-10-24T10:00:00Z')), true);
+});
+
+test('calling days and hours are validated per campaign', () => {
+  const { dialer } = makeDialer();
+  const c = dialer.createCampaign('0612345678', { hours: '10:00-12:00', days: '1,3-4,7' });
+  assert.deepEqual(c.settings.days, [1, 3, 4, 7]);
+  assert.equal(c.settings.hours, '10:00-12:00');
+
+  assert.throws(() => dialer.createCampaign('0612345678', { days: '0-5' }), /invalid days/);
+  assert.throws(() => dialer.createCampaign('0612345678', { hours: '18:00-09:00' }), /invalid hours/);
+  assert.throws(() => dialer.createCampaign('0612345678', { maxAttempts: 11 }), /maxAttempts must be 1-10/);
+});
+
+test('a campaign outside its calling window dials nobody', async () => {
+  const { dialer, dials } = makeDialer({ env: { CAMPAIGN_TIMEZONE: 'UTC' } });
+  const today = ((new Date().getUTCDay() + 6) % 7) + 1;
+  dialer.createCampaign('0612345678', { days: String((today % 7) + 1) });
+  await sleep(50);
+  assert.deepEqual(dials, []);
+});
+
+test('uploads are normalised and deduped; bad rows are reported', () => {
+  const { dialer } = makeDialer();
+  const csv = 'telefoon,naam\n06-12345678,Jan\n+31 6 1234 5678,Jan again\nbel me,Piet\n0900 1234567,Betaal\n';
+  const c = dialer.createCampaign(csv, ALWAYS);
+  assert.equal(c.counts.total, 1);
+  assert.equal(c.duplicates, 1);
+  assert.deepEqual(c.rejected, [
+    { row: 4, phone: 'bel me', reason: 'invalid_phone' },
+    { row: 5, phone: '0900 1234567', reason: 'invalid_phone' }
+  ]);
+  assert.throws(() => dialer.createCampaign('naam\nJan\n'), /no valid contacts/);
+});
+
+test('busy and no-answer are retried with exponential backoff up to maxAttempts', async () => {
+  const { dialer, dials } = makeDialer({ env: { CAMPAIGN_RETRY_BASE_MS: '40', CAMPAIGN_RETRY_MAX_MS: '60' } });
+  const c = dialer.createCampaign('0612345678', { ...ALWAYS, maxAttempts: 3 });
+  const contact = () => dialer.get(c.id).contacts[0];
+
+  await until(() => dials.length === 1);
+  assert.equal(contact().status, 'dialing');
+  let before = Date.now();
+  assert.equal(dialer.onCallStatus('CA1', 'busy'), true);
+  assert.equal(contact().status, 'queued');
+  assert.ok(contact().nextAttemptAt - before >= 40 && contact().nextAttemptAt - before < 60);
+
+  // not due yet: a tick dials nobody
+  dialer.resume(c.id);
+  await sleep(10);
+  assert.equal(dials.length, 1);
+
+  await sleep(50);
+  dialer.resume(c.id);
+  await until(() => dials.length === 2);
+  before = Date.now();
+  dialer.onCallStatus('CA2', 'no-answer');
+  // 40 * 2 is capped at CAMPAIGN_RETRY_MAX_MS
+  assert.ok(contact().nextAttemptAt - before >= 60 && contact().nextAttemptAt - before < 80);
+
+  await sleep(80);
+  dialer.resume(c.id);
+  await until(() => dials.length === 3);
+  dialer.onCallStatus('CA3', 'busy');
+
+  assert.equal(contact().status, 'failed');
+  assert.equal(contact().attempts, 3);
+  assert.deepEqual(contact().history.map((h) => h.result), ['busy', 'no-answer', 'busy']);
+  assert.equal(dialer.get(c.id).status, 'done');
+  assert.equal(dialer.onCallStatus('CA3', 'completed'), false);
+});
+
+test('a completed call or a final failure is not retried', async () => {
+  const { dialer, dials } = makeDialer({ env: { CAMPAIGN_RETRY_BASE_MS: '0' } });
+  const c = dialer.createCampaign('0612345678\n0201234567', ALWAYS);
+  await until(() => dials.length === 2);
+  assert.equal(dialer.onCallStatus('CA1', 'ringing'), true);
+  dialer.onCallStatus('CA1', 'completed');
+  dialer.onCallStatus('CA2', 'failed');
+  await sleep(50);
+
+  assert.equal(dials.length, 2);
+  assert.deepEqual(dialer.get(c.id).counts, { total: 2, queued: 0, dialing: 0, completed: 1, failed: 1 });
+  assert.equal(dialer.get(c.id).status, 'done');
+});
+
+test('campaigns survive a restart; a contact caught mid-dial without a sid is queued again', async () => {
+  const { dialer, dials, dataDir } = makeDialer();
+  const c = dialer.createCampaign('0612345678', ALWAYS);
+  await until(() => dials.length === 1);
+
+  const file = path.join(dataDir, 'campaigns.json');
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  state.campaigns[0].contacts[0].callSid = null;
+  fs.writeFileSync(file, JSON.stringify(state));
+
+  const reloaded = createCampaignDialer({ dial: async () => ({ sid: 'CAx' }), normalizePhone, dataDir });
+  assert.equal(reloaded.get(c.id).contacts[0].status, 'queued');
+});
@@ -0,0 +1,102 @@
+// test/dnc.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDncRegistry } from '../dnc.js';
+import { createCampaignDialer } from '../campaigns.js';
+import { normalizePhone } from '../phone.js';
+
+process.env.LOG_LEVEL = 'error';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const tmpDirs = [];
+after(() => {
+  for (const dir of tmpDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function tmpDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'move2go-dnc-'));
+  tmpDirs.push(dir);
+  return dir;
+}
+
+test('numbers are stored in E.164 whichever way they were written', () => {
+  const dnc = createDncRegistry({ dataDir: tmpDir(), normalizePhone });
+  assert.equal(dnc.add('06-12345678', { reason: 'belt te vaak' }), 'added');
+  assert.equal(dnc.add('+31 6 1234 5678'), 'exists');
+  assert.equal(dnc.add('0031612345678'), 'exists');
+  assert.equal(dnc.add('bel me niet'), 'invalid');
+
+  assert.equal(dnc.has('0612345678'), true);
+  assert.equal(dnc.has('+31612345678'), true);
+  assert.equal(dnc.has('0201234567'), false);
+  assert.equal(dnc.has('onzin'), false);
+  assert.deepEqual(dnc.list().map((e) => [e.phone, e.source, e.reason]), [['+31612345678', 'api', 'belt te vaak']]);
+});
+
+test('importCsv takes a plain list or a CSV with a phone column and reports bad rows', () => {
+  const dnc = createDncRegistry({ dataDir: tmpDir(), normalizePhone });
+  dnc.add('0612345678');
+
+  const plain = dnc.importCsv('06 12345678\n020 123 4567\n+32 470 12 34 56\n0900 1234567\n');
+  assert.deepEqual(plain, {
+    added: 2,
+    existing: 1,
+    rejected: [{ row: 4, phone: '0900 1234567', reason: 'invalid_phone' }],
+    total: 3
+  });
+
+  const csv = dnc.importCsv('naam;telefoonnummer\nJan;+44 7700 900123\nPiet;\n');
+  assert.equal(csv.added, 1);
+  assert.deepEqual(csv.rejected, [{ row: 3, phone: '', reason: 'invalid_phone' }]);
+  assert.ok(dnc.list().filter((e) => e.phone !== '+31612345678').every((e) => e.source === 'import'));
+  assert.match(dnc.exportCsv(), /^phone,addedAt,source,reason,callSid\n\+31612345678,/);
+});
+
+test('removing a number works in any notation; the list survives a restart', () => {
+  const dataDir = tmpDir();
+  const dnc = createDncRegistry({ dataDir, normalizePhone });
+  dnc.importCsv('0612345678\n0201234567\n');
+
+  assert.equal(dnc.remove('+31 20 123 4567'), true);
+  assert.equal(dnc.remove('0201234567'), false);
+  assert.equal(dnc.remove('geen nummer'), false);
+
+  const reloaded = createDncRegistry({ dataDir, normalizePhone });
+  assert.deepEqual(reloaded.list().map((e) => e.phone), ['+31612345678']);
+});
+
+test('campaign dials respect the registry, at upload and again right before dialing', async () => {
+  const dataDir = tmpDir();
+  const dnc = createDncRegistry({ dataDir, normalizePhone });
+  dnc.add('0612345678');
+  const dials = [];
+  // wired as in server.js
+  const dialer = createCampaignDialer({
+    dial: async (phone) => {
+      dials.push(phone);
+      return { sid: `CA${dials.length}` };
+    },
+    normalizePhone,
+    isBlocked: (phone) => dnc.has(phone),
+    dataDir
+  });
+
+  const c = dialer.createCampaign('0612345678\n0201234567\n0687654321', { hours: '00:00-24:00', days: '1-7' });
+  assert.deepEqual(c.rejected, [{ row: 1, phone: '0612345678', reason: 'do_not_call' }]);
+  assert.equal(c.counts.total, 2);
+
+  // opts out while the campaign is paused
+  dialer.pause(c.id);
+  dnc.add('0687654321', { source: 'opt_out' });
+  dialer.resume(c.id);
+  await sleep(50);
+
+  assert.deepEqual(dials, ['+31201234567']);
+  const skipped = dialer.get(c.id).contacts.find((k) => k.phone === '+31687654321');
+  assert.equal(skipped.status, 'failed');
+  assert.equal(skipped.lastResult, 'do_not_call');
+  assert.equal(skipped.attempts, 0);
+});
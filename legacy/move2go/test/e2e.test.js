@@ -0,0 +1,242 @@
+// test/e2e.test.js
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startHarness, CALLEE, TWILIO_FROM } from './harness.js';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// server logs and WebSocket messages race each other; poll for the latter
+async function until(cond, timeoutMs = 3000) {
+  const end = Date.now() + timeoutMs;
+  while (!cond()) {
+    if (Date.now() > end) throw new Error(`condition not met: ${cond}`);
+    await sleep(20);
+  }
+}
+
+// the call has spoken its opening line and Twilio has acked it
+async function openingPlayed(h, call) {
+  await h.waitForEvent('SPEAK_DONE', { callSid: call.callSid });
+  await until(() => call.twilio.marks.length === 1);
+}
+
+describe('outbound call', () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+  });
+  after(() => h.stop());
+
+  test('the opening line is spoken over the stream, then marked', async () => {
+    const call = await h.call();
+    await openingPlayed(h, call);
+    assert.equal(call.twilio.mediaBytes(), 4800);
+    assert.match(call.twilio.marks[0], /^spoken_\d+$/);
+    assert.match(call.openai.received[0].session.instructions, /OUTBOUND/);
+    call.twilio.stop();
+  });
+
+  test('unsigned webhooks are refused', async () => {
+    const { status, body } = await h.twiml({}, { signed: false });
+    assert.equal(status, 403);
+    assert.doesNotMatch(body, /<Stream/);
+    await h.waitForEvent('REQUEST_REJECTED', { path: '/twiml', reason: 'signature_missing' });
+  });
+});
+
+describe('live call', () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { BARGE_IN_IGNORE_MS: '300', HANGUP_MARK_TIMEOUT_MS: '1000' } });
+  });
+  after(() => h.stop());
+
+  // the callee said something, Tessa answers
+  async function userSays(call, transcript, reply) {
+    call.openai.send({ type: 'conversation.item.input_audio_transcription.completed', transcript });
+    await call.openai.reply(reply);
+  }
+
+  test('barge-in inside BARGE_IN_IGNORE_MS is ignored, after it clears the audio at Twilio', async () => {
+    // unacked marks: Tessa counts as speaking until the test says otherwise
+    const call = await h.call({ autoAckMarks: false });
+    await h.waitForEvent('SPEAK_START', { callSid: call.callSid });
+    call.openai.beginResponse();
+
+    call.openai.send({ type: 'input_audio_buffer.speech_started' });
+    await h.waitForEvent('BARGE_IN_IGNORED', { callSid: call.callSid, reason: 'debounce' });
+    assert.equal(call.twilio.clears, 0);
+
+    await sleep(350);
+    call.openai.send({ type: 'input_audio_buffer.speech_started' });
+    await h.waitForEvent('BARGE_IN', { callSid: call.callSid });
+    await until(() => call.twilio.clears === 1);
+    await call.openai.waitFor('response.cancel');
+    await h.waitForEvent('SPEECH_CANCELLED', { callSid: call.callSid, reason: 'barge_in' });
+
+    // nothing is playing anymore, so the next speech_started is not a barge-in
+    call.openai.send({ type: 'input_audio_buffer.speech_started' });
+    await h.waitForEvent('BARGE_IN_IGNORED', { callSid: call.callSid, reason: 'not_speaking' });
+    assert.equal(call.twilio.clears, 1);
+    call.twilio.stop();
+  });
+
+  test('the hangup token: hangs up once the mark after the goodbye is acked', async () => {
+    const call = await h.call();
+    await openingPlayed(h, call);
+    const from = h.logMark();
+
+    await userSays(call, 'Nee, dank u.', 'Prima, fijne dag nog! AFRONDEN_OK');
+    const armed = await h.waitForEvent('HANGUP_ARMED', { callSid: call.callSid, reason: 'hangup_token' }, 5000, { fromIndex: from });
+    await h.waitForEvent('CALL_ENDING', { callSid: call.callSid, reason: 'hangup_token' }, 5000, { fromIndex: from });
+    await h.rest.waitForUpdate((u) => u.callSid === call.callSid && u.params.Status === 'completed');
+
+    assert.ok(call.twilio.marks.includes(armed.mark));
+    assert.equal(h.events(from, 'HANGUP_MARK_TIMEOUT').length, 0);
+    assert.ok(!h.events(from, 'SPEAK_START').some((e) => /AFRONDEN_OK/.test(e.text)), 'the token is not spoken');
+    call.twilio.stop();
+  });
+
+  test('the hangup token: hangs up after HANGUP_MARK_TIMEOUT_MS when Twilio never acks', async () => {
+    const call = await h.call({ autoAckMarks: false });
+    await h.waitForEvent('SPEAK_DONE', { callSid: call.callSid });
+    const from = h.logMark();
+
+    await userSays(call, 'Nee, dank u.', 'Prima, fijne dag nog! AFRONDEN_OK');
+    const armed = await h.waitForEvent('HANGUP_ARMED', { callSid: call.callSid }, 5000, { fromIndex: from });
+    const timedOut = await h.waitForEvent('HANGUP_MARK_TIMEOUT', { callSid: call.callSid, reason: 'hangup_token' }, 3000, { fromIndex: from });
+    assert.equal(timedOut.mark, armed.mark);
+    assert.ok(Date.parse(timedOut.ts) - Date.parse(armed.ts) >= 1000, 'not before the timeout');
+    await h.rest.waitForUpdate((u) => u.callSid === call.callSid && u.params.Status === 'completed');
+    call.twilio.stop();
+  });
+});
+
+describe('answering machine detection', () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+    await h.waitForEvent('VOICEMAIL_RENDERED');
+  });
+  after(() => h.stop());
+
+  const amd = (callSid, answeredBy, opts) =>
+    h.webhook('/twilio/amd', { CallSid: callSid, AnsweredBy: answeredBy, MachineDetectionDuration: '2400' }, opts);
+
+  test('a human: the verdict lands on the call record, the call goes on', async () => {
+    const call = await h.call();
+    assert.equal((await amd(call.callSid, 'human', { signed: false })).status, 403);
+    assert.equal((await amd(call.callSid, 'human')).status, 204);
+    await h.waitForEvent('AMD_RESULT', { callSid: call.callSid, answeredBy: 'human' });
+
+    const { body: rec } = await h.admin(`/calls/${call.callSid}`);
+    assert.equal(rec.answeredBy, 'human');
+    assert.equal(rec.serverHangupReason, null);
+    assert.ok(!h.rest.updates.some((u) => u.callSid === call.callSid));
+    call.twilio.stop();
+  });
+
+  test('a machine: the voicemail is dropped once and the record says why the call ended', async () => {
+    const call = await h.call();
+    assert.equal((await amd(call.callSid, 'machine_end_beep')).status, 204);
+    const update = await h.rest.waitForUpdate((u) => u.callSid === call.callSid);
+    assert.match(update.params.Twiml, /<Play>[^<]*\/audio\/voicemail\.mp3<\/Play><Hangup\/>/);
+    await h.waitForEvent('VOICEMAIL_DROPPED', { callSid: call.callSid, audio: 'play' });
+
+    // Twilio retries a callback it thinks failed
+    const from = h.logMark();
+    await amd(call.callSid, 'machine_end_beep');
+    await h.waitForEvent('AMD_RESULT', { callSid: call.callSid }, 2000, { fromIndex: from });
+    await sleep(100);
+    assert.equal(h.rest.updates.filter((u) => u.callSid === call.callSid).length, 1);
+
+    const { body: rec } = await h.admin(`/calls/${call.callSid}`);
+    assert.equal(rec.answeredBy, 'machine_end_beep');
+    assert.equal(rec.serverHangupReason, 'voicemail_drop');
+    call.twilio.stop();
+  });
+});
+
+describe('call history', () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { CALL_HISTORY_MAX_CALLS: '3' } });
+  });
+  after(() => h.stop());
+
+  const status = (callSid, form) =>
+    h.webhook('/twilio/status', { CallSid: callSid, Direction: 'outbound-api', From: TWILIO_FROM, To: CALLEE, ...form });
+
+  test('the status callback completes the record; /calls filters it', async () => {
+    const call = await h.call();
+    call.twilio.stop();
+
+    assert.equal((await h.webhook('/twilio/status', { CallSid: call.callSid, CallStatus: 'completed' }, { signed: false })).status, 403);
+    await status(call.callSid, { CallStatus: 'in-progress', Timestamp: 'Mon, 19 Oct 2026 14:02:18 +0000' });
+    const res = await status(call.callSid, { CallStatus: 'completed', CallDuration: '42', Timestamp: 'Mon, 19 Oct 2026 14:03:00 +0000' });
+    assert.equal(res.status, 204);
+    await h.waitForEvent('CALL_STATUS', { callSid: call.callSid, status: 'completed', endReason: 'remote_hangup' });
+
+    const { body } = await h.admin('/calls?number=0612345678&status=completed');
+    const rec = body.calls.find((c) => c.callSid === call.callSid);
+    assert.equal(rec.direction, 'outbound-api');
+    assert.equal(rec.to, CALLEE);
+    assert.equal(rec.answeredAt, '2026-10-19T14:02:18.000Z');
+    assert.equal(rec.endedAt, '2026-10-19T14:03:00.000Z');
+    assert.equal(rec.durationSec, 42);
+
+    // a late "ringing" does not reopen a finished call
+    await status(call.callSid, { CallStatus: 'ringing' });
+    assert.equal((await h.admin(`/calls/${call.callSid}`)).body.status, 'completed');
+
+    assert.equal((await h.admin('/calls?status=busy')).body.count, 0);
+    assert.equal((await h.admin('/calls/CAnosuchcall')).status, 404);
+    assert.equal((await fetch(`${h.baseUrl}/calls`)).status, 401);
+  });
+
+  test('past CALL_HISTORY_MAX_CALLS the oldest finished calls move to the archive', async () => {
+    const sids = ['CAarchive0000001', 'CAarchive0000002', 'CAarchive0000003', 'CAarchive0000004'];
+    for (const sid of sids) {
+      await status(sid, { CallStatus: 'busy', To: '+31687654321' });
+      await sleep(5); // distinct createdAt
+    }
+
+    const live = JSON.parse(fs.readFileSync(path.join(h.dataDir, 'calls.json'), 'utf8')).calls;
+    assert.equal(live.length, 3);
+    assert.ok(!live.some((c) => c.callSid === sids[0]));
+    const archive = fs.readFileSync(path.join(h.dataDir, 'calls-archive.jsonl'), 'utf8');
+    assert.ok(archive.includes(sids[0]));
+
+    // /calls still sees every call
+    const { body } = await h.admin('/calls?number=%2B31687654321');
+    assert.deepEqual(body.calls.map((c) => c.callSid), [...sids].reverse());
+    assert.equal((await h.admin(`/calls/${sids[0]}`)).body.status, 'busy');
+  });
+});
+
+describe('settings from a .env file', () => {
+  let h;
+  before(async () => {
+    // the server's environment holds nothing but PATH
+    h = await startHarness({ dotenv: true });
+  });
+  after(() => h.stop());
+
+  test('every module sees them, not just the ones server.js reads itself', async () => {
+    assert.equal(h.events(0, 'CONFIG_INVALID').length, 0);
+    assert.equal(h.events(0, 'SERVER_LISTENING')[0].tts, 'espeak');
+
+    // TWILIO_AUTH_TOKEN: signed webhooks pass, and the stream token /twiml mints is accepted;
+    // ESPEAK_BIN and FFMPEG_BIN: the opening line is audio
+    const call = await h.call();
+    await openingPlayed(h, call);
+    assert.equal(call.twilio.mediaBytes(), 4800);
+    call.twilio.stop();
+
+    // DATA_DIR
+    const saved = JSON.parse(fs.readFileSync(path.join(h.dataDir, 'calls.json'), 'utf8'));
+    assert.ok(JSON.stringify(saved).includes(call.callSid));
+  });
+});
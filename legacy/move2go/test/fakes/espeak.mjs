@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+// Stand-in for espeak-ng in tests: whatever the text, 0.6 s of "audio" (4800 bytes)
+// in six chunks 100 ms apart, so a sentence takes a while to speak.
+const CHUNK = Buffer.alloc(800, 0x2a);
+let left = 6;
+(function next() {
+  process.stdout.write(CHUNK);
+  if (--left > 0) setTimeout(next, 100);
+})();
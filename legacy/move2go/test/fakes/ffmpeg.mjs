@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+// Stand-in for ffmpeg in tests: ignores its arguments and copies stdin to stdout,
+// so the fake espeak-ng output reaches Twilio byte for byte as "μ-law".
+process.stdin.pipe(process.stdout);
@@ -0,0 +1,89 @@
+// test/fakes/twilio.js
+import WebSocket from 'ws';
+
+/* =======================
+   Fake Twilio Media Stream client.
+   Connects to the server's /ws like Twilio does after <Connect><Stream>,
+   records the media/mark/clear events the server sends and, unless told
+   otherwise, acks every mark right away (as if the audio had played).
+======================= */
+export class FakeTwilioCall {
+  constructor(wsUrl, { autoAckMarks = true, callSid } = {}) {
+    this.autoAckMarks = autoAckMarks;
+    this.streamSid = `MZ${Math.random().toString(16).slice(2, 18)}`;
+    this.callSid = callSid || `CA${Math.random().toString(16).slice(2, 18)}`;
+    this.media = []; // Buffers
+    this.marks = []; // names
+    this.clears = 0;
+    this.events = []; // { event, at }
+
+    this.ws = new WebSocket(wsUrl);
+    this.opened = new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+    // a refused upgrade is what some tests are after
+    this.opened.catch(() => {});
+    this.ws.on('error', () => {});
+    this.closed = new Promise((resolve) => this.ws.once('close', () => resolve(Date.now())));
+
+    this.ws.on('message', (raw) => {
+      const msg = JSON.parse(raw);
+      this.events.push({ event: msg.event, at: Date.now() });
+      if (msg.event === 'media') this.media.push(Buffer.from(msg.media.payload, 'base64'));
+      if (msg.event === 'clear') this.clears++;
+      if (msg.event === 'mark') {
+        this.marks.push(msg.mark.name);
+        if (this.autoAckMarks) this.ackMark(msg.mark.name);
+      }
+    });
+  }
+
+  send(msg) {
+    this.ws.send(JSON.stringify({ streamSid: this.streamSid, ...msg }));
+  }
+
+  async start(customParameters = {}) {
+    await this.opened;
+    this.ws.send(JSON.stringify({ event: 'connected', protocol: 'Call', version: '1.0.0' }));
+    this.send({
+      event: 'start',
+      start: {
+        streamSid: this.streamSid,
+        callSid: this.callSid,
+        tracks: ['inbound'],
+        mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+        customParameters
+      }
+    });
+  }
+
+  // one inbound frame; timestamp is ms since the stream started, as Twilio sends it
+  sendAudio({ bytes = 160, fill = 0xff, timestamp } = {}) {
+    this.chunk = (this.chunk || 0) + 1;
+    this.send({
+      event: 'media',
+      media: {
+        track: 'inbound',
+        chunk: String(this.chunk),
+        timestamp: String(timestamp ?? (this.chunk - 1) * 20),
+        payload: Buffer.alloc(bytes, fill).toString('base64')
+      }
+    });
+  }
+
+  ackMark(name) {
+    if (this.ws.readyState !== WebSocket.OPEN) return;
+    this.send({ event: 'mark', mark: { name } });
+  }
+
+  mediaBytes() {
+    return this.media.reduce((n, b) => n + b.length, 0);
+  }
+
+  stop() {
+    if (this.ws.readyState !== WebSocket.OPEN) return;
+    this.send({ event: 'stop', stop: { callSid: this.callSid } });
+    this.ws.close();
+  }
+}
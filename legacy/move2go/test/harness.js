@@ -0,0 +1,204 @@
+// test/harness.js
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import twilio from 'twilio';
+import { startFakeOpenAI } from './fakes/openai.js';
+import { FakeTwilioCall } from './fakes/twilio.js';
+import { startFakeTwilioRest } from './fakes/twilio-rest.js';
+
+/* =======================
+   END-TO-END HARNESS
+   Runs the real server.js as a child process against a fake OpenAI Realtime
+   endpoint, a fake Twilio REST API and stand-ins for espeak-ng and ffmpeg, with
+   a throwaway DATA_DIR. dotenv: true hands the server its settings through a
+   .env file in its cwd instead of its environment. Nothing leaves 127.0.0.1.
+======================= */
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_JS = path.join(HERE, '..', 'server.js');
+export const TWILIO_AUTH_TOKEN = 'twilio-test-auth-token';
+export const ADMIN_API_TOKEN = 'admin-test-token';
+export const TWILIO_FROM = '+31201234567';
+export const CALLEE = '+31612345678';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+export async function startHarness({ env = {}, dotenv = false } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'move2go-e2e-'));
+  const openai = await startFakeOpenAI();
+  const rest = await startFakeTwilioRest();
+  const port = await freePort();
+
+  const logs = [];
+  const logWaiters = [];
+
+  const settings = {
+    PORT: String(port),
+    DATA_DIR: path.join(root, 'data'),
+    OPENAI_API_KEY: 'sk-test',
+    OPENAI_REALTIME_URL: openai.url,
+    TWILIO_ACCOUNT_SID: 'ACtest',
+    TWILIO_AUTH_TOKEN,
+    TWILIO_API_BASE_URL: rest.url,
+    TWILIO_FROM,
+    ADMIN_API_TOKEN,
+    PUBLIC_BASE_URL: `http://127.0.0.1:${port}`,
+    TTS_PROVIDER: 'espeak',
+    ESPEAK_BIN: path.join(HERE, 'fakes', 'espeak.mjs'),
+    FFMPEG_BIN: path.join(HERE, 'fakes', 'ffmpeg.mjs'),
+    OUTBOUND_OPENING_DELAY_MS: '50',
+    ...env
+  };
+  if (dotenv) {
+    const lines = Object.entries(settings).map(([k, v]) => `${k}=${JSON.stringify(String(v))}`);
+    fs.writeFileSync(path.join(root, '.env'), lines.join('\n') + '\n');
+  }
+
+  // cwd is the temp root: a developer's own .env never leaks into the run
+  const child = spawn(process.execPath, [SERVER_JS], {
+    cwd: root,
+    env: dotenv ? { PATH: process.env.PATH } : { PATH: process.env.PATH, ...settings },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+
+  const onLine = (line) => {
+    logs.push(line);
+    if (process.env.E2E_VERBOSE) console.log(`  [server] ${line}`);
+    for (const w of [...logWaiters]) {
+      if (w.test(line)) {
+        logWaiters.splice(logWaiters.indexOf(w), 1);
+        w.resolve(line);
+      }
+    }
+  };
+  for (const stream of [child.stdout, child.stderr]) {
+    let tail = '';
+    stream.on('data', (c) => {
+      const parts = (tail + c.toString()).split('\n');
+      tail = parts.pop();
+      parts.forEach(onLine);
+    });
+  }
+
+  function parseLine(line) {
+    try { return JSON.parse(line); } catch { return null; }
+  }
+
+  // event name plus fields that must equal (or, for RegExps, match)
+  function eventMatcher(event, fields) {
+    return (entry) =>
+      !!entry &&
+      entry.event === event &&
+      Object.entries(fields).every(([k, v]) => (v instanceof RegExp ? v.test(String(entry[k])) : entry[k] === v));
+  }
+
+  // resolves with the first matching log entry, past (from fromIndex on) or future
+  function waitForEvent(event, fields = {}, timeoutMs = 5000, { fromIndex = 0 } = {}) {
+    const matches = (line) => eventMatcher(event, fields)(parseLine(line));
+    const seen = logs.slice(fromIndex).find(matches);
+    if (seen) return Promise.resolve(parseLine(seen));
+    return new Promise((resolve, reject) => {
+      const w = { test: matches, resolve: (line) => resolve(parseLine(line)) };
+      logWaiters.push(w);
+      setTimeout(() => {
+        const i = logWaiters.indexOf(w);
+        if (i === -1) return;
+        logWaiters.splice(i, 1);
+        reject(new Error(`timeout waiting for log ${event} ${JSON.stringify(fields)}\n--- server log ---\n${logs.join('\n')}`));
+      }, timeoutMs);
+    });
+  }
+
+  // parsed log entries written since fromIndex, optionally only one event
+  function events(fromIndex = 0, event = null, fields = {}) {
+    const entries = logs.slice(fromIndex).map(parseLine).filter(Boolean);
+    return event ? entries.filter(eventMatcher(event, fields)) : entries;
+  }
+
+  const harness = {
+    port,
+    baseUrl: `http://127.0.0.1:${port}`,
+    openai,
+    rest,
+    dataDir: settings.DATA_DIR,
+    logs,
+    waitForEvent,
+    events,
+
+    // log lines written after this call
+    logMark() {
+      return logs.length;
+    },
+
+    // POST a webhook the way Twilio does; signed: false or a string overrides the signature
+    async webhook(urlPath, form = {}, { signed = true } = {}) {
+      const url = `${harness.baseUrl}${urlPath}`;
+      const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+      if (signed === true) headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(TWILIO_AUTH_TOKEN, url, form);
+      else if (typeof signed === 'string') headers['X-Twilio-Signature'] = signed;
+      const res = await fetch(url, { method: 'POST', headers, body: new URLSearchParams(form) });
+      return { status: res.status, body: await res.text() };
+    },
+
+    // an outbound call being answered: Twilio fetches /twiml
+    twiml(form = {}, opts) {
+      return harness.webhook(
+        '/twiml',
+        { CallSid: `CA${Math.random().toString(16).slice(2, 18)}`, Direction: 'outbound-api', From: TWILIO_FROM, To: CALLEE, ...form },
+        opts
+      );
+    },
+
+    // GET a back-office endpoint with the admin bearer token
+    async admin(urlPath) {
+      const res = await fetch(`${harness.baseUrl}${urlPath}`, { headers: { Authorization: `Bearer ${ADMIN_API_TOKEN}` } });
+      return { status: res.status, body: await res.json() };
+    },
+
+    // the <Stream> URL from a TwiML body, pointed at the local server
+    streamUrl(body) {
+      const m = /<Stream url="wss:\/\/[^/]+(\/ws\/[^"]+)"/.exec(body);
+      if (!m) throw new Error(`no <Stream> in TwiML:\n${body}`);
+      return `ws://127.0.0.1:${port}${m[1]}`;
+    },
+
+    // a connected call: /twiml answered, Twilio stream started, OpenAI session configured
+    async call({ autoAckMarks = true, callSid = `CA${Math.random().toString(16).slice(2, 18)}` } = {}) {
+      const { body } = await harness.twiml({ CallSid: callSid });
+      const twilioCall = new FakeTwilioCall(harness.streamUrl(body), { autoAckMarks, callSid });
+      await twilioCall.start();
+      const session = await openai.nextSession();
+      await session.waitFor('session.update');
+      return { callSid, twilio: twilioCall, openai: session };
+    },
+
+    async stop() {
+      if (child.exitCode === null) child.kill('SIGTERM');
+      await exited;
+      await openai.close();
+      await rest.close();
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+
+  try {
+    await waitForEvent('SERVER_LISTENING');
+  } catch (e) {
+    await harness.stop();
+    throw e;
+  }
+  return harness;
+}
@@ -0,0 +1,80 @@
+// test/phone.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as phone from '../phone.js';
+
+const { parsePhone, normalizePhone } = phone;
+// the file this one is a copy of, when the whole repository is checked out
+const DES_PHONE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', '..', 'companies', 'des', 'phone.js');
+
+const pick = (p) => (p.ok ? [p.e164, p.country, p.type] : p.reason);
+
+test('Dutch numbers in the ways callers say them', () => {
+  for (const raw of ['0612345678', '06-12345678', '612345678', '31612345678', '+31 (0)6 1234 5678', '0031612345678']) {
+    assert.deepEqual(pick(parsePhone(raw)), ['+31612345678', 'NL', 'mobile'], raw);
+  }
+  assert.deepEqual(pick(parsePhone('020 123 4567')), ['+31201234567', 'NL', 'landline']);
+  assert.deepEqual(pick(parsePhone('088 123 4567')), ['+31881234567', 'NL', 'landline']);
+  assert.deepEqual(pick(parsePhone('0800 1234')), ['+318001234', 'NL', 'tollfree']);
+});
+
+test('the other supported countries', () => {
+  assert.deepEqual(pick(parsePhone('+32 470 12 34 56')), ['+32470123456', 'BE', 'mobile']);
+  assert.deepEqual(pick(parsePhone('+32 2 123 45 67')), ['+3221234567', 'BE', 'landline']);
+  assert.deepEqual(pick(parsePhone('0049 151 23456789')), ['+4915123456789', 'DE', 'mobile']);
+  assert.deepEqual(pick(parsePhone('+49 (0)30 1234567')), ['+49301234567', 'DE', 'landline']);
+  assert.deepEqual(pick(parsePhone('+33 6 12 34 56 78')), ['+33612345678', 'FR', 'mobile']);
+  assert.deepEqual(pick(parsePhone('+33 1 23 45 67 89')), ['+33123456789', 'FR', 'landline']);
+  assert.deepEqual(pick(parsePhone('+44 7700 900123')), ['+447700900123', 'GB', 'mobile']);
+  assert.deepEqual(pick(parsePhone('+44 20 7946 0018')), ['+442079460018', 'GB', 'landline']);
+  assert.deepEqual(pick(parsePhone('030 1234567', { defaultCountry: 'DE' })), ['+49301234567', 'DE', 'landline']);
+});
+
+test('premium-rate and emergency numbers parse but are never dialed', () => {
+  for (const raw of ['0900 1234567', '+32 903 12 345', '+49 900 1 234567', '+33 8 99 12 34 56', '+44 909 8790000']) {
+    const p = parsePhone(raw);
+    assert.equal(p.type, 'premium', raw);
+    assert.equal(p.blocked, true, raw);
+    assert.equal(normalizePhone(raw), null, raw);
+  }
+  for (const raw of ['112', '+31112', '+44 999', '+33 15']) {
+    assert.equal(parsePhone(raw).type, 'emergency', raw);
+    assert.equal(normalizePhone(raw), null, raw);
+  }
+});
+
+test('garbage and unsupported countries are refused', () => {
+  assert.equal(pick(parsePhone('')), 'empty');
+  assert.equal(pick(parsePhone('bel me maar')), 'invalid');
+  assert.equal(pick(parsePhone('06123')), 'invalid');
+  assert.equal(pick(parsePhone('+31 6 1234')), 'invalid');
+  assert.equal(pick(parsePhone('+1 212 555 0100')), 'unsupported_country');
+  assert.equal(normalizePhone('+1 212 555 0100'), null);
+});
+
+// every country code, two-digit prefix and length, written the ways callers do
+function numberSweep() {
+  const out = ['', '112', '911', '999', '15', 'bel me maar', '+1 212 555 0100'];
+  for (const cc of ['31', '32', '33', '44', '49']) {
+    for (let prefix = 0; prefix < 100; prefix++) {
+      for (let len = 4; len <= 11; len++) {
+        const nsn = String(prefix).padStart(2, '0') + '1234567890'.slice(0, len - 2);
+        out.push(`+${cc}${nsn}`, `00${cc} (0)${nsn}`, `0${nsn}`, `${cc}${nsn}`, nsn);
+      }
+    }
+  }
+  return out;
+}
+
+test('this copy still behaves like companies/des/phone.js', { skip: !fs.existsSync(DES_PHONE) && 'companies/des not checked out' }, async () => {
+  const des = await import(DES_PHONE);
+  for (const defaultCountry of ['NL', 'BE', 'DE', 'FR', 'GB', 'XX']) {
+    for (const raw of numberSweep()) {
+      assert.deepEqual(phone.parsePhone(raw, { defaultCountry }), des.parsePhone(raw, { defaultCountry }), `${raw} (${defaultCountry})`);
+      assert.equal(phone.normalizePhone(raw, { defaultCountry }), des.normalizePhone(raw, { defaultCountry }), `${raw} (${defaultCountry})`);
+    }
+  }
+});
@@ -0,0 +1,235 @@
+// tts.js
+import { spawn } from 'child_process';
+import { Readable } from 'stream';
+import { log } from './logger.js';
+
+/* =======================
+   TTS PROVIDERS
+   provider = { name, streamUlaw(text, onUlaw, signal), synthesizeMp3(text) }
+   streamUlaw emits 8 kHz mono μ-law chunks and throws 'ABORTED' when the signal fires.
+   TTS_PROVIDER picks the engine (elevenlabs | espeak), TTS_FALLBACK an optional second one.
+======================= */
+
+// FFMPEG_BIN / ESPEAK_BIN are read on use: this module is imported before server.js runs dotenv.config()
+function spawnFfmpeg(outArgs) {
+  const ff = spawn(process.env.FFMPEG_BIN || 'ffmpeg', ['-hide_banner', '-loglevel', 'error', '-i', 'pipe:0', ...outArgs, 'pipe:1']);
+  ff.stderr.on('data', () => {});
+  ff.stdin.on('error', () => {});
+  return ff;
+}
+
+function ffmpegDone(ff) {
+  return new Promise((resolve, reject) => {
+    ff.on('close', resolve);
+    ff.on('error', (e) => reject(new Error(`FFMPEG_FAILED ${e.message}`)));
+  });
+}
+
+function toMp3(input) {
+  const ff = spawnFfmpeg(['-ac', '1', '-f', 'mp3']);
+  const chunks = [];
+  ff.stdout.on('data', (c) => chunks.push(c));
+  ff.stdin.end(input);
+  return ffmpegDone(ff).then((code) => {
+    const buf = Buffer.concat(chunks);
+    if (code !== 0 || !buf.length) throw new Error(`FFMPEG_FAILED exit=${code}`);
+    return buf;
+  });
+}
+
+/* ---------- ElevenLabs ---------- */
+function createElevenLabsTts({ apiKey, voiceId, model }) {
+  async function streamUlaw(text, onUlaw, signal) {
+    if (!apiKey || !voiceId) throw new Error('ELEVEN_NOT_CONFIGURED');
+    if (signal?.aborted) throw new Error('ABORTED');
+
+    const ff = spawnFfmpeg(['-ar', '8000', '-ac', '1', '-f', 'mulaw']);
+    const done = ffmpegDone(ff);
+    done.catch(() => {});
+
+    const killAll = () => {
+      try { ff.stdin.end(); } catch {}
+      try { ff.kill('SIGKILL'); } catch {}
+    };
+
+    if (signal) signal.addEventListener('abort', () => killAll(), { once: true });
+    ff.stdout.on('data', onUlaw);
+
+    const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/stream?optimize_streaming_latency=4`;
+
+    let res;
+    try {
+      res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'xi-api-key': apiKey,
+          'Content-Type': 'application/json',
+          Accept: 'audio/mpeg'
+        },
+        body: JSON.stringify({ model_id: model, text }),
+        signal
+      });
+    } catch (e) {
+      killAll();
+      throw signal?.aborted ? new Error('ABORTED') : e;
+    }
+
+    if (!res.ok) {
+      const err = await res.text().catch(() => '');
+      killAll();
+      throw new Error(`ELEVEN_STREAM_FAILED ${res.status}: ${err}`);
+    }
+
+    const src = Readable.fromWeb(res.body);
+
+    if (signal) {
+      signal.addEventListener(
+        'abort',
+        () => {
+          try { src.destroy(); } catch {}
+          killAll();
+        },
+        { once: true }
+      );
+    }
+
+    src.on('error', () => {});
+    src.pipe(ff.stdin);
+
+    await done;
+
+    if (signal?.aborted) throw new Error('ABORTED');
+  }
+
+  async function synthesizeMp3(text) {
+    if (!apiKey || !voiceId) throw new Error('ELEVEN_NOT_CONFIGURED');
+    const res = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
+      method: 'POST',
+      headers: {
+        'xi-api-key': apiKey,
+        'Content-Type': 'application/json',
+        Accept: 'audio/mpeg'
+      },
+      body: JSON.stringify({ model_id: model, text })
+    });
+    if (!res.ok) {
+      const err = await res.text().catch(() => '');
+      throw new Error(`ELEVEN_TTS_FAILED ${res.status}: ${err}`);
+    }
+    const buf = Buffer.from(await res.arrayBuffer());
+    if (!buf.length) throw new Error('ELEVEN_EMPTY_AUDIO');
+    return buf;
+  }
+
+  return { name: 'elevenlabs', streamUlaw, synthesizeMp3 };
+}
+
+/* ---------- espeak-ng (offline) ---------- */
+function createEspeakTts({ voice, speed }) {
+  const espeakBin = process.env.ESPEAK_BIN || 'espeak-ng';
+
+  function runEspeak(text) {
+    // '--' ends the options: a sentence that starts with '-' is still text
+    const p = spawn(espeakBin, ['-v', voice, '-s', String(speed), '--stdout', '--', text]);
+    p.stderr.on('data', () => {});
+    const exited = new Promise((resolve) => {
+      p.on('error', (e) => resolve(new Error(`ESPEAK_FAILED ${e.message}`)));
+      p.on('close', (code) => resolve(code === 0 ? null : new Error(`ESPEAK_FAILED exit=${code}`)));
+    });
+    return { p, exited };
+  }
+
+  async function streamUlaw(text, onUlaw, signal) {
+    if (signal?.aborted) throw new Error('ABORTED');
+
+    const ff = spawnFfmpeg(['-ar', '8000', '-ac', '1', '-f', 'mulaw']);
+    const done = ffmpegDone(ff);
+    done.catch(() => {});
+    ff.stdout.on('data', onUlaw);
+
+    const { p, exited } = runEspeak(text);
+    if (signal) {
+      signal.addEventListener(
+        'abort',
+        () => {
+          try { p.kill('SIGKILL'); } catch {}
+          try { ff.kill('SIGKILL'); } catch {}
+        },
+        { once: true }
+      );
+    }
+    p.stdout.pipe(ff.stdin);
+
+    const err = await exited;
+    if (signal?.aborted) throw new Error('ABORTED');
+    if (err) {
+      try { ff.kill('SIGKILL'); } catch {}
+      throw err;
+    }
+    await done;
+    if (signal?.aborted) throw new Error('ABORTED');
+  }
+
+  async function synthesizeMp3(text) {
+    const { p, exited } = runEspeak(text);
+    const chunks = [];
+    p.stdout.on('data', (c) => chunks.push(c));
+    const err = await exited;
+    if (err) throw err;
+    return toMp3(Buffer.concat(chunks));
+  }
+
+  return { name: 'espeak', streamUlaw, synthesizeMp3 };
+}
+
+/* ---------- selection + fallback ---------- */
+const PROVIDERS = {
+  elevenlabs: () =>
+    createElevenLabsTts({
+      apiKey: process.env.ELEVENLABS_API_KEY,
+      voiceId: process.env.ELEVENLABS_VOICE_ID,
+      model: process.env.ELEVENLABS_MODEL || 'eleven_multilingual_v2'
+    }),
+  espeak: () =>
+    createEspeakTts({
+      voice: process.env.ESPEAK_VOICE || 'nl',
+      speed: parseInt(process.env.ESPEAK_SPEED || '165', 10)
+    })
+};
+
+function createProvider(name) {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`TTS_PROVIDER_UNKNOWN ${name}`);
+  return factory();
+}
+
+// Streaming only falls back if the primary failed before any audio went out.
+export function createTts(primaryName = 'elevenlabs', fallbackName = '') {
+  const primary = createProvider(primaryName);
+  const fallback = fallbackName ? createProvider(fallbackName) : null;
+  if (!fallback) return primary;
+
+  return {
+    name: `${primary.name}+${fallback.name}`,
+
+    async streamUlaw(text, onUlaw, signal) {
+      let emitted = false;
+      try {
+        await primary.streamUlaw(text, (c) => { emitted = true; onUlaw(c); }, signal);
+      } catch (e) {
+        if (emitted || signal?.aborted || e.message === 'ABORTED') throw e;
+        log.warn('TTS_FALLBACK', { from: primary.name, to: fallback.name, op: 'stream', error: e });
+        await fallback.streamUlaw(text, onUlaw, signal);
+      }
+    },
+
+    async synthesizeMp3(text) {
+      try {
+        return await primary.synthesizeMp3(text);
+      } catch (e) {
+        log.warn('TTS_FALLBACK', { from: primary.name, to: fallback.name, op: 'mp3', error: e });
+        return fallback.synthesizeMp3(text);
+      }
+    }
+  };
+}
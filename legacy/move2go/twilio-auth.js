@@ -0,0 +1,74 @@
+// twilio-auth.js
+import crypto from 'crypto';
+import twilio from 'twilio';
+
+/* =======================
+   TWILIO REQUEST AUTH
+   Webhooks: X-Twilio-Signature, checked with TWILIO_AUTH_TOKEN.
+   Media stream: /twiml puts a short-lived, single-use signed token in the
+   <Stream> URL path (/ws/<token>); upgrades without one are refused.
+======================= */
+// resolved on first use, after server.js has run dotenv.config()
+let settings = null;
+function config() {
+  if (settings === null) {
+    const authToken = process.env.TWILIO_AUTH_TOKEN || '';
+    settings = {
+      authToken,
+      // '0' only for local development without a Twilio account
+      validateSignature: String(process.env.TWILIO_VALIDATE_SIGNATURE || '1') !== '0',
+      ttlMs: parseInt(process.env.STREAM_TOKEN_TTL_MS || '120000', 10),
+      secret:
+        process.env.STREAM_TOKEN_SECRET ||
+        (authToken
+          ? crypto.createHash('sha256').update(`stream-token|${authToken}`).digest('hex')
+          : crypto.randomBytes(32).toString('hex'))
+    };
+  }
+  return settings;
+}
+
+const usedNonces = new Map(); // nonce -> exp
+
+export const signatureValidationEnabled = () => config().validateSignature;
+
+export function checkTwilioSignature(req, url, params = {}) {
+  const { validateSignature, authToken } = config();
+  if (!validateSignature) return { ok: true };
+  if (!authToken) return { ok: false, reason: 'auth_token_missing' };
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature) return { ok: false, reason: 'signature_missing' };
+  if (!twilio.validateRequest(authToken, signature, url, params)) {
+    return { ok: false, reason: 'signature_invalid' };
+  }
+  return { ok: true };
+}
+
+const hmac = (data) => crypto.createHmac('sha256', config().secret).update(data).digest('base64url');
+
+export function issueStreamToken(claims) {
+  const payload = Buffer.from(
+    JSON.stringify({ ...claims, exp: Date.now() + config().ttlMs, nonce: crypto.randomBytes(9).toString('base64url') })
+  ).toString('base64url');
+  return `${payload}.${hmac(payload)}`;
+}
+
+export function verifyStreamToken(token) {
+  const now = Date.now();
+  for (const [n, exp] of usedNonces) if (exp < now) usedNonces.delete(n);
+
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return { ok: false, reason: 'token_missing' };
+
+  const a = Buffer.from(sig);
+  const b = Buffer.from(hmac(payload));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { ok: false, reason: 'token_bad_signature' };
+
+  let claims;
+  try { claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); } catch { return { ok: false, reason: 'token_malformed' }; }
+  if (!(claims.exp > now)) return { ok: false, reason: 'token_expired' };
+  if (usedNonces.has(claims.nonce)) return { ok: false, reason: 'token_reused' };
+
+  usedNonces.set(claims.nonce, claims.exp);
+  return { ok: true, claims };
+}
@@ -13,11 +13,8 @@ exports.handler = function(context, event, callback) {
   console.log('Caller State:', event.FromState || 'Unknown');
   console.log('====================');
   
-  // Connect to relay server
-  const connect = twiml.connect();
-  connect.stream({
-    url: 'wss://nodejs-relay-server-for-inbound-voice.onrender.com'
-  });
+  // Hand the call to the relay server: its /twiml mints the signed <Stream> URL
+  twiml.redirect({ method: 'POST' }, 'https://nodejs-relay-server-for-inbound-voice.onrender.com/twiml');
 
   callback(null, twiml);
 };